@@ -0,0 +1,64 @@
+/**
+ * Schema documentation script
+ * Regenerates the allowed-values section of README.md from the JSON schemas.
+ * Pass --check to fail instead of writing when the README is out of date.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { getSchemaEnums } from '../src/lib/validation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = join(__dirname, '..');
+const readmePath = join(rootDir, 'README.md');
+
+const START_MARKER = '<!-- schema-docs:start -->';
+const END_MARKER = '<!-- schema-docs:end -->';
+
+const readJson = (fileName) => JSON.parse(readFileSync(join(rootDir, 'data', fileName), 'utf8'));
+
+const enums = getSchemaEnums({
+  methodsSchema: readJson('methods.schema.json'),
+  datasetsSchema: readJson('datasets.schema.json'),
+});
+
+const rows = Object.entries(enums).map(
+  ([field, values]) => `| \`${field}\` | ${values.map((v) => `\`${v}\``).join(', ')} |`
+);
+
+const section = [
+  START_MARKER,
+  '<!-- Generated from data/*.schema.json by `npm run docs:schema`. Do not edit by hand. -->',
+  '',
+  '| Field | Allowed values |',
+  '| --- | --- |',
+  ...rows,
+  END_MARKER,
+].join('\n');
+
+const readme = readFileSync(readmePath, 'utf8');
+const start = readme.indexOf(START_MARKER);
+const end = readme.indexOf(END_MARKER);
+
+if (start === -1 || end === -1) {
+  console.error(`❌ README.md is missing the ${START_MARKER} / ${END_MARKER} markers`);
+  process.exit(1);
+}
+
+const updated = readme.slice(0, start) + section + readme.slice(end + END_MARKER.length);
+
+if (updated === readme) {
+  console.log('✅ Schema documentation is up to date');
+  process.exit(0);
+}
+
+if (process.argv.includes('--check')) {
+  console.error('❌ Schema documentation is out of date. Run `npm run docs:schema`.');
+  process.exit(1);
+}
+
+writeFileSync(readmePath, updated);
+console.log('✅ Schema documentation updated in README.md');
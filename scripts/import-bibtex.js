@@ -0,0 +1,204 @@
+/**
+ * BibTeX import script
+ * Turns a .bib file into draft method entries for review, and adds reviewed
+ * drafts to methods.json.
+ *
+ * Usage:
+ *   node scripts/import-bibtex.js <file.bib> [--out method-drafts.json]
+ *   node scripts/import-bibtex.js --apply method-drafts.json
+ *
+ * Each draft lists the fields that still need a human in `needs_review`.
+ * Remove a field from that list once it is filled in; --apply only adds drafts
+ * whose list is empty and keeps the others in the drafts file. Drafts leave
+ * pipeline_step, modalities and tasks unset, so --apply also rejects drafts
+ * whose list was emptied without choosing them.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import {
+  createDataValidator,
+  formatValidationIssue,
+  getSchemaEnums,
+} from '../src/lib/validation.js';
+import { getHealthIssues } from '../src/lib/health.js';
+import { parseBibtex } from '../src/lib/bibtex.js';
+import {
+  createMethodDraft,
+  createTimestamp,
+  insertMethods,
+  DRAFT_PLACEHOLDER,
+} from '../src/lib/authoring.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const dataDir = join(__dirname, '..', 'data');
+
+const readJson = (path) => JSON.parse(readFileSync(path, 'utf8'));
+const writeJson = (path, value) => writeFileSync(path, JSON.stringify(value, null, 2) + '\n');
+
+// Parse arguments
+const args = process.argv.slice(2);
+const optionValue = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const applyPath = optionValue('--apply');
+const bibPath = args.find(
+  (arg, i) => !arg.startsWith('--') && !['--apply', '--out'].includes(args[i - 1])
+);
+const outPath = optionValue('--out') || 'method-drafts.json';
+
+if (!applyPath && !bibPath) {
+  console.error('Usage: node scripts/import-bibtex.js <file.bib> [--out method-drafts.json]');
+  console.error('       node scripts/import-bibtex.js --apply method-drafts.json');
+  process.exit(2);
+}
+
+// Load schemas and data
+const methodsSchema = readJson(join(dataDir, 'methods.schema.json'));
+const datasetsSchema = readJson(join(dataDir, 'datasets.schema.json'));
+const methodsFile = readJson(join(dataDir, 'methods.json'));
+const datasets = readJson(join(dataDir, 'datasets.json')).datasets;
+
+const validate = createDataValidator({ methodsSchema, datasetsSchema });
+
+/**
+ * Validates draft methods together with the catalog
+ * @returns {Object} Schema errors and duplicate-paper issues, keyed by method ID
+ */
+function checkDrafts(methods) {
+  const data = { ...insertMethods(methodsFile, methods, methodsSchema), datasets };
+  const draftIds = new Set(methods.map((m) => m.id));
+  const { errors } = validate(data);
+  const issues = getHealthIssues(data, errors).filter(
+    (issue) =>
+      draftIds.has(issue.id) && (issue.severity === 'error' || issue.check === 'duplicate-paper')
+  );
+
+  const byId = {};
+  issues.forEach((issue) => {
+    (byId[issue.id] ||= []).push(issue);
+  });
+  return byId;
+}
+
+if (applyPath) {
+  const draftsFile = readJson(resolve(applyPath));
+  const ready = draftsFile.drafts.filter((draft) => draft.needs_review.length === 0);
+  const pending = draftsFile.drafts.filter((draft) => draft.needs_review.length > 0);
+
+  const placeholders = ready.filter((draft) =>
+    JSON.stringify(draft.method).includes(DRAFT_PLACEHOLDER)
+  );
+  if (placeholders.length > 0) {
+    console.error('❌ Some drafts marked as reviewed still contain placeholders:');
+    placeholders.forEach((draft) => console.error(`  - ${draft.method.id}`));
+    process.exit(1);
+  }
+
+  if (ready.length === 0) {
+    console.log(`No reviewed drafts in ${applyPath} (${pending.length} still need review).`);
+    process.exit(0);
+  }
+
+  const issuesById = checkDrafts(ready.map((draft) => draft.method));
+  const blocking = ready.filter((draft) =>
+    issuesById[draft.method.id]?.some((issue) => issue.severity === 'error')
+  );
+
+  if (blocking.length > 0) {
+    console.error('❌ Some reviewed drafts do not match the schema:');
+    blocking.forEach((draft) => {
+      issuesById[draft.method.id].forEach((issue) => {
+        console.error(`  - ${formatValidationIssue(issue)}`);
+      });
+    });
+    process.exit(1);
+  }
+
+  // Reviewed entries count as updated now
+  const updatedAt = createTimestamp();
+  writeJson(
+    join(dataDir, 'methods.json'),
+    insertMethods(
+      methodsFile,
+      ready.map((draft) => ({ ...draft.method, updated_at: updatedAt })),
+      methodsSchema
+    )
+  );
+  writeJson(resolve(applyPath), { ...draftsFile, drafts: pending });
+
+  console.log(
+    `✅ Added ${ready.length} method${ready.length !== 1 ? 's' : ''} to data/methods.json`
+  );
+  ready.forEach((draft) => console.log(`   - ${draft.method.id}`));
+  if (pending.length > 0) {
+    console.log(`   ${pending.length} draft${pending.length !== 1 ? 's' : ''} still need review.`);
+  }
+  process.exit(0);
+}
+
+// Import
+const entries = parseBibtex(readFileSync(resolve(bibPath), 'utf8'));
+const enums = getSchemaEnums({ methodsSchema, datasetsSchema });
+const existingIds = methodsFile.methods.map((m) => m.id);
+
+const drafts = [];
+entries.forEach((entry) => {
+  const draft = createMethodDraft(entry, { existingIds });
+  existingIds.push(draft.method.id);
+  drafts.push({ bibtex_key: entry.key, ...draft });
+});
+
+if (drafts.length === 0) {
+  console.error(`❌ No BibTeX entries found in ${bibPath}`);
+  process.exit(1);
+}
+
+// Drop papers that are already in the catalog. Stand-ins for the unset
+// classification fields let the rest of each draft be checked against the schema.
+const issuesById = checkDrafts(
+  drafts.map((draft) => ({
+    pipeline_step: enums.pipeline_step[0],
+    modalities: [enums.modalities[0]],
+    tasks: [enums.tasks[0]],
+    ...draft.method,
+  }))
+);
+const newDrafts = drafts.filter((draft) => {
+  const duplicate = issuesById[draft.method.id]?.find((issue) => issue.check === 'duplicate-paper');
+  if (duplicate) {
+    console.log(`⏭  ${draft.bibtex_key}: skipped, ${duplicate.message}`);
+  }
+  return !duplicate;
+});
+
+const invalid = newDrafts.filter((draft) => issuesById[draft.method.id]?.length > 0);
+if (invalid.length > 0) {
+  console.error('❌ Could not create schema-valid drafts:');
+  invalid.forEach((draft) => {
+    issuesById[draft.method.id].forEach((issue) => {
+      console.error(`  - ${draft.bibtex_key}: ${issue.message}`);
+    });
+  });
+  process.exit(1);
+}
+
+if (existsSync(resolve(outPath)) && !args.includes('--force')) {
+  console.error(`❌ ${outPath} already exists. Apply or remove it first, or pass --force.`);
+  process.exit(1);
+}
+
+writeJson(resolve(outPath), { source: bibPath, drafts: newDrafts });
+
+console.log(`✅ Wrote ${newDrafts.length} draft${newDrafts.length !== 1 ? 's' : ''} to ${outPath}`);
+newDrafts.forEach((draft) => {
+  console.log(`\n   ${draft.method.id}`);
+  console.log(`   needs review: ${draft.needs_review.join(', ')}`);
+});
+console.log(`\nFill in the fields, empty each needs_review list, then run:`);
+console.log(`   npm run import:bibtex -- --apply ${outPath}`);
@@ -0,0 +1,156 @@
+/**
+ * Data lint script
+ * Runs the schema validator and the health checks over methods.json and datasets.json.
+ *
+ * Usage: node scripts/lint-data.js [--format text|json] [--fix] [--stale-days N]
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createDataValidator } from '../src/lib/validation.js';
+import {
+  getHealthIssues,
+  groupHealthIssues,
+  normalizeWhitespace,
+  HEALTH_CHECKS,
+} from '../src/lib/health.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const dataDir = join(__dirname, '..', 'data');
+
+const readJson = (fileName) => JSON.parse(readFileSync(join(dataDir, fileName), 'utf8'));
+const writeJson = (fileName, value) =>
+  writeFileSync(join(dataDir, fileName), JSON.stringify(value, null, 2) + '\n');
+
+// Parse arguments
+const args = process.argv.slice(2);
+const optionValue = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const format = optionValue('--format', 'text');
+const fix = args.includes('--fix');
+const staleAfterDays = Number(optionValue('--stale-days', 365));
+
+if (!['text', 'json'].includes(format) || Number.isNaN(staleAfterDays)) {
+  console.error('Usage: node scripts/lint-data.js [--format text|json] [--fix] [--stale-days N]');
+  process.exit(2);
+}
+
+// Load schemas and data
+const methodsSchema = readJson('methods.schema.json');
+const datasetsSchema = readJson('datasets.schema.json');
+const methodsFile = readJson('methods.json');
+const datasetsFile = readJson('datasets.json');
+
+const validate = createDataValidator({ methodsSchema, datasetsSchema });
+
+const lint = () => {
+  const data = { ...methodsFile, datasets: datasetsFile.datasets };
+  return getHealthIssues(data, validate(data).errors, { staleAfterDays });
+};
+
+/**
+ * Normalizes whitespace in every string of a value
+ */
+const fixWhitespace = (value) => {
+  if (typeof value === 'string') return normalizeWhitespace(value);
+  if (Array.isArray(value)) return value.map(fixWhitespace);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fixWhitespace(item)])
+    );
+  }
+  return value;
+};
+
+// Fixes for the mechanical rules
+const FIXERS = {
+  whitespace: (item) => fixWhitespace(item),
+  'redundant-reference': (item) => ({
+    ...item,
+    related_method_ids: [...new Set(item.related_method_ids)].filter((id) => id !== item.id),
+  }),
+};
+
+let issues = lint();
+let fixedCount = 0;
+
+if (fix) {
+  const files = { methods: methodsFile, datasets: datasetsFile };
+  const changed = new Set();
+
+  issues
+    .filter((issue) => FIXERS[issue.check] && issue.collection)
+    .forEach((issue) => {
+      const items = files[issue.collection][issue.collection];
+      const index = items.findIndex((item) => item.id === issue.id);
+      const fixed = FIXERS[issue.check](items[index]);
+      if (JSON.stringify(fixed) !== JSON.stringify(items[index])) {
+        items[index] = fixed;
+        changed.add(issue.collection);
+      }
+    });
+
+  changed.forEach((collection) => writeJson(`${collection}.json`, files[collection]));
+
+  const remaining = lint();
+  fixedCount = issues.length - remaining.length;
+  issues = remaining;
+}
+
+const counts = { error: 0, warning: 0, info: 0 };
+issues.forEach((issue) => {
+  counts[issue.severity]++;
+});
+
+if (format === 'json') {
+  console.log(
+    JSON.stringify(
+      {
+        issues: issues.map(({ check, ...issue }) => ({
+          rule: check,
+          ...issue,
+          fixable: Boolean(HEALTH_CHECKS[check].fixable),
+        })),
+        counts,
+        fixed: fixedCount,
+      },
+      null,
+      2
+    )
+  );
+} else {
+  const severityIcons = { error: '✖', warning: '⚠', info: 'ℹ' };
+
+  groupHealthIssues(issues).forEach((group) => {
+    console.log(group.collection ? `\n${group.collection}/${group.id}` : '\ncatalog');
+    group.issues.forEach((issue) => {
+      const severity = `${severityIcons[issue.severity]} ${issue.severity}`.padEnd(10);
+      console.log(`  ${severity} ${issue.message}  ${issue.check}`);
+    });
+  });
+
+  if (fix) {
+    console.log(`\n🔧 Fixed ${fixedCount} problem${fixedCount !== 1 ? 's' : ''}`);
+  }
+
+  if (issues.length === 0) {
+    console.log('✅ No problems found');
+  } else {
+    const fixable = issues.filter((issue) => HEALTH_CHECKS[issue.check].fixable).length;
+    console.log(
+      `\n${issues.length} problem${issues.length !== 1 ? 's' : ''} ` +
+        `(${counts.error} errors, ${counts.warning} warnings, ${counts.info} info)`
+    );
+    if (fixable > 0 && !fix) {
+      console.log(`   ${fixable} of them can be fixed with --fix`);
+    }
+  }
+}
+
+process.exit(counts.error > 0 ? 1 : 0);
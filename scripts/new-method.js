@@ -0,0 +1,289 @@
+/**
+ * New method scaffolder
+ * Asks for each field of a method entry, validates it against the schema
+ * and appends it to methods.json.
+ *
+ * Usage: node scripts/new-method.js [--dry-run]
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createInterface } from 'readline';
+import {
+  createDataValidator,
+  formatValidationIssue,
+  getSchemaEnums,
+} from '../src/lib/validation.js';
+import {
+  createMethodId,
+  createTimestamp,
+  getTagUsage,
+  insertMethods,
+  suggestRelatedMethods,
+} from '../src/lib/authoring.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const dataDir = join(__dirname, '..', 'data');
+
+const readJson = (fileName) => JSON.parse(readFileSync(join(dataDir, fileName), 'utf8'));
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Load schemas and data
+const methodsSchema = readJson('methods.schema.json');
+const datasetsSchema = readJson('datasets.schema.json');
+const methodsFile = readJson('methods.json');
+const datasets = readJson('datasets.json').datasets;
+
+const enums = getSchemaEnums({ methodsSchema, datasetsSchema });
+const existingIds = methodsFile.methods.map((m) => m.id);
+
+// Read answers line by line, so piped input works as well as a terminal
+const rl = createInterface({ input: process.stdin });
+const lines = rl[Symbol.asyncIterator]();
+
+/**
+ * Prints a prompt and reads the next line of input
+ */
+async function readLine(prompt) {
+  process.stdout.write(prompt);
+  const { value, done } = await lines.next();
+  if (done) throw new Error('Input ended before the entry was complete');
+  return value;
+}
+
+/**
+ * Asks for a single value
+ */
+async function ask(question, { defaultValue = '', required = false, check } = {}) {
+  const suffix = defaultValue ? ` [${defaultValue}]` : '';
+
+  for (;;) {
+    const answer = (await readLine(`${question}${suffix}: `)).trim() || defaultValue;
+    if (required && !answer) {
+      console.log('  This field is required.');
+      continue;
+    }
+    const problem = answer && check ? check(answer) : null;
+    if (problem) {
+      console.log(`  ${problem}`);
+      continue;
+    }
+    return answer;
+  }
+}
+
+/**
+ * Asks for a list of free-text items, one per line, ended by an empty line
+ */
+async function askLines(question, { required = false } = {}) {
+  console.log(`${question} (one per line, empty line to finish)`);
+  const items = [];
+
+  for (;;) {
+    const answer = (await readLine('  - ')).trim();
+    if (answer) {
+      items.push(answer);
+    } else if (required && items.length === 0) {
+      console.log('  Enter at least one item.');
+    } else {
+      return items;
+    }
+  }
+}
+
+/**
+ * Asks for a list of values on one line
+ */
+async function askSeparatedList(question, { separator = ',', ...options } = {}) {
+  const answer = await ask(question, options);
+  return [
+    ...new Set(
+      answer
+        .split(separator)
+        .map((value) => value.trim())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Asks for one or more values from a controlled vocabulary
+ * Accepts the values themselves or their numbers in the printed list.
+ */
+async function askChoice(field, values, { multiple = false, required = true } = {}) {
+  console.log(`\n${field}:`);
+  values.forEach((value, i) => console.log(`  ${String(i + 1).padStart(2)}. ${value}`));
+
+  const resolve = (token) => (/^\d+$/.test(token) ? values[Number(token) - 1] : token);
+  const split = (answer) =>
+    answer
+      .split(',')
+      .map((token) => token.trim())
+      .filter(Boolean);
+  const check = (answer) => {
+    const tokens = split(answer);
+    if (required && tokens.length === 0) return 'This field is required.';
+    if (!multiple && tokens.length > 1) return 'Choose a single value.';
+    const unknown = tokens.filter((token) => !values.includes(resolve(token)));
+    return unknown.length > 0 ? `Unknown value: ${unknown.join(', ')}` : null;
+  };
+
+  const answer = await ask(multiple ? 'Choose one or more (comma-separated)' : 'Choose one', {
+    required,
+    check,
+  });
+  const chosen = [...new Set(split(answer).map(resolve))];
+  return multiple ? chosen : chosen[0];
+}
+
+// Accepted papers can carry next year's date
+const maxYear = new Date().getFullYear() + 1;
+const isYear = (answer) =>
+  /^\d{4}$/.test(answer) && Number(answer) >= 1990 && Number(answer) <= maxYear
+    ? null
+    : `Enter a year between 1990 and ${maxYear}.`;
+
+async function main() {
+  console.log('📝 New method entry\n');
+
+  const name = await ask('Name', { required: true });
+  const id = await ask('ID', {
+    defaultValue: createMethodId(name, existingIds),
+    check: (answer) => {
+      if (existingIds.includes(answer)) return `"${answer}" is already used.`;
+      return /^[a-z0-9]+(-[a-z0-9]+)*$/.test(answer) ? null : 'Use kebab-case (a-z, 0-9, -).';
+    },
+  });
+
+  const pipelineStep = await askChoice('pipeline_step', enums.pipeline_step);
+  const modalities = await askChoice('modalities', enums.modalities, { multiple: true });
+  const tasks = await askChoice('tasks', enums.tasks, { multiple: true });
+
+  console.log('');
+  const shortDescription = await ask('Short description (10-500 characters)', {
+    required: true,
+    check: (answer) =>
+      answer.length >= 10 && answer.length <= 500
+        ? null
+        : `Length is ${answer.length}; use 10-500 characters.`,
+  });
+  const algorithmSummary = await ask('Algorithm summary', { required: true });
+  const inputs = await askLines('Inputs', { required: true });
+  const outputs = await askLines('Outputs', { required: true });
+  const assumptions = await askLines('Assumptions');
+  const limitations = await askLines('Limitations');
+
+  console.log('\nReference');
+  const references = {
+    paper_title: await ask('  Paper title', { required: true }),
+    authors: await askSeparatedList('  Authors ("Last, First" separated by semicolons)', {
+      separator: ';',
+      required: true,
+    }),
+    venue: await ask('  Venue', { required: true }),
+    year: Number(await ask('  Year', { required: true, check: isYear })),
+    doi_or_url: await ask('  DOI or URL'),
+  };
+
+  console.log('\nArtifacts (leave empty if not available)');
+  const artifacts = {};
+  for (const field of ['code_url', 'dataset_url', 'demo_url']) {
+    const url = await ask(`  ${field}`);
+    if (url) artifacts[field] = url;
+  }
+
+  const tagUsage = getTagUsage(methodsFile.methods);
+  const popularTags = tagUsage.slice(0, 20);
+  console.log(
+    `\nExisting tags: ${popularTags.map(({ tag, count }) => `${tag} (${count})`).join(', ')}`
+  );
+  // Reuse the spelling of existing tags ("nlp" becomes "NLP")
+  const knownTags = new Map(tagUsage.map(({ tag }) => [tag.toLowerCase(), tag]));
+  const tags = [
+    ...new Set(
+      (await askSeparatedList('Tags (comma-separated)')).map(
+        (tag) => knownTags.get(tag.toLowerCase()) || tag
+      )
+    ),
+  ];
+
+  const suggestions = suggestRelatedMethods(
+    { id, pipeline_step: pipelineStep, modalities, tasks, tags },
+    methodsFile.methods
+  );
+  if (suggestions.length > 0) {
+    console.log('\nPossibly related methods:');
+    suggestions.forEach((method) => console.log(`  - ${method.id}  ${method.name}`));
+  }
+  const relatedMethodIds = await askSeparatedList('Related method IDs (comma-separated)', {
+    check: (answer) => {
+      const unknown = answer
+        .split(',')
+        .map((value) => value.trim())
+        .filter((value) => value && !existingIds.includes(value));
+      return unknown.length > 0 ? `Unknown method ID: ${unknown.join(', ')}` : null;
+    },
+  });
+
+  const maturity = await askChoice('maturity', enums.maturity);
+  const automationLevel = await askChoice('automation_level', enums.automation_level);
+  const evidenceType = await askChoice('evidence_type', enums.evidence_type);
+
+  const timestamp = createTimestamp();
+  const method = {
+    id,
+    name,
+    pipeline_step: pipelineStep,
+    short_description: shortDescription,
+    algorithm_summary: algorithmSummary,
+    inputs,
+    outputs,
+    modalities,
+    tasks,
+    assumptions,
+    limitations,
+    references,
+    artifacts,
+    tags,
+    related_method_ids: relatedMethodIds,
+    maturity,
+    automation_level: automationLevel,
+    evidence_type: evidenceType,
+    created_at: timestamp,
+    updated_at: timestamp,
+  };
+
+  const updatedFile = insertMethods(methodsFile, [method], methodsSchema);
+  const validate = createDataValidator({ methodsSchema, datasetsSchema });
+  const { errors } = validate({ ...updatedFile, datasets });
+  const methodErrors = errors.filter((error) => error.collection === 'methods' && error.id === id);
+
+  if (methodErrors.length > 0) {
+    console.error('\n❌ The entry does not match the schema:');
+    methodErrors.forEach((error) => console.error(`  - ${formatValidationIssue(error)}`));
+    console.error('\nEntry (not saved):');
+    console.error(JSON.stringify(method, null, 2));
+    process.exitCode = 1;
+    return;
+  }
+
+  if (dryRun) {
+    console.log(`\n${JSON.stringify(method, null, 2)}`);
+    return;
+  }
+
+  writeFileSync(join(dataDir, 'methods.json'), JSON.stringify(updatedFile, null, 2) + '\n');
+  console.log(`\n✅ Added "${id}" to data/methods.json`);
+  console.log('   Run `npm run lint:data` to check the catalog.');
+}
+
+main()
+  .catch((error) => {
+    console.error(`\n❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => rl.close());
@@ -1,43 +1,42 @@
 /**
  * Schema validation script
- * Validates methods.json against the JSON schema
+ * Validates methods.json and datasets.json with the same validator the app uses
  */
 
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import Ajv from 'ajv';
-import addFormats from 'ajv-formats';
+import { createDataValidator, formatValidationIssue } from '../src/lib/validation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const dataDir = join(__dirname, '..', 'data');
 
-// Load schema and data
-const schema = JSON.parse(readFileSync(join(dataDir, 'methods.schema.json'), 'utf8'));
-const data = JSON.parse(readFileSync(join(dataDir, 'methods.json'), 'utf8'));
+const readJson = (fileName) => JSON.parse(readFileSync(join(dataDir, fileName), 'utf8'));
 
-// Initialize validator
-const ajv = new Ajv({ allErrors: true, verbose: true });
-addFormats(ajv);
+// Load schemas and data (merged the same way as loadMethodsData)
+const methodsSchema = readJson('methods.schema.json');
+const datasetsSchema = readJson('datasets.schema.json');
+const data = {
+  ...readJson('methods.json'),
+  datasets: readJson('datasets.json').datasets,
+};
 
-const validate = ajv.compile(schema);
-const valid = validate(data);
+const validate = createDataValidator({ methodsSchema, datasetsSchema });
+const { isValid, errors } = validate(data);
 
-if (valid) {
+if (isValid) {
   console.log('✅ Schema validation passed!');
   console.log(`   - ${data.methods.length} methods validated`);
   console.log(`   - ${data.pipeline_steps.length} pipeline steps defined`);
+  console.log(`   - ${data.datasets.length} datasets validated`);
   process.exit(0);
 } else {
   console.error('❌ Schema validation failed!');
   console.error('\nErrors:');
-  validate.errors.forEach((error, index) => {
-    console.error(`  ${index + 1}. ${error.instancePath}: ${error.message}`);
-    if (error.params) {
-      console.error(`     Params: ${JSON.stringify(error.params)}`);
-    }
+  errors.forEach((error, index) => {
+    console.error(`  ${index + 1}. ${formatValidationIssue(error)}`);
   });
   process.exit(1);
 }
@@ -1,6 +1,16 @@
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AppStateProvider, ThemeProvider } from '@/lib';
-import { HomePage, MethodPage, AboutPage, ComparePage, RelationshipPage } from '@/views';
+import {
+  HomePage,
+  MethodPage,
+  AboutPage,
+  ComparePage,
+  RelationshipPage,
+  DatasetsPage,
+  DatasetPage,
+  HealthPage,
+} from '@/views';
+import { CommandPalette } from '@/components';
 
 import '@/styles/global.css';
 import '@/styles/components.css';
@@ -17,10 +27,14 @@ function App() {
     <ThemeProvider>
       <AppStateProvider>
         <BrowserRouter basename={basename}>
+          <CommandPalette />
           <Routes>
             <Route path="/" element={<HomePage />} />
             <Route path="/methods/:methodId" element={<MethodPage />} />
+            <Route path="/datasets" element={<DatasetsPage />} />
+            <Route path="/datasets/:datasetId" element={<DatasetPage />} />
             <Route path="/relationships" element={<RelationshipPage />} />
+            <Route path="/health" element={<HealthPage />} />
             <Route path="/about" element={<AboutPage />} />
             <Route path="/compare" element={<ComparePage />} />
             <Route path="*" element={<Navigate to="/" replace />} />
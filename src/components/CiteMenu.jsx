@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { formatCitations, downloadFile, copyToClipboard, CITATION_FORMATS } from '@/lib';
+import PopoverMenu from './PopoverMenu';
+
+const COPY_LABELS = {
+  idle: 'Copy',
+  copied: 'Copied ✓',
+  failed: 'Copy failed',
+};
+
+/**
+ * Citation panel - format picker, preview, copy and download
+ */
+function CitePanel({ methods, fileName }) {
+  const [format, setFormat] = useState('bibtex');
+  const [copyStatus, setCopyStatus] = useState('idle');
+
+  // Reset the copy feedback after a moment
+  useEffect(() => {
+    if (copyStatus === 'idle') return undefined;
+    const timeout = setTimeout(() => setCopyStatus('idle'), 2000);
+    return () => clearTimeout(timeout);
+  }, [copyStatus]);
+
+  const citation = formatCitations(methods, format);
+  const { extension, mimeType } = CITATION_FORMATS[format];
+
+  const handleCopy = async () => {
+    setCopyStatus((await copyToClipboard(citation)) ? 'copied' : 'failed');
+  };
+
+  const handleDownload = () => {
+    downloadFile(citation, `${fileName}.${extension}`, mimeType);
+  };
+
+  return (
+    <>
+      <div className="popover-menu__options" role="radiogroup" aria-label="Citation format">
+        {Object.entries(CITATION_FORMATS).map(([key, { label }]) => (
+          <button
+            key={key}
+            type="button"
+            role="radio"
+            aria-checked={format === key}
+            className={`filter-chip ${format === key ? 'filter-chip--active' : ''}`}
+            onClick={() => setFormat(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        className="cite-menu__output"
+        value={citation}
+        readOnly
+        rows={8}
+        aria-label={`${CITATION_FORMATS[format].label} citation`}
+        onFocus={(e) => e.target.select()}
+      />
+
+      <div className="popover-menu__actions">
+        <span className="popover-menu__count">
+          {methods.length} reference{methods.length !== 1 ? 's' : ''}
+        </span>
+        <button type="button" className="btn btn--sm btn--ghost" onClick={handleDownload}>
+          Download .{extension}
+        </button>
+        <button type="button" className="btn btn--sm btn--primary" onClick={handleCopy}>
+          {COPY_LABELS[copyStatus]}
+        </button>
+      </div>
+    </>
+  );
+}
+
+/**
+ * Cite menu - citations for one or more methods in several formats
+ * with copy-to-clipboard and download
+ */
+export default function CiteMenu({ methods, label = 'Cite', fileName = 'citation', align }) {
+  return (
+    <PopoverMenu
+      label={label}
+      panelLabel="Cite"
+      disabled={methods.length === 0}
+      align={align}
+      className="cite-menu"
+    >
+      <CitePanel methods={methods} fileName={fileName} />
+    </PopoverMenu>
+  );
+}
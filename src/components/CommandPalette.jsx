@@ -0,0 +1,261 @@
+import { useState, useEffect, useRef, useMemo, useCallback, useId } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  useAppState,
+  useAppDispatch,
+  useTheme,
+  getCommands,
+  searchCommands,
+  isTypingTarget,
+  SHORTCUTS,
+} from '@/lib';
+import '@/styles/palette.css';
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+/**
+ * Modal dialog that closes on Escape and on pointer down outside the panel
+ */
+function Dialog({ label, className, onClose, children }) {
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    const handlePointerDown = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) onClose();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+      // Give focus back to where it was before the dialog opened
+      if (previousFocus?.isConnected) previousFocus.focus();
+    };
+  }, [onClose]);
+
+  return (
+    <div className="command-palette__backdrop">
+      <div
+        className={`command-palette ${className}`}
+        role="dialog"
+        aria-modal="true"
+        aria-label={label}
+        ref={panelRef}
+      >
+        {children}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Key combination, e.g. Mod+K rendered as ⌘ K or Ctrl K
+ */
+function Keys({ keys }) {
+  return (
+    <span className="command-palette__keys">
+      {keys.map((key) => (
+        <kbd key={key} className="kbd">
+          {key === 'Mod' ? (IS_MAC ? '⌘' : 'Ctrl') : key}
+        </kbd>
+      ))}
+    </span>
+  );
+}
+
+/**
+ * Command list with fuzzy matching and keyboard navigation
+ */
+function CommandList({ onClose, onShowShortcuts }) {
+  const state = useAppState();
+  const dispatch = useAppDispatch();
+  const navigate = useNavigate();
+  const { isDark, toggleTheme } = useTheme();
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const listId = useId();
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const commands = useMemo(() => getCommands(state, { isDark }), [state, isDark]);
+  const results = useMemo(() => searchCommands(commands, query), [commands, query]);
+
+  // Keep the highlighted command in view
+  useEffect(() => {
+    listRef.current
+      ?.querySelector('[aria-selected="true"]')
+      ?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const runCommand = (command) => {
+    onClose();
+    command.run({ dispatch, navigate, toggleTheme, showShortcuts: onShowShortcuts });
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && results.length > 0) {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (index + step + results.length) % results.length);
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      runCommand(results[activeIndex]);
+    }
+  };
+
+  return (
+    <>
+      <input
+        type="text"
+        className="command-palette__input"
+        placeholder="Type a command, method, step or filter…"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+        }}
+        onKeyDown={handleKeyDown}
+        ref={inputRef}
+        role="combobox"
+        aria-label="Command"
+        aria-expanded={results.length > 0}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={results[activeIndex] ? `${listId}-${activeIndex}` : undefined}
+      />
+      {results.length > 0 ? (
+        <ul className="command-palette__list" id={listId} role="listbox" ref={listRef}>
+          {results.map((command, index) => (
+            <li
+              key={command.id}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`command-palette__option ${index === activeIndex ? 'command-palette__option--active' : ''}`}
+              // Run on mousedown so the input keeps focus; keys are handled by the input
+              onMouseDown={(e) => {
+                e.preventDefault();
+                runCommand(command);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <span className="command-palette__label">{command.label}</span>
+              <span className="command-palette__group">{command.group}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="command-palette__empty">No matching commands</p>
+      )}
+      <div className="command-palette__footer">
+        <span>
+          <Keys keys={['↑', '↓']} /> navigate
+        </span>
+        <span>
+          <Keys keys={['Enter']} /> run
+        </span>
+        <span>
+          <Keys keys={['Esc']} /> close
+        </span>
+      </div>
+    </>
+  );
+}
+
+/**
+ * Keyboard shortcut reference, grouped by scope
+ */
+function ShortcutsHelp() {
+  const scopes = [...new Set(SHORTCUTS.map((s) => s.scope))];
+
+  return (
+    <>
+      <h2 className="command-palette__title">Keyboard shortcuts</h2>
+      {scopes.map((scope) => (
+        <section key={scope} className="command-palette__section">
+          <h3 className="command-palette__section-title">{scope}</h3>
+          <dl className="command-palette__shortcuts">
+            {SHORTCUTS.filter((s) => s.scope === scope).map((shortcut) => (
+              <div key={shortcut.description} className="command-palette__shortcut">
+                <dt>
+                  <Keys keys={shortcut.keys} />
+                </dt>
+                <dd>{shortcut.description}</dd>
+              </div>
+            ))}
+          </dl>
+        </section>
+      ))}
+    </>
+  );
+}
+
+/**
+ * Command palette (Ctrl/Cmd+K) and shortcut help (?)
+ * Also handles the global "/" shortcut that focuses the search box.
+ */
+export default function CommandPalette() {
+  const [mode, setMode] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setMode((current) => (current === 'palette' ? null : 'palette'));
+        return;
+      }
+      if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+
+      if (e.key === '?') {
+        e.preventDefault();
+        setMode('shortcuts');
+      } else if (e.key === '/') {
+        const searchInput = document.querySelector('.search-box__input');
+        if (searchInput) {
+          e.preventDefault();
+          searchInput.focus();
+        }
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const close = useCallback(() => setMode(null), []);
+
+  if (mode === 'palette') {
+    return (
+      <Dialog
+        key="palette"
+        label="Command palette"
+        className="command-palette--commands"
+        onClose={close}
+      >
+        <CommandList onClose={close} onShowShortcuts={() => setMode('shortcuts')} />
+      </Dialog>
+    );
+  }
+  if (mode === 'shortcuts') {
+    return (
+      <Dialog
+        key="shortcuts"
+        label="Keyboard shortcuts"
+        className="command-palette--help"
+        onClose={close}
+      >
+        <ShortcutsHelp />
+      </Dialog>
+    );
+  }
+  return null;
+}
@@ -0,0 +1,193 @@
+import { useState } from 'react';
+import {
+  useAppState,
+  getExportRows,
+  formatCsv,
+  createMethodsWorkbook,
+  downloadFile,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  ARTIFACT_FILTERS,
+  SORT_OPTIONS,
+} from '@/lib';
+import PopoverMenu from './PopoverMenu';
+
+const COLUMNS_STORAGE_KEY = 'pm-taxonomy-export-columns';
+
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  xlsx: {
+    label: 'Excel',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+};
+
+/**
+ * Get the last used export columns from localStorage
+ */
+function getInitialColumns() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COLUMNS_STORAGE_KEY));
+    const known = EXPORT_COLUMNS.map((c) => c.key);
+    if (Array.isArray(stored) && stored.some((key) => known.includes(key))) {
+      return stored.filter((key) => known.includes(key));
+    }
+  } catch {
+    // Fall through to the defaults
+  }
+  return DEFAULT_EXPORT_COLUMNS;
+}
+
+/**
+ * Describes the active filters for the export sheet
+ */
+function describeFilters(filters, pipelineSteps) {
+  const details = [];
+  const add = (label, value) => value && details.push([label, value]);
+
+  add('Search', filters.searchQuery.trim());
+  add('Pipeline step', pipelineSteps.find((s) => s.id === filters.pipelineStep)?.name);
+  add('Modalities', filters.modalities.join(', '));
+  add('Tasks', filters.tasks.join(', '));
+  add('Evidence types', filters.evidenceTypes.join(', '));
+  add('Maturity', filters.maturityLevels.join(', '));
+  add('Automation', filters.automationLevels.join(', '));
+  add('Tags', filters.tags.join(', '));
+  add('Artifacts', filters.artifacts.map((key) => ARTIFACT_FILTERS[key]?.label ?? key).join(', '));
+  if (filters.yearRange.min !== null || filters.yearRange.max !== null) {
+    add('Years', `${filters.yearRange.min ?? '…'}–${filters.yearRange.max ?? '…'}`);
+  }
+
+  return details;
+}
+
+/**
+ * Export panel - format and column picker
+ */
+function ExportPanel() {
+  const { filteredMethods, allMethods, filters, pipelineSteps, sortBy, sortOrder } = useAppState();
+  const [format, setFormat] = useState('csv');
+  const [columns, setColumns] = useState(getInitialColumns);
+
+  const updateColumns = (next) => {
+    setColumns(next);
+    localStorage.setItem(COLUMNS_STORAGE_KEY, JSON.stringify(next));
+  };
+
+  // A checked column goes back to its place in the picker, not to the end
+  const toggleColumn = (key) => {
+    updateColumns(
+      columns.includes(key)
+        ? columns.filter((c) => c !== key)
+        : EXPORT_COLUMNS.map((c) => c.key).filter((k) => k === key || columns.includes(k))
+    );
+  };
+
+  // Methods are exported in the order the list shows them
+  const handleDownload = () => {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const fileName = `methods.${extension}`;
+
+    if (format === 'csv') {
+      // The byte order mark makes Excel read the file as UTF-8
+      const csv = formatCsv(getExportRows(filteredMethods, columns));
+      downloadFile(`\uFEFF${csv}`, fileName, mimeType);
+    } else {
+      const details = [
+        ['Exported', new Date().toISOString()],
+        ['Methods', `${filteredMethods.length} of ${allMethods.length}`],
+        ...describeFilters(filters, pipelineSteps),
+        [
+          'Sort',
+          `${SORT_OPTIONS[sortBy]?.label ?? sortBy} (${sortOrder === 'desc' ? 'descending' : 'ascending'})`,
+        ],
+      ];
+      downloadFile(createMethodsWorkbook(filteredMethods, columns, details), fileName, mimeType);
+    }
+  };
+
+  return (
+    <>
+      <div className="popover-menu__options" role="radiogroup" aria-label="Export format">
+        {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+          <button
+            key={key}
+            type="button"
+            role="radio"
+            aria-checked={format === key}
+            className={`filter-chip ${format === key ? 'filter-chip--active' : ''}`}
+            onClick={() => setFormat(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <fieldset className="export-menu__columns">
+        <legend className="export-menu__legend">
+          Columns
+          <span className="export-menu__presets">
+            <button
+              type="button"
+              className="btn btn--sm btn--ghost"
+              onClick={() => updateColumns(EXPORT_COLUMNS.map((c) => c.key))}
+            >
+              All
+            </button>
+            <button
+              type="button"
+              className="btn btn--sm btn--ghost"
+              onClick={() => updateColumns(DEFAULT_EXPORT_COLUMNS)}
+            >
+              Default
+            </button>
+          </span>
+        </legend>
+        {EXPORT_COLUMNS.map((column) => (
+          <label key={column.key} className="export-menu__column">
+            <input
+              type="checkbox"
+              checked={columns.includes(column.key)}
+              onChange={() => toggleColumn(column.key)}
+            />
+            {column.label}
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="popover-menu__actions">
+        <span className="popover-menu__count">
+          {filteredMethods.length} method{filteredMethods.length !== 1 ? 's' : ''} ·{' '}
+          {columns.length} column{columns.length !== 1 ? 's' : ''}
+        </span>
+        <button
+          type="button"
+          className="btn btn--sm btn--primary"
+          onClick={handleDownload}
+          disabled={columns.length === 0}
+        >
+          Download .{EXPORT_FORMATS[format].extension}
+        </button>
+      </div>
+    </>
+  );
+}
+
+/**
+ * Export menu - downloads the filtered methods as CSV or XLSX
+ */
+export default function ExportMenu() {
+  const { filteredMethods } = useAppState();
+
+  return (
+    <PopoverMenu
+      label="Export"
+      panelLabel="Export methods"
+      disabled={filteredMethods.length === 0}
+      className="export-menu"
+    >
+      <ExportPanel />
+    </PopoverMenu>
+  );
+}
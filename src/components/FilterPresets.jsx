@@ -0,0 +1,220 @@
+import { useState, useRef, useEffect } from 'react';
+import {
+  useAppState,
+  useAppDispatch,
+  actions,
+  createPreset,
+  isPresetActive,
+  loadPresets,
+  savePresets,
+  renamePreset,
+  deletePreset,
+  mergePresets,
+  formatPresetsFile,
+  parsePresetsFile,
+  downloadFile,
+} from '@/lib';
+
+/**
+ * Inline form for naming a preset
+ */
+function PresetNameForm({ initialName = '', submitLabel, onSubmit, onCancel }) {
+  const [name, setName] = useState(initialName);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.select();
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (name.trim()) onSubmit(name.trim());
+  };
+
+  return (
+    <form className="filter-presets__form" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        className="input filter-presets__input"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+        placeholder="Name this view…"
+        aria-label="Preset name"
+        ref={inputRef}
+      />
+      <button type="submit" className="btn btn--sm btn--primary" disabled={!name.trim()}>
+        {submitLabel}
+      </button>
+      <button type="button" className="btn btn--sm btn--ghost" onClick={onCancel}>
+        Cancel
+      </button>
+    </form>
+  );
+}
+
+/**
+ * Saved filter presets - named views with the filters, sort and selected step
+ * Presets are kept in localStorage and shared as JSON files.
+ */
+export default function FilterPresets() {
+  const state = useAppState();
+  const dispatch = useAppDispatch();
+  const [presets, setPresets] = useState(loadPresets);
+  const [isSaving, setIsSaving] = useState(false);
+  const [renamingId, setRenamingId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const updatePresets = (next) => {
+    setPresets(next);
+    savePresets(next);
+  };
+
+  // Undoable, like any other filter change
+  const applyPreset = (preset) => {
+    dispatch(actions.applyPreset(preset));
+  };
+
+  // Saving under an existing name overwrites that preset
+  const handleSave = (name) => {
+    updatePresets(mergePresets(presets, [createPreset(name, state)]));
+    setIsSaving(false);
+    setMessage(null);
+  };
+
+  const handleRename = (id, name) => {
+    updatePresets(renamePreset(presets, id, name));
+    setRenamingId(null);
+  };
+
+  const handleDelete = (id) => {
+    updatePresets(deletePreset(presets, id));
+  };
+
+  const handleExport = () => {
+    downloadFile(formatPresetsFile(presets), 'filter-presets.json', 'application/json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parsePresetsFile(await file.text());
+      updatePresets(mergePresets(presets, imported));
+      setMessage(`Imported ${imported.length} preset${imported.length !== 1 ? 's' : ''}`);
+    } catch (error) {
+      setMessage(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
+  return (
+    <section className="filter-presets" aria-label="Saved views">
+      <div className="filters-panel__group-header">
+        <span className="filters-panel__label">Saved views</span>
+        <span className="filter-presets__actions">
+          <button
+            type="button"
+            className="btn btn--sm btn--ghost"
+            onClick={() => setIsSaving(true)}
+            disabled={isSaving}
+          >
+            Save current
+          </button>
+          <button
+            type="button"
+            className="btn btn--sm btn--ghost"
+            onClick={handleExport}
+            disabled={presets.length === 0}
+          >
+            Export
+          </button>
+          <button
+            type="button"
+            className="btn btn--sm btn--ghost"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="filter-presets__file"
+            onChange={handleImport}
+            tabIndex={-1}
+            aria-hidden="true"
+          />
+        </span>
+      </div>
+
+      {isSaving && (
+        <PresetNameForm
+          submitLabel="Save"
+          onSubmit={handleSave}
+          onCancel={() => setIsSaving(false)}
+        />
+      )}
+
+      {presets.length > 0 ? (
+        <ul className="filter-presets__list">
+          {presets.map((preset) =>
+            preset.id === renamingId ? (
+              <li key={preset.id} className="filter-presets__item">
+                <PresetNameForm
+                  initialName={preset.name}
+                  submitLabel="Rename"
+                  onSubmit={(name) => handleRename(preset.id, name)}
+                  onCancel={() => setRenamingId(null)}
+                />
+              </li>
+            ) : (
+              <li key={preset.id} className="filter-presets__item">
+                <button
+                  type="button"
+                  className={`filter-chip ${isPresetActive(preset, state) ? 'filter-chip--active' : ''}`}
+                  onClick={() => applyPreset(preset)}
+                  aria-pressed={isPresetActive(preset, state)}
+                >
+                  {preset.name}
+                </button>
+                <button
+                  type="button"
+                  className="filter-presets__icon"
+                  onClick={() => setRenamingId(preset.id)}
+                  aria-label={`Rename ${preset.name}`}
+                  title="Rename"
+                >
+                  ✎
+                </button>
+                <button
+                  type="button"
+                  className="filter-presets__icon"
+                  onClick={() => handleDelete(preset.id)}
+                  aria-label={`Delete ${preset.name}`}
+                  title="Delete"
+                >
+                  ×
+                </button>
+              </li>
+            )
+          )}
+        </ul>
+      ) : (
+        !isSaving && (
+          <p className="filters-panel__hint">
+            Save the current filters, sort and step to get back to them in one click.
+          </p>
+        )
+      )}
+
+      {message && (
+        <p className="filters-panel__hint" role="status">
+          {message}
+        </p>
+      )}
+    </section>
+  );
+}
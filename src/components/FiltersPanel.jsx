@@ -1,32 +1,178 @@
-import { useAppState, useAppDispatch, actions, getFilterOptions } from '@/lib';
+import { useState, useId } from 'react';
+import {
+  useAppState,
+  useAppDispatch,
+  actions,
+  getFilterOptions,
+  getFacetCounts,
+  applyFiltersAndSearch,
+  FILTER_DEFAULTS,
+  ARTIFACT_FILTERS,
+} from '@/lib';
+import YearHistogram from './YearHistogram';
+import FilterPresets from './FilterPresets';
+
+const MAX_TAG_SUGGESTIONS = 8;
 
 /**
  * Filter chip component
+ * count is the number of methods that would match if the chip were toggled.
  */
-function FilterChip({ label, isActive, onClick }) {
+function FilterChip({ label, isActive, onClick, count }) {
+  const isEmpty = !isActive && count === 0;
   return (
     <button
-      className={`filter-chip ${isActive ? 'filter-chip--active' : ''}`}
+      className={`filter-chip ${isActive ? 'filter-chip--active' : ''} ${isEmpty ? 'filter-chip--empty' : ''}`}
       onClick={onClick}
       type="button"
       aria-pressed={isActive}
     >
       {label}
+      {count !== undefined && <span className="filter-chip__count">{count}</span>}
     </button>
   );
 }
 
+/**
+ * Switch between matching any or all of the selected values of a group
+ */
+function MatchModeToggle({ label, mode, onChange }) {
+  const isAll = mode === 'all';
+  return (
+    <button
+      type="button"
+      className="filters-panel__mode"
+      onClick={() => onChange(isAll ? 'any' : 'all')}
+      aria-label={`${label}: match ${isAll ? 'all' : 'any'} of the selected values`}
+      title={
+        isAll ? 'Methods must match all selected values' : 'Methods may match any selected value'
+      }
+    >
+      {isAll ? 'all of' : 'any of'}
+    </button>
+  );
+}
+
+/**
+ * Tag filter with type-ahead - tags are too numerous for chips
+ */
+function TagFilter({ tags, selected, counts, onChange }) {
+  const [query, setQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listId = useId();
+
+  // Prefix matches first, then other matches, most used tags first within each
+  const needle = query.trim().toLowerCase();
+  const suggestions = tags
+    .filter((tag) => !selected.includes(tag) && tag.toLowerCase().includes(needle))
+    .sort((a, b) => b.toLowerCase().startsWith(needle) - a.toLowerCase().startsWith(needle))
+    .slice(0, MAX_TAG_SUGGESTIONS);
+  const showSuggestions = isOpen && suggestions.length > 0;
+
+  const addTag = (tag) => {
+    onChange([...selected, tag]);
+    setQuery('');
+    setActiveIndex(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setIsOpen(true);
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (index + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' && showSuggestions) {
+      e.preventDefault();
+      addTag(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    } else if (e.key === 'Backspace' && !query && selected.length > 0) {
+      onChange(selected.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="tag-filter">
+      {selected.map((tag) => (
+        <button
+          key={tag}
+          type="button"
+          className="filter-chip filter-chip--active"
+          onClick={() => onChange(selected.filter((t) => t !== tag))}
+          aria-label={`Remove tag ${tag}`}
+        >
+          {tag}
+          <span className="filter-chip__remove">×</span>
+        </button>
+      ))}
+      <div className="tag-filter__field">
+        <input
+          type="text"
+          className="input tag-filter__input"
+          placeholder={selected.length > 0 ? 'Add tag…' : 'Type to find tags…'}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-label="Filter by tag"
+          aria-expanded={showSuggestions}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={showSuggestions ? `${listId}-${activeIndex}` : undefined}
+        />
+        {showSuggestions && (
+          <ul className="tag-filter__suggestions" id={listId} role="listbox">
+            {suggestions.map((tag, index) => (
+              <li
+                key={tag}
+                id={`${listId}-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`tag-filter__option ${index === activeIndex ? 'tag-filter__option--active' : ''}`}
+                // Pick on mousedown so the input keeps focus; keys are handled by the input
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  addTag(tag);
+                }}
+                onMouseEnter={() => setActiveIndex(index)}
+              >
+                {tag}
+                <span className="filter-chip__count">{counts[tag]}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
 /**
  * Filters panel component - refined design
  */
 export default function FiltersPanel() {
-  const { filters, allMethods, showFilters } = useAppState();
+  const { filters, allMethods, searchIndex, showFilters } = useAppState();
   const dispatch = useAppDispatch();
 
   if (!showFilters) return null;
 
   const filterOptions = getFilterOptions(allMethods);
 
+  // Chip counts are taken from the search results, so they add up with the method list
+  const searchResults = searchIndex
+    ? applyFiltersAndSearch(allMethods, searchIndex, {
+        ...FILTER_DEFAULTS,
+        searchQuery: filters.searchQuery,
+      })
+    : allMethods;
+
   const toggleArrayFilter = (filterName, value) => {
     const current = filters[filterName] || [];
     const updated = current.includes(value)
@@ -35,12 +181,57 @@ export default function FiltersPanel() {
     dispatch(actions.setFilters({ [filterName]: updated }));
   };
 
+  const setMatchMode = (group, mode) => {
+    dispatch(actions.setFilters({ matchModes: { ...filters.matchModes, [group]: mode } }));
+  };
+
+  const renderGroupHeader = (label, group) => (
+    <div className="filters-panel__group-header">
+      <span className="filters-panel__label">{label}</span>
+      {group in filters.matchModes && (
+        <MatchModeToggle
+          label={label}
+          mode={filters.matchModes[group]}
+          onChange={(mode) => setMatchMode(group, mode)}
+        />
+      )}
+    </div>
+  );
+
+  const renderChipGroup = (label, group, values, getLabel = (value) => value) => {
+    const counts = getFacetCounts(searchResults, filters, group, values);
+    return (
+      <div className="filters-panel__group">
+        {renderGroupHeader(label, group)}
+        <div className="filters-panel__chips">
+          {values.map((value) => (
+            <FilterChip
+              key={value}
+              label={getLabel(value)}
+              count={counts[value]}
+              isActive={filters[group].includes(value)}
+              onClick={() => toggleArrayFilter(group, value)}
+            />
+          ))}
+        </div>
+      </div>
+    );
+  };
+
   const hasActiveFilters =
     filters.pipelineStep ||
     (filters.modalities && filters.modalities.length > 0) ||
     (filters.tasks && filters.tasks.length > 0) ||
     (filters.maturityLevels && filters.maturityLevels.length > 0) ||
-    (filters.evidenceTypes && filters.evidenceTypes.length > 0);
+    (filters.evidenceTypes && filters.evidenceTypes.length > 0) ||
+    filters.automationLevels.length > 0 ||
+    filters.tags.length > 0 ||
+    filters.artifacts.length > 0 ||
+    filters.yearRange.min !== null ||
+    filters.yearRange.max !== null;
+
+  const { min: minYear, max: maxYear } = filters.yearRange;
+  const hasYearRange = minYear !== null || maxYear !== null;
 
   return (
     <div className="filters-panel animate-slide-up">
@@ -56,65 +247,54 @@ export default function FiltersPanel() {
         )}
       </div>
 
-      <div className="filters-panel__grid">
-        {/* Modalities */}
-        <div className="filters-panel__group">
-          <label className="filters-panel__label">Modality</label>
-          <div className="filters-panel__chips">
-            {filterOptions.modalities.map((mod) => (
-              <FilterChip
-                key={mod}
-                label={mod}
-                isActive={filters.modalities?.includes(mod)}
-                onClick={() => toggleArrayFilter('modalities', mod)}
-              />
-            ))}
-          </div>
-        </div>
+      <FilterPresets />
 
-        {/* Tasks */}
-        <div className="filters-panel__group">
-          <label className="filters-panel__label">Task</label>
-          <div className="filters-panel__chips">
-            {filterOptions.tasks.map((task) => (
-              <FilterChip
-                key={task}
-                label={task}
-                isActive={filters.tasks?.includes(task)}
-                onClick={() => toggleArrayFilter('tasks', task)}
-              />
-            ))}
-          </div>
-        </div>
+      <div className="filters-panel__grid">
+        {renderChipGroup('Modality', 'modalities', filterOptions.modalities)}
+        {renderChipGroup('Task', 'tasks', filterOptions.tasks)}
+        {renderChipGroup('Maturity', 'maturityLevels', filterOptions.maturityLevels)}
+        {renderChipGroup('Evidence', 'evidenceTypes', filterOptions.evidenceTypes)}
+        {renderChipGroup('Automation', 'automationLevels', filterOptions.automationLevels)}
+        {renderChipGroup(
+          'Artifacts',
+          'artifacts',
+          Object.keys(ARTIFACT_FILTERS),
+          (key) => ARTIFACT_FILTERS[key].label
+        )}
 
-        {/* Maturity */}
-        <div className="filters-panel__group">
-          <label className="filters-panel__label">Maturity</label>
-          <div className="filters-panel__chips">
-            {filterOptions.maturityLevels.map((level) => (
-              <FilterChip
-                key={level}
-                label={level}
-                isActive={filters.maturityLevels?.includes(level)}
-                onClick={() => toggleArrayFilter('maturityLevels', level)}
-              />
-            ))}
-          </div>
+        {/* Tags */}
+        <div className="filters-panel__group filters-panel__group--wide">
+          {renderGroupHeader('Tags', 'tags')}
+          <TagFilter
+            tags={filterOptions.tags}
+            selected={filters.tags}
+            counts={getFacetCounts(searchResults, filters, 'tags', filterOptions.tags)}
+            onChange={(tags) => dispatch(actions.setFilters({ tags }))}
+          />
         </div>
 
-        {/* Evidence Type */}
-        <div className="filters-panel__group">
-          <label className="filters-panel__label">Evidence</label>
-          <div className="filters-panel__chips">
-            {filterOptions.evidenceTypes.map((type) => (
-              <FilterChip
-                key={type}
-                label={type}
-                isActive={filters.evidenceTypes?.includes(type)}
-                onClick={() => toggleArrayFilter('evidenceTypes', type)}
-              />
-            ))}
+        {/* Publication year */}
+        <div className="filters-panel__group filters-panel__group--wide">
+          <div className="filters-panel__group-header">
+            <span className="filters-panel__label">Publication year</span>
+            <span className="filters-panel__hint">
+              {hasYearRange
+                ? `${minYear ?? filterOptions.yearRange.min}–${maxYear ?? filterOptions.yearRange.max}`
+                : 'Drag to select a range'}
+            </span>
+            {hasYearRange && (
+              <button
+                type="button"
+                className="btn btn--ghost btn--sm"
+                onClick={() =>
+                  dispatch(actions.setFilters({ yearRange: FILTER_DEFAULTS.yearRange }))
+                }
+              >
+                Clear
+              </button>
+            )}
           </div>
+          <YearHistogram />
         </div>
       </div>
     </div>
@@ -1,62 +1,7 @@
 import { Link, useLocation } from 'react-router-dom';
-import { useAppState, useAppDispatch, actions } from '@/lib';
+import SearchBox from './SearchBox';
 import '@/styles/header.css';
 
-/**
- * Search input with minimal design
- */
-function SearchBox() {
-  const { filters } = useAppState();
-  const dispatch = useAppDispatch();
-
-  const handleChange = (e) => {
-    dispatch(actions.setFilters({ searchQuery: e.target.value }));
-  };
-
-  const handleClear = () => {
-    dispatch(actions.setFilters({ searchQuery: '' }));
-  };
-
-  return (
-    <div className="search-box">
-      <svg
-        className="search-box__icon"
-        width="14"
-        height="14"
-        viewBox="0 0 24 24"
-        fill="none"
-        stroke="currentColor"
-        strokeWidth="2"
-        strokeLinecap="round"
-        strokeLinejoin="round"
-      >
-        <circle cx="11" cy="11" r="8" />
-        <path d="m21 21-4.35-4.35" />
-      </svg>
-      <input
-        type="text"
-        className="search-box__input"
-        placeholder="Search methods..."
-        value={filters.searchQuery || ''}
-        onChange={handleChange}
-        aria-label="Search methods"
-      />
-      {filters.searchQuery && (
-        <button
-          className="search-box__clear"
-          onClick={handleClear}
-          aria-label="Clear search"
-          type="button"
-        >
-          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-            <path d="M18 6 6 18M6 6l12 12" />
-          </svg>
-        </button>
-      )}
-    </div>
-  );
-}
-
 /**
  * Refined header component
  */
@@ -86,12 +31,24 @@ export default function Header() {
           >
             Explorer
           </Link>
+          <Link
+            to="/datasets"
+            className={`header__nav-link ${location.pathname.startsWith('/datasets') ? 'header__nav-link--active' : ''}`}
+          >
+            Datasets
+          </Link>
           <Link
             to="/relationships"
             className={`header__nav-link ${isActive('/relationships') ? 'header__nav-link--active' : ''}`}
           >
             Graph
           </Link>
+          <Link
+            to="/health"
+            className={`header__nav-link ${isActive('/health') ? 'header__nav-link--active' : ''}`}
+          >
+            Health
+          </Link>
           <Link
             to="/about"
             className={`header__nav-link ${isActive('/about') ? 'header__nav-link--active' : ''}`}
@@ -1,5 +1,14 @@
 import { useNavigate } from 'react-router-dom';
-import { useAppState, getMethodById, getRelatedMethods, getPipelineStepById } from '@/lib';
+import {
+  useAppState,
+  getMethodById,
+  getPipelineStepById,
+  getDatasetsForMethod,
+  getMethodRelations,
+  getSimilarMethods,
+} from '@/lib';
+import CiteMenu from './CiteMenu';
+import RelatedMethods from './RelatedMethods';
 import '@/styles/detail.css';
 
 /**
@@ -28,7 +37,7 @@ function formatPaperUrl(doiOrUrl) {
  */
 export default function MethodDetail({ methodId, onClose }) {
   const navigate = useNavigate();
-  const { data } = useAppState();
+  const { data, similarityIndex } = useAppState();
 
   if (!data) return null;
 
@@ -48,7 +57,14 @@ export default function MethodDetail({ methodId, onClose }) {
   }
 
   const step = getPipelineStepById(data, method.pipeline_step);
-  const relatedMethods = getRelatedMethods(data, methodId);
+  const datasets = getDatasetsForMethod(data, methodId);
+  const relations = getMethodRelations(data, methodId);
+  const similarMethods = similarityIndex
+    ? getSimilarMethods(similarityIndex, methodId).map((similar) => ({
+        ...getMethodById(data, similar.id),
+        ...similar,
+      }))
+    : [];
 
   const handleClose = () => {
     if (onClose) {
@@ -169,17 +185,19 @@ export default function MethodDetail({ methodId, onClose }) {
               <p className="method-detail__reference-meta">
                 {method.references.venue}, {method.references.year}, {method.references.doi_or_url}
               </p>
-              {method.references.doi_or_url && (
-                <a
-                  href={formatPaperUrl(method.references.doi_or_url)}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="btn btn--sm btn--secondary"
-                  style={{ marginTop: 'var(--sp-3)' }}
-                >
-                  View Paper →
-                </a>
-              )}
+              <div className="method-detail__reference-actions">
+                {method.references.doi_or_url && (
+                  <a
+                    href={formatPaperUrl(method.references.doi_or_url)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="btn btn--sm btn--secondary"
+                  >
+                    View Paper →
+                  </a>
+                )}
+                <CiteMenu methods={[method]} fileName={method.id} align="left" />
+              </div>
             </div>
           </section>
 
@@ -207,6 +225,34 @@ export default function MethodDetail({ methodId, onClose }) {
             </section>
           )}
 
+          {/* Datasets */}
+          {datasets.length > 0 && (
+            <section className="method-detail__section">
+              <h2 className="method-detail__section-title">Datasets</h2>
+              <div className="related-methods">
+                {datasets.map((dataset) => (
+                  <div
+                    key={dataset.id}
+                    className="related-method"
+                    onClick={() => navigate(`/datasets/${dataset.id}`)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        navigate(`/datasets/${dataset.id}`);
+                      }
+                    }}
+                    tabIndex={0}
+                    role="button"
+                    aria-label={`View dataset ${dataset.name}`}
+                  >
+                    <span className="related-method__name">{dataset.name}</span>
+                    <span className="related-method__relationship">{dataset.event_log_format}</span>
+                  </div>
+                ))}
+              </div>
+            </section>
+          )}
+
           {/* Tags */}
           {method.tags && method.tags.length > 0 && (
             <section className="method-detail__section">
@@ -219,28 +265,73 @@ export default function MethodDetail({ methodId, onClose }) {
             </section>
           )}
 
+          {/* Relations - typed links from the data, in both directions */}
+          {relations.length > 0 && (
+            <section className="method-detail__section">
+              <h2 className="method-detail__section-title">Relations</h2>
+              <div className="related-methods">
+                {relations.map((relation) => (
+                  <div
+                    key={`${relation.method.id}-${relation.type}-${relation.incoming}`}
+                    className="related-method"
+                    onClick={() => handleRelatedClick(relation.method.id)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        handleRelatedClick(relation.method.id);
+                      }
+                    }}
+                    tabIndex={0}
+                    role="button"
+                    aria-label={`${relation.label} ${relation.method.name}`}
+                  >
+                    <span className={`related-method__type related-method__type--${relation.type}`}>
+                      {relation.label}
+                    </span>
+                    <span className="related-method__name">
+                      {relation.method.name}
+                      {relation.note && (
+                        <span className="related-method__terms">{relation.note}</span>
+                      )}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </section>
+          )}
+
           {/* Related Methods */}
-          {relatedMethods.length > 0 && (
+          <RelatedMethods data={data} methodId={methodId} onSelect={handleRelatedClick} />
+
+          {/* More like this - methods with similar descriptions */}
+          {similarMethods.length > 0 && (
             <section className="method-detail__section">
-              <h2 className="method-detail__section-title">Related Methods</h2>
+              <h2 className="method-detail__section-title">More Like This</h2>
               <div className="related-methods">
-                {relatedMethods.map((related) => (
+                {similarMethods.map((similar) => (
                   <div
-                    key={related.id}
+                    key={similar.id}
                     className="related-method"
-                    onClick={() => handleRelatedClick(related.id)}
+                    onClick={() => handleRelatedClick(similar.id)}
                     onKeyDown={(e) => {
                       if (e.key === 'Enter' || e.key === ' ') {
                         e.preventDefault();
-                        handleRelatedClick(related.id);
+                        handleRelatedClick(similar.id);
                       }
                     }}
                     tabIndex={0}
                     role="button"
-                    aria-label={`View ${related.name}`}
+                    aria-label={`View ${similar.name}`}
                   >
-                    <span className="related-method__name">{related.name}</span>
-                    <span className="related-method__relationship">{related.relationship}</span>
+                    <span className="related-method__name">
+                      {similar.name}
+                      <span className="related-method__terms">
+                        {similar.sharedTerms.join(', ')}
+                      </span>
+                    </span>
+                    <span className="related-method__relationship">
+                      {Math.round(similar.score * 100)}% similar
+                    </span>
                   </div>
                 ))}
               </div>
@@ -1,5 +1,12 @@
 import { useNavigate } from 'react-router-dom';
-import { useAppState, useAppDispatch, actions } from '@/lib';
+import {
+  useAppState,
+  useAppDispatch,
+  actions,
+  getSearchTerms,
+  getMatchRanges,
+  getMatchedFields,
+} from '@/lib';
 
 /**
  * Format paper URL correctly
@@ -37,15 +44,42 @@ function formatStepName(stepId) {
   return names[stepId] || stepId;
 }
 
+/**
+ * Text with the matched search ranges marked
+ */
+function Highlight({ text, ranges }) {
+  if (!text || ranges.length === 0) return text || null;
+
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={start} className="search-hit">
+        {text.slice(start, end + 1)}
+      </mark>
+    );
+    position = end + 1;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+
+  return parts;
+}
+
 /**
  * Single method item - catalog row style
+ * Search results highlight the matched text and say which fields matched.
  */
-function MethodItem({ method }) {
+function MethodItem({ method, searchTerms }) {
   const navigate = useNavigate();
   const { isCompareMode, compareMethodIds } = useAppState();
   const dispatch = useAppDispatch();
 
   const isSelected = compareMethodIds.includes(method.id);
+  const { searchMatches } = method;
+  const matchedFields = getMatchedFields(searchMatches, searchTerms);
+  const rangesIn = (key, refIndex) => getMatchRanges(searchMatches, searchTerms, key, refIndex);
+  const hasTagMatch = matchedFields.includes('tags');
 
   const handleClick = () => {
     if (isCompareMode) {
@@ -82,8 +116,26 @@ function MethodItem({ method }) {
       )}
       
       <div className="method-item__main">
-        <h3 className="method-item__name">{method.name}</h3>
-        <p className="method-item__description">{method.short_description}</p>
+        <h3 className="method-item__name">
+          <Highlight text={method.name} ranges={rangesIn('name')} />
+        </h3>
+        <p className="method-item__description">
+          <Highlight text={method.short_description} ranges={rangesIn('short_description')} />
+        </p>
+
+        {hasTagMatch && (
+          <div className="method-item__keywords">
+            {method.tags.map((tag, index) => (
+              <span key={tag} className="method-item__keyword">
+                <Highlight text={tag} ranges={rangesIn('tags', index)} />
+              </span>
+            ))}
+          </div>
+        )}
+
+        {matchedFields.length > 0 && (
+          <p className="method-item__match">Matched in {matchedFields.join(', ')}</p>
+        )}
         
         <div className="method-item__meta">
           <span className="method-item__step">{formatStepName(method.pipeline_step)}</span>
@@ -182,6 +234,8 @@ export default function MethodList() {
     );
   }
 
+  const searchTerms = getSearchTerms(filters.searchQuery);
+
   if (filteredMethods.length === 0) {
     const hasFilters = filters.pipelineStep ||
       filters.modalities?.length > 0 ||
@@ -204,7 +258,7 @@ export default function MethodList() {
   return (
     <div className="method-list">
       {filteredMethods.map((method) => (
-        <MethodItem key={method.id} method={method} />
+        <MethodItem key={method.id} method={method} searchTerms={searchTerms} />
       ))}
     </div>
   );
@@ -0,0 +1,237 @@
+import { useMemo, useState } from 'react';
+import { computeNetworkMetrics } from '@/lib';
+
+const TOP_COUNT = 10;
+
+const METRICS = {
+  degree: {
+    label: 'Degree',
+    hint: 'Number of linked methods. High values are hubs.',
+    format: (value) => value,
+  },
+  betweenness: {
+    label: 'Betweenness',
+    hint: 'Share of shortest paths passing through the method. High values bridge groups.',
+    format: (value) => `${(value * 100).toFixed(1)}%`,
+  },
+  closeness: {
+    label: 'Closeness',
+    hint: 'How few hops the method is from all others.',
+    format: (value) => value.toFixed(2),
+  },
+};
+
+/**
+ * Clickable method name that highlights the method in the graph on hover or focus
+ */
+function MethodButton({ method, onHighlight, onSelect }) {
+  return (
+    <button
+      type="button"
+      className="network-metrics__method"
+      onClick={() => onSelect(method.id)}
+      onMouseEnter={() => onHighlight([method.id])}
+      onFocus={() => onHighlight([method.id])}
+      onBlur={() => onHighlight(null)}
+    >
+      <span className="network-metrics__swatch" style={{ background: method.color }} />
+      {method.name}
+    </button>
+  );
+}
+
+/**
+ * Network metrics for the graph as currently built - centrality rankings, components, bridges
+ * and isolates
+ */
+export default function NetworkMetricsPanel({ graph, onHighlight, onSelect, onClose }) {
+  const [metric, setMetric] = useState('degree');
+
+  const metrics = useMemo(
+    () =>
+      computeNetworkMetrics(
+        graph.nodes.map((n) => n.id),
+        graph.links
+      ),
+    [graph]
+  );
+  const methodsById = useMemo(() => new Map(graph.nodes.map((n) => [n.id, n])), [graph]);
+
+  const ranking = [...metrics[metric].entries()]
+    .filter(([, value]) => value > 0)
+    .sort(
+      (a, b) => b[1] - a[1] || methodsById.get(a[0]).name.localeCompare(methodsById.get(b[0]).name)
+    )
+    .slice(0, TOP_COUNT);
+  const linkedComponents = metrics.components.filter((component) => component.length > 1);
+
+  return (
+    <aside
+      className="network-metrics"
+      aria-label="Network metrics"
+      onMouseLeave={() => onHighlight(null)}
+    >
+      <div className="network-metrics__header">
+        <h3 className="network-metrics__title">Network metrics</h3>
+        <button
+          type="button"
+          className="network-metrics__close"
+          onClick={onClose}
+          aria-label="Close network metrics"
+        >
+          ×
+        </button>
+      </div>
+
+      <p className="network-metrics__summary">
+        {graph.nodes.length} methods · {graph.links.length} links · {metrics.components.length}{' '}
+        component{metrics.components.length !== 1 ? 's' : ''} · {metrics.isolates.length} isolated
+      </p>
+
+      {/* Centrality rankings */}
+      <section className="network-metrics__section">
+        <div className="network-metrics__tabs" role="group" aria-label="Ranking">
+          {Object.entries(METRICS).map(([key, { label }]) => (
+            <button
+              key={key}
+              type="button"
+              className={`network-metrics__tab ${metric === key ? 'network-metrics__tab--active' : ''}`}
+              onClick={() => setMetric(key)}
+              aria-pressed={metric === key}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <p className="network-metrics__hint">{METRICS[metric].hint}</p>
+        {ranking.length > 0 ? (
+          <table className="network-metrics__table">
+            <tbody>
+              {ranking.map(([id, value], i) => (
+                <tr key={id}>
+                  <td className="network-metrics__rank">{i + 1}</td>
+                  <td>
+                    <MethodButton
+                      method={methodsById.get(id)}
+                      onHighlight={onHighlight}
+                      onSelect={onSelect}
+                    />
+                  </td>
+                  <td className="network-metrics__value">{METRICS[metric].format(value)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="network-metrics__hint">No method scores above zero.</p>
+        )}
+      </section>
+
+      {/* Connected components */}
+      <section className="network-metrics__section">
+        <h4 className="network-metrics__section-title">Connected components</h4>
+        {linkedComponents.length > 0 ? (
+          <ul className="network-metrics__list">
+            {linkedComponents.map((component, i) => (
+              <li key={component[0]}>
+                <button
+                  type="button"
+                  className="network-metrics__method"
+                  onMouseEnter={() => onHighlight(component)}
+                  onFocus={() => onHighlight(component)}
+                  onBlur={() => onHighlight(null)}
+                >
+                  Component {i + 1}
+                  <span className="network-metrics__value">
+                    {component.length} methods (
+                    {Math.round((component.length / graph.nodes.length) * 100)}%)
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="network-metrics__hint">No methods are linked.</p>
+        )}
+      </section>
+
+      {/* Bridges: single links and methods holding a component together */}
+      <section className="network-metrics__section">
+        <h4 className="network-metrics__section-title">Bridges ({metrics.bridges.length})</h4>
+        {metrics.bridges.length > 0 ? (
+          <>
+            <p className="network-metrics__hint">
+              Links whose removal splits a component into two.
+            </p>
+            <ul className="network-metrics__list">
+              {metrics.bridges.map(({ source, target }) => (
+                <li key={`${source}--${target}`}>
+                  <button
+                    type="button"
+                    className="network-metrics__method network-metrics__bridge"
+                    onMouseEnter={() => onHighlight([source, target])}
+                    onFocus={() => onHighlight([source, target])}
+                    onBlur={() => onHighlight(null)}
+                  >
+                    <span>{methodsById.get(source).name}</span>
+                    <span className="network-metrics__bridge-link" aria-label="linked to">
+                      ↔
+                    </span>
+                    <span>{methodsById.get(target).name}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          <p className="network-metrics__hint">No single link holds a component together.</p>
+        )}
+        {metrics.articulationPoints.length > 0 && (
+          <>
+            <p className="network-metrics__hint">
+              Methods whose removal splits a component ({metrics.articulationPoints.length}):
+            </p>
+            <ul className="network-metrics__list">
+              {metrics.articulationPoints.map((id) => (
+                <li key={id}>
+                  <MethodButton
+                    method={methodsById.get(id)}
+                    onHighlight={onHighlight}
+                    onSelect={onSelect}
+                  />
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </section>
+
+      {/* Isolated methods */}
+      <section className="network-metrics__section">
+        <h4 className="network-metrics__section-title">
+          Isolated methods ({metrics.isolates.length})
+        </h4>
+        {metrics.isolates.length > 0 ? (
+          <>
+            <p className="network-metrics__hint">
+              No links in the current graph. Consider adding related_method_ids or relations.
+            </p>
+            <ul className="network-metrics__list">
+              {metrics.isolates.map((id) => (
+                <li key={id}>
+                  <MethodButton
+                    method={methodsById.get(id)}
+                    onHighlight={onHighlight}
+                    onSelect={onSelect}
+                  />
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          <p className="network-metrics__hint">Every method has at least one link.</p>
+        )}
+      </section>
+    </aside>
+  );
+}
@@ -0,0 +1,60 @@
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Popover menu - a toggle button with a panel that closes on outside click and Escape
+ * The panel contents are only rendered while the menu is open.
+ */
+export default function PopoverMenu({
+  label,
+  panelLabel,
+  disabled = false,
+  align = 'right',
+  className = '',
+  children,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handlePointerDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false);
+    };
+
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen]);
+
+  const classes = ['popover-menu', align === 'left' ? 'popover-menu--left' : '', className];
+
+  return (
+    <div className={classes.filter(Boolean).join(' ')} ref={menuRef}>
+      <button
+        type="button"
+        className="btn btn--sm btn--secondary"
+        onClick={() => setIsOpen((open) => !open)}
+        disabled={disabled}
+        aria-expanded={isOpen}
+        aria-haspopup="dialog"
+      >
+        {label}
+      </button>
+
+      {isOpen && (
+        <div className="popover-menu__panel" role="dialog" aria-label={panelLabel || label}>
+          {children}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import {
+  getRelatedMethods,
+  loadRelatedWeights,
+  saveRelatedWeights,
+  RELATEDNESS_FACTORS,
+  DEFAULT_RELATED_WEIGHTS,
+} from '@/lib';
+
+/**
+ * Sliders for the related-methods scoring weights
+ */
+function RelatedWeights({ weights, onChange, onReset }) {
+  return (
+    <div className="related-weights">
+      {Object.entries(RELATEDNESS_FACTORS).map(([key, factor]) => (
+        <label key={key} className="related-weights__row">
+          <span className="related-weights__label">
+            {factor.label}
+            {factor.perValue && <span className="related-weights__hint"> (each)</span>}
+          </span>
+          <input
+            type="range"
+            min="0"
+            max={factor.max}
+            step="0.05"
+            value={weights[key]}
+            onChange={(e) => onChange({ ...weights, [key]: parseFloat(e.target.value) })}
+          />
+          <output className="related-weights__value">{weights[key].toFixed(2)}</output>
+        </label>
+      ))}
+      <button type="button" className="btn btn--sm btn--ghost" onClick={onReset}>
+        Reset weights
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Related methods, scored on links, shared metadata and pipeline position
+ * Each item explains its score; the weights are adjustable and shared with the relationship graph.
+ */
+export default function RelatedMethods({ data, methodId, onSelect }) {
+  const [weights, setWeights] = useState(loadRelatedWeights);
+  const [showWeights, setShowWeights] = useState(false);
+
+  const relatedMethods = getRelatedMethods(data, methodId, { weights });
+
+  const updateWeights = (next) => {
+    setWeights(next);
+    saveRelatedWeights(next);
+  };
+
+  return (
+    <section className="method-detail__section">
+      <div className="related-methods__header">
+        <h2 className="method-detail__section-title">Related Methods</h2>
+        <button
+          type="button"
+          className="btn btn--sm btn--ghost"
+          onClick={() => setShowWeights(!showWeights)}
+          aria-expanded={showWeights}
+        >
+          {showWeights ? 'Hide weights' : 'Adjust weights'}
+        </button>
+      </div>
+
+      {showWeights && (
+        <RelatedWeights
+          weights={weights}
+          onChange={updateWeights}
+          onReset={() => updateWeights(DEFAULT_RELATED_WEIGHTS)}
+        />
+      )}
+
+      {relatedMethods.length > 0 ? (
+        <div className="related-methods">
+          {relatedMethods.map((related) => (
+            <div
+              key={related.id}
+              className="related-method"
+              onClick={() => onSelect(related.id)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                  e.preventDefault();
+                  onSelect(related.id);
+                }
+              }}
+              tabIndex={0}
+              role="button"
+              aria-label={`View ${related.name}`}
+            >
+              <span className="related-method__name">
+                {related.name}
+                <span className="related-method__terms">{related.explanation}</span>
+              </span>
+              <span className="related-method__relationship" title="Relatedness score">
+                {related.score.toFixed(2)}
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="related-methods__empty">No related methods with the current weights.</p>
+      )}
+    </section>
+  );
+}
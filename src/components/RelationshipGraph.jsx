@@ -1,7 +1,17 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
-import { createRelationshipGraph, RELATIONSHIP_TYPES } from '@/viz/RelationshipGraphViz';
-import { useAppState, useAppDispatch, actions } from '@/lib';
+import {
+  createRelationshipGraph,
+  RELATIONSHIP_TYPES,
+  CLUSTER_OPTIONS,
+} from '@/viz/RelationshipGraphViz';
+import { useAppState, useAppDispatch, actions, getTextSimilarity, loadRelatedWeights } from '@/lib';
 import { useNavigate } from 'react-router-dom';
+import NetworkMetricsPanel from './NetworkMetricsPanel';
+
+// Edge types that can be hidden in focus mode: relations from the data and computed similarity
+const FOCUS_EDGE_TYPES = Object.keys(RELATIONSHIP_TYPES).filter(
+  (type) => RELATIONSHIP_TYPES[type].explicit || type === 'similar'
+);
 
 /**
  * Relationship Graph React wrapper component
@@ -10,17 +20,83 @@ import { useNavigate } from 'react-router-dom';
 export default function RelationshipGraph({ height = 600 }) {
   const containerRef = useRef(null);
   const vizRef = useRef(null);
-  const { data, selectedMethodId, filteredMethods } = useAppState();
+  const { data, selectedMethodId, filteredMethods, similarityIndex } = useAppState();
   const dispatch = useAppDispatch();
   const navigate = useNavigate();
 
   // Visualization options state
   const [showClusters, setShowClusters] = useState(true);
+  const [clusterBy, setClusterBy] = useState('pipelineStep');
+  const [clusters, setClusters] = useState([]);
+  const [highlightedCluster, setHighlightedCluster] = useState(null);
   const [showLabels, setShowLabels] = useState(true);
   const [showSimilar, setShowSimilar] = useState(true);
   const [similarityThreshold, setSimilarityThreshold] = useState(0.3);
+  const [similaritySource, setSimilaritySource] = useState('metadata');
+  // Weights are adjusted on the method detail page
+  const [relatedWeights] = useState(loadRelatedWeights);
   const [nodeSpacing, setNodeSpacing] = useState(1.5);
   const [hoveredMethod, setHoveredMethod] = useState(null);
+  const [showMetrics, setShowMetrics] = useState(false);
+  const [graph, setGraph] = useState(null);
+
+  // Focus mode: the trail of focused methods, the last one is shown
+  const [focusTrail, setFocusTrail] = useState([]);
+  const [focusDepth, setFocusDepth] = useState(1);
+  const [hiddenEdgeTypes, setHiddenEdgeTypes] = useState([]);
+  const focusMethodId = focusTrail.length > 0 ? focusTrail[focusTrail.length - 1] : null;
+
+  // Text similarity from method descriptions, an alternative to shared metadata
+  const textSimilarity = useCallback(
+    (idA, idB) => (similarityIndex ? getTextSimilarity(similarityIndex, idA, idB) : 0),
+    [similarityIndex]
+  );
+
+  // Clicking the highlighted cluster again clears the highlight
+  const handleClusterClick = useCallback((clusterId) => {
+    setHighlightedCluster((current) => (current === clusterId ? null : clusterId));
+  }, []);
+
+  const handleClusterByChange = (value) => {
+    setClusterBy(value);
+    setHighlightedCluster(null);
+  };
+
+  // Highlighting is applied in place; the ref carries it over when the graph is rebuilt
+  const highlightedClusterRef = useRef(null);
+  useEffect(() => {
+    highlightedClusterRef.current = highlightedCluster;
+    vizRef.current?.highlightCluster?.(highlightedCluster);
+  }, [highlightedCluster]);
+
+  // Focusing a method already in the trail goes back to it
+  const handleFocus = useCallback((methodId) => {
+    setFocusTrail((trail) => {
+      const index = trail.indexOf(methodId);
+      return index >= 0 ? trail.slice(0, index + 1) : [...trail, methodId];
+    });
+    setHighlightedCluster(null);
+  }, []);
+
+  const handleClearFocus = useCallback(() => {
+    setFocusTrail([]);
+    setHighlightedCluster(null);
+  }, []);
+
+  const toggleEdgeType = (type) => {
+    setHiddenEdgeTypes((hidden) =>
+      hidden.includes(type) ? hidden.filter((t) => t !== type) : [...hidden, type]
+    );
+  };
+
+  const handleHighlightNodes = useCallback((ids) => {
+    vizRef.current?.highlightNodes?.(ids);
+  }, []);
+
+  const handleCloseMetrics = () => {
+    setShowMetrics(false);
+    handleHighlightNodes(null);
+  };
 
   // Zoom controls
   const handleZoomIn = useCallback(() => {
@@ -39,16 +115,16 @@ export default function RelationshipGraph({ height = 600 }) {
     if (vizRef.current) vizRef.current.resetSimulation();
   }, []);
 
-  // Keyboard shortcuts for zoom
+  // Keyboard shortcuts for zoom, only while the graph has focus so they
+  // don't clash with the global shortcuts or typing elsewhere on the page
+  // (the canvas is only rendered once data has loaded)
   useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
     const handleKeyDown = (e) => {
-      // Only handle if graph container is focused or no input is focused
-      const activeElement = document.activeElement;
-      const isInputFocused = activeElement.tagName === 'INPUT' || 
-                             activeElement.tagName === 'TEXTAREA' ||
-                             activeElement.isContentEditable;
-      
-      if (isInputFocused) return;
+      // Leave browser shortcuts such as Ctrl+0 and Ctrl+R alone
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
 
       switch (e.key) {
         case '+':
@@ -67,19 +143,70 @@ export default function RelationshipGraph({ height = 600 }) {
           break;
         case 'r':
         case 'R':
-          if (!e.ctrlKey && !e.metaKey) {
-            e.preventDefault();
-            handleResetSimulation();
-          }
+          e.preventDefault();
+          handleResetSimulation();
+          break;
+        case 'Escape':
+          handleClearFocus();
           break;
         default:
           break;
       }
     };
 
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [handleZoomIn, handleZoomOut, handleZoomReset, handleResetSimulation]);
+    container.addEventListener('keydown', handleKeyDown);
+    return () => container.removeEventListener('keydown', handleKeyDown);
+  }, [data, handleZoomIn, handleZoomOut, handleZoomReset, handleResetSimulation, handleClearFocus]);
+
+  // Options for createRelationshipGraph, shared by the first render and re-renders on resize
+  const buildGraphOptions = useCallback(
+    () => ({
+      height,
+      selectedMethodId,
+      focusMethodId,
+      focusDepth,
+      hiddenEdgeTypes,
+      showClusters,
+      clusterBy,
+      highlightedCluster: highlightedClusterRef.current,
+      showLabels,
+      nodeSpacing,
+      linkOptions: {
+        showSimilarMethods: showSimilar,
+        similarityThreshold,
+        similaritySource,
+        textSimilarity,
+        relatedWeights,
+      },
+      onMethodClick: (method) => handleFocus(method.id),
+      onMethodHover: (method) => {
+        setHoveredMethod(method);
+        dispatch(actions.setHoveredMethod(method?.id || null));
+      },
+      onClusterClick: handleClusterClick,
+      onClustersChange: setClusters,
+      onGraphChange: setGraph,
+    }),
+    [
+      height,
+      selectedMethodId,
+      focusMethodId,
+      focusDepth,
+      hiddenEdgeTypes,
+      showClusters,
+      clusterBy,
+      showLabels,
+      nodeSpacing,
+      showSimilar,
+      similarityThreshold,
+      similaritySource,
+      textSimilarity,
+      relatedWeights,
+      dispatch,
+      handleClusterClick,
+      handleFocus,
+    ]
+  );
 
   // Initialize visualization
   useEffect(() => {
@@ -97,24 +224,7 @@ export default function RelationshipGraph({ height = 600 }) {
         methods: filteredMethods.length > 0 ? filteredMethods : data.methods,
       };
 
-      vizRef.current = createRelationshipGraph(container, vizData, {
-        height,
-        selectedMethodId,
-        showClusters,
-        showLabels,
-        nodeSpacing,
-        linkOptions: {
-          showSimilarMethods: showSimilar,
-          similarityThreshold,
-        },
-        onMethodClick: (method) => {
-          navigate(`/methods/${method.id}`);
-        },
-        onMethodHover: (method) => {
-          setHoveredMethod(method);
-          dispatch(actions.setHoveredMethod(method?.id || null));
-        },
-      });
+      vizRef.current = createRelationshipGraph(container, vizData, buildGraphOptions());
     };
 
     const rafId = requestAnimationFrame(initViz);
@@ -125,7 +235,7 @@ export default function RelationshipGraph({ height = 600 }) {
         vizRef.current.destroy();
       }
     };
-  }, [data, filteredMethods, showClusters, showLabels, showSimilar, similarityThreshold, nodeSpacing, height, selectedMethodId, navigate, dispatch]);
+  }, [data, filteredMethods, buildGraphOptions]);
 
   // Handle resize
   useEffect(() => {
@@ -138,24 +248,11 @@ export default function RelationshipGraph({ height = 600 }) {
           methods: filteredMethods.length > 0 ? filteredMethods : data.methods,
         };
 
-        vizRef.current = createRelationshipGraph(containerRef.current, vizData, {
-          height,
-          selectedMethodId,
-          showClusters,
-          showLabels,
-          nodeSpacing,
-          linkOptions: {
-            showSimilarMethods: showSimilar,
-            similarityThreshold,
-          },
-          onMethodClick: (method) => {
-            navigate(`/methods/${method.id}`);
-          },
-          onMethodHover: (method) => {
-            setHoveredMethod(method);
-            dispatch(actions.setHoveredMethod(method?.id || null));
-          },
-        });
+        vizRef.current = createRelationshipGraph(
+          containerRef.current,
+          vizData,
+          buildGraphOptions()
+        );
       }
     };
 
@@ -170,7 +267,7 @@ export default function RelationshipGraph({ height = 600 }) {
       window.removeEventListener('resize', debouncedResize);
       clearTimeout(resizeTimeout);
     };
-  }, [data, filteredMethods, showClusters, showLabels, showSimilar, similarityThreshold, nodeSpacing, height, selectedMethodId, navigate, dispatch]);
+  }, [data, filteredMethods, buildGraphOptions]);
 
   if (!data) {
     return (
@@ -196,6 +293,18 @@ export default function RelationshipGraph({ height = 600 }) {
             <span>Show Clusters</span>
           </label>
 
+          {/* Clustering */}
+          <label className="relationship-graph__select">
+            <span>Cluster by</span>
+            <select value={clusterBy} onChange={(e) => handleClusterByChange(e.target.value)}>
+              {Object.entries(CLUSTER_OPTIONS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+
           {/* Labels toggle */}
           <label className="relationship-graph__toggle">
             <input
@@ -216,6 +325,21 @@ export default function RelationshipGraph({ height = 600 }) {
             <span>Similar Methods</span>
           </label>
 
+          {/* Similarity source */}
+          {showSimilar && (
+            <label className="relationship-graph__select">
+              <span>Based on</span>
+              <select
+                value={similaritySource}
+                onChange={(e) => setSimilaritySource(e.target.value)}
+              >
+                <option value="metadata">Shared metadata</option>
+                <option value="text">Description text</option>
+                <option value="combined">Both</option>
+              </select>
+            </label>
+          )}
+
           {/* Similarity threshold */}
           {showSimilar && (
             <div className="relationship-graph__slider">
@@ -251,6 +375,21 @@ export default function RelationshipGraph({ height = 600 }) {
             Zoom in for more details
           </span>
 
+          {/* Network metrics panel */}
+          <button
+            className={`relationship-graph__btn ${showMetrics ? 'relationship-graph__btn--active' : ''}`}
+            onClick={() => (showMetrics ? handleCloseMetrics() : setShowMetrics(true))}
+            title="Network Metrics"
+            aria-label="Network metrics"
+            aria-pressed={showMetrics}
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="20" x2="18" y2="10" />
+              <line x1="12" y1="20" x2="12" y2="4" />
+              <line x1="6" y1="20" x2="6" y2="14" />
+            </svg>
+          </button>
+
           {/* Zoom controls */}
           <button
             className="relationship-graph__btn"
@@ -301,14 +440,100 @@ export default function RelationshipGraph({ height = 600 }) {
         </div>
       </div>
 
+      {/* Focus mode: breadcrumb trail and neighborhood options */}
+      {focusMethodId && (
+        <div className="relationship-graph__focus">
+          <nav className="relationship-graph__breadcrumbs" aria-label="Focus trail">
+            <button
+              type="button"
+              className="relationship-graph__crumb"
+              onClick={handleClearFocus}
+              title="Show all methods (Esc)"
+            >
+              All methods
+            </button>
+            {focusTrail.map((id, i) => {
+              const name = data.methods.find((m) => m.id === id)?.name || id;
+              return (
+                <span key={id} className="relationship-graph__crumb-item">
+                  <span className="relationship-graph__crumb-separator" aria-hidden="true">
+                    ›
+                  </span>
+                  {i === focusTrail.length - 1 ? (
+                    <span
+                      className="relationship-graph__crumb relationship-graph__crumb--current"
+                      aria-current="location"
+                    >
+                      {name}
+                    </span>
+                  ) : (
+                    <button
+                      type="button"
+                      className="relationship-graph__crumb"
+                      onClick={() => handleFocus(id)}
+                    >
+                      {name}
+                    </button>
+                  )}
+                </span>
+              );
+            })}
+          </nav>
+
+          <div className="relationship-graph__focus-options">
+            <label className="relationship-graph__select">
+              <span>Neighborhood</span>
+              <select
+                value={focusDepth}
+                onChange={(e) => setFocusDepth(parseInt(e.target.value, 10))}
+              >
+                <option value={1}>1 hop</option>
+                <option value={2}>2 hops</option>
+                <option value={3}>3 hops</option>
+              </select>
+            </label>
+
+            {FOCUS_EDGE_TYPES.filter((type) => type !== 'similar' || showSimilar).map((type) => (
+              <label key={type} className="relationship-graph__toggle">
+                <input
+                  type="checkbox"
+                  checked={!hiddenEdgeTypes.includes(type)}
+                  onChange={() => toggleEdgeType(type)}
+                />
+                <span>{RELATIONSHIP_TYPES[type].label}</span>
+              </label>
+            ))}
+
+            <button
+              type="button"
+              className="btn btn--sm btn--ghost"
+              onClick={() => navigate(`/methods/${focusMethodId}`)}
+            >
+              View method
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Graph Container */}
-      <div
-        ref={containerRef}
-        className="relationship-graph__canvas"
-        style={{ height: `${height}px` }}
-        role="application"
-        aria-label="Method relationship graph - use scroll to zoom, drag nodes to reposition, press + or - to zoom"
-      />
+      <div className="relationship-graph__stage">
+        <div
+          ref={containerRef}
+          className="relationship-graph__canvas"
+          style={{ height: `${height}px` }}
+          role="application"
+          aria-label="Method relationship graph - use scroll to zoom, drag nodes to reposition, press + or - to zoom"
+        />
+
+        {showMetrics && graph && (
+          <NetworkMetricsPanel
+            graph={graph}
+            onHighlight={handleHighlightNodes}
+            onSelect={handleFocus}
+            onClose={handleCloseMetrics}
+          />
+        )}
+      </div>
 
       {/* Legend */}
       <div className="relationship-graph__legend">
@@ -333,14 +558,44 @@ export default function RelationshipGraph({ height = 600 }) {
             ))}
           </div>
         </div>
+
+        <div className="relationship-graph__legend-section">
+          <span className="relationship-graph__legend-title">
+            Clusters: {CLUSTER_OPTIONS[clusterBy]}
+          </span>
+          <div className="relationship-graph__legend-items">
+            {clusters.map((cluster) => (
+              <button
+                key={cluster.id}
+                type="button"
+                className={`relationship-graph__legend-item relationship-graph__legend-cluster ${
+                  highlightedCluster === cluster.id ? 'relationship-graph__legend-cluster--active' : ''
+                }`}
+                onClick={() => handleClusterClick(cluster.id)}
+                aria-pressed={highlightedCluster === cluster.id}
+              >
+                <span
+                  className="relationship-graph__legend-swatch"
+                  style={{ background: cluster.color }}
+                />
+                <span>{cluster.name}</span>
+                <span className="relationship-graph__legend-count">{cluster.size}</span>
+              </button>
+            ))}
+          </div>
+        </div>
       </div>
 
       {/* Hover Info Card */}
       {hoveredMethod && (
-        <div className="relationship-graph__hover-card">
+        <div
+          className={`relationship-graph__hover-card ${
+            showMetrics ? 'relationship-graph__hover-card--shifted' : ''
+          }`}
+        >
           <h4>{hoveredMethod.name}</h4>
           <div className="relationship-graph__hover-meta">
-            <span className="relationship-graph__hover-step" style={{ color: hoveredMethod.color }}>
+            <span className="relationship-graph__hover-step" style={{ color: hoveredMethod.stepColor }}>
               {hoveredMethod.pipelineStep.replace(/_/g, ' ')}
             </span>
             {hoveredMethod.year && <span>• {hoveredMethod.year}</span>}
@@ -353,7 +608,8 @@ export default function RelationshipGraph({ height = 600 }) {
             ))}
           </div>
           <p className="relationship-graph__hover-hint">
-            {hoveredMethod.degree} connection{hoveredMethod.degree !== 1 ? 's' : ''}
+            {hoveredMethod.degree} connection{hoveredMethod.degree !== 1 ? 's' : ''} · Click to
+            focus
           </p>
         </div>
       )}
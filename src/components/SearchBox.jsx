@@ -0,0 +1,217 @@
+import { useState, useId } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import {
+  useAppState,
+  useAppDispatch,
+  actions,
+  isSearchActive,
+  parseSearchQuery,
+  getSearchSuggestions,
+  loadRecentSearches,
+  saveRecentSearches,
+  addRecentSearch,
+  matchRecentSearches,
+  SUGGESTION_TYPES,
+} from '@/lib';
+
+const QUERY_SYNTAX_HINT =
+  'Combine words, "exact phrases", field:value (venue, author, tag, modality, step, ...), ' +
+  'year:>2020, -exclude and OR';
+
+/**
+ * Search input with autocomplete
+ * Suggests methods, tags, authors and venues while typing and recent queries when empty.
+ * Query syntax errors are shown below the input; the query is then searched as plain text.
+ */
+export default function SearchBox() {
+  const { filters, allMethods } = useAppState();
+  const dispatch = useAppDispatch();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [recent, setRecent] = useState(loadRecentSearches);
+  const listId = useId();
+
+  const query = filters.searchQuery || '';
+  const queryError = isSearchActive(filters) ? parseSearchQuery(query).error : null;
+
+  const updateRecent = (next) => {
+    setRecent(next);
+    saveRecentSearches(next);
+  };
+
+  const rememberQuery = (value) => updateRecent(addRecentSearch(recent, value));
+
+  // Recent queries matching the input come first, then dataset suggestions
+  const recentItems = matchRecentSearches(recent, query).map((q) => ({
+    type: 'recent',
+    label: q,
+    query: q,
+  }));
+  const items = [...recentItems, ...getSearchSuggestions(allMethods, query)];
+  const showItems = isOpen && items.length > 0;
+
+  const setQuery = (value) => {
+    dispatch(actions.setFilters({ searchQuery: value }));
+  };
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const pick = (item) => {
+    close();
+    if (item.methodId) {
+      rememberQuery(query);
+      navigate(`/methods/${item.methodId}`);
+      return;
+    }
+    setQuery(item.query);
+    rememberQuery(item.query);
+    // Results are listed in the explorer
+    if (location.pathname !== '/') navigate('/');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setIsOpen(true);
+      if (items.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (index + step + items.length + 1) % (items.length + 1));
+    } else if (e.key === 'Enter') {
+      if (showItems && items[activeIndex]) {
+        e.preventDefault();
+        pick(items[activeIndex]);
+      } else {
+        rememberQuery(query);
+        close();
+      }
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  const handleChange = (e) => {
+    setQuery(e.target.value);
+    setActiveIndex(-1);
+    setIsOpen(true);
+  };
+
+  const handleBlur = () => {
+    if (isSearchActive(filters)) rememberQuery(query);
+    close();
+  };
+
+  const handleClear = () => {
+    setQuery('');
+  };
+
+  return (
+    <div className="search-box">
+      <svg
+        className="search-box__icon"
+        width="14"
+        height="14"
+        viewBox="0 0 24 24"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="2"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      >
+        <circle cx="11" cy="11" r="8" />
+        <path d="m21 21-4.35-4.35" />
+      </svg>
+      <input
+        type="text"
+        className="search-box__input"
+        placeholder="Search methods..."
+        value={query}
+        onChange={handleChange}
+        onFocus={() => setIsOpen(true)}
+        onBlur={handleBlur}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-label="Search methods"
+        aria-expanded={showItems}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={
+          showItems && items[activeIndex] ? `${listId}-${activeIndex}` : undefined
+        }
+        title={QUERY_SYNTAX_HINT}
+        aria-invalid={Boolean(queryError)}
+        aria-describedby={queryError ? 'search-box-error' : undefined}
+      />
+      {query && (
+        <button
+          className="search-box__clear"
+          onClick={handleClear}
+          aria-label="Clear search"
+          type="button"
+        >
+          <svg
+            width="12"
+            height="12"
+            viewBox="0 0 24 24"
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="2"
+          >
+            <path d="M18 6 6 18M6 6l12 12" />
+          </svg>
+        </button>
+      )}
+      {showItems && (
+        <div className="search-box__suggestions">
+          <ul className="search-box__options" id={listId} role="listbox" aria-label="Suggestions">
+            {items.map((item, index) => (
+              <li
+                key={`${item.type}-${item.label}`}
+                id={`${listId}-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`search-box__option ${index === activeIndex ? 'search-box__option--active' : ''}`}
+                // Pick on mousedown so the input keeps focus; keys are handled by the input
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(item);
+                }}
+                onMouseEnter={() => setActiveIndex(index)}
+              >
+                <span className="search-box__option-label">{item.label}</span>
+                <span className="search-box__option-type">
+                  {item.type === 'recent' ? 'Recent' : SUGGESTION_TYPES[item.type].label}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {recentItems.length > 0 && (
+            <div className="search-box__footer">
+              <button
+                type="button"
+                className="btn btn--sm btn--ghost"
+                // Keep focus in the input so the list stays open
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => {
+                  updateRecent([]);
+                  setActiveIndex(-1);
+                }}
+              >
+                Clear history
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+      {queryError && !showItems && (
+        <div className="search-box__error" id="search-box-error" role="status">
+          {queryError} – searching as plain text
+        </div>
+      )}
+    </div>
+  );
+}
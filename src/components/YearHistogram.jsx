@@ -0,0 +1,65 @@
+import { useRef, useEffect, useMemo } from 'react';
+import { createYearHistogram } from '@/viz/YearHistogramViz';
+import {
+  useAppState,
+  useAppDispatch,
+  actions,
+  applyFiltersAndSearch,
+  getYearCounts,
+  FILTER_DEFAULTS,
+} from '@/lib';
+
+/**
+ * Year histogram React wrapper - brush to filter by publication year
+ */
+export default function YearHistogram() {
+  const containerRef = useRef(null);
+  const vizRef = useRef(null);
+  const { allMethods, searchIndex, filters } = useAppState();
+  const dispatch = useAppDispatch();
+  const { yearRange } = filters;
+
+  // Bars show the methods matching every filter except the year range itself
+  const years = useMemo(() => {
+    if (!searchIndex) return [];
+    const matching = applyFiltersAndSearch(allMethods, searchIndex, {
+      ...filters,
+      yearRange: FILTER_DEFAULTS.yearRange,
+    });
+    return getYearCounts(allMethods, matching);
+  }, [allMethods, searchIndex, filters]);
+
+  const yearRangeRef = useRef(yearRange);
+  yearRangeRef.current = yearRange;
+  const yearsRef = useRef(years);
+  yearsRef.current = years;
+
+  // The year axis only changes with the data; redraw on resize
+  const yearAxis = years.map((d) => d.year).join(',');
+  useEffect(() => {
+    if (!containerRef.current || !yearAxis) return undefined;
+
+    const render = () => {
+      vizRef.current?.destroy();
+      vizRef.current = createYearHistogram(containerRef.current, yearsRef.current, {
+        height: 110,
+        selection: yearRangeRef.current,
+        onBrush: (range) => dispatch(actions.setFilters({ yearRange: range })),
+      });
+    };
+
+    render();
+    window.addEventListener('resize', render);
+    return () => {
+      window.removeEventListener('resize', render);
+      vizRef.current?.destroy();
+      vizRef.current = null;
+    };
+  }, [yearAxis, dispatch]);
+
+  useEffect(() => {
+    vizRef.current?.update({ years, selection: yearRange });
+  }, [years, yearRange]);
+
+  return <div ref={containerRef} className="year-histogram" />;
+}
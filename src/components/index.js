@@ -4,6 +4,9 @@ export { default as LandscapeVisualization } from './LandscapeVisualization';
 export { default as RelationshipGraph } from './RelationshipGraph';
 export { default as MethodList } from './MethodList';
 export { default as MethodDetail } from './MethodDetail';
+export { default as CiteMenu } from './CiteMenu';
+export { default as ExportMenu } from './ExportMenu';
 export { default as FiltersPanel } from './FiltersPanel';
 export { CompareBar, ComparisonView } from './CompareView';
 export { default as ThemeToggle } from './ThemeToggle';
+export { default as CommandPalette } from './CommandPalette';
@@ -0,0 +1,268 @@
+/**
+ * Method authoring utilities
+ * Builds new method entries for the authoring scripts. Like validation.js,
+ * this module must stay free of Vite-specific imports.
+ */
+
+import { latexToText, parseBibtexAuthors } from './bibtex.js';
+
+/**
+ * Converts text to a kebab-case identifier
+ * @param {string} text - Text to convert
+ * @returns {string} Kebab-case identifier
+ */
+export function toKebabCase(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Generates a unique kebab-case method ID
+ * @param {string} text - Text to derive the ID from (usually the method name)
+ * @param {Array} existingIds - IDs already in use
+ * @returns {string} ID not contained in existingIds
+ */
+export function createMethodId(text, existingIds = []) {
+  const taken = new Set(existingIds);
+  const base = toKebabCase(text).split('-').slice(0, 6).join('-') || 'method';
+
+  let id = base;
+  for (let n = 2; taken.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Returns the current time in the timestamp format used by the catalog
+ * @param {Date} date - Date to format
+ * @returns {string} ISO 8601 timestamp without milliseconds
+ */
+export function createTimestamp(date = new Date()) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Orders the fields of a method entry like the schema declares them
+ * @param {Object} method - Method entry
+ * @param {Object} methodsSchema - Contents of methods.schema.json
+ * @returns {Object} Method entry with schema field order; unknown fields come last
+ */
+export function orderMethodFields(method, methodsSchema) {
+  const fieldOrder = Object.keys(methodsSchema.properties.methods.items.properties);
+  const ordered = {};
+
+  fieldOrder.forEach((field) => {
+    if (method[field] !== undefined) ordered[field] = method[field];
+  });
+  Object.keys(method).forEach((field) => {
+    if (!(field in ordered)) ordered[field] = method[field];
+  });
+
+  return ordered;
+}
+
+/**
+ * Adds method entries to the contents of methods.json
+ * Entries are appended in creation order, so existing entries never move.
+ * @param {Object} methodsFile - Contents of methods.json
+ * @param {Array} newMethods - Method entries to add
+ * @param {Object} methodsSchema - Contents of methods.schema.json
+ * @returns {Object} Updated contents of methods.json
+ */
+export function insertMethods(methodsFile, newMethods, methodsSchema) {
+  const added = [...newMethods]
+    .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id))
+    .map((method) => orderMethodFields(method, methodsSchema));
+
+  const lastUpdated = added.reduce(
+    (latest, method) => (method.updated_at > latest ? method.updated_at : latest),
+    methodsFile.metadata?.lastUpdated || ''
+  );
+
+  return {
+    ...methodsFile,
+    metadata: { ...methodsFile.metadata, lastUpdated },
+    methods: [...methodsFile.methods, ...added],
+  };
+}
+
+/**
+ * Counts how often each tag is used
+ * @param {Array} methods - All methods
+ * @returns {Array} Tags sorted by usage, most used first
+ */
+export function getTagUsage(methods) {
+  const counts = new Map();
+  methods.forEach((method) => {
+    (method.tags || []).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+  );
+}
+
+/**
+ * Suggests existing methods to link from a new entry
+ * Scores shared tags highest, then shared tasks, modalities and pipeline step.
+ * @param {Object} draft - The method being authored
+ * @param {Array} methods - All methods
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array} Suggested methods, best match first
+ */
+export function suggestRelatedMethods(draft, methods, limit = 8) {
+  const overlap = (a = [], b = []) => a.filter((value) => b.includes(value)).length;
+
+  return methods
+    .filter((method) => method.id !== draft.id)
+    .map((method) => ({
+      method,
+      score:
+        overlap(draft.tags, method.tags) * 3 +
+        overlap(draft.tasks, method.tasks) * 2 +
+        overlap(draft.modalities, method.modalities) +
+        (draft.pipeline_step === method.pipeline_step ? 1 : 0),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.method.id.localeCompare(b.method.id))
+    .slice(0, limit)
+    .map(({ method }) => method);
+}
+
+const TITLE_STOPWORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'for',
+  'from',
+  'in',
+  'of',
+  'on',
+  'the',
+  'to',
+  'towards',
+  'using',
+  'via',
+  'with',
+]);
+
+/**
+ * Placeholder text for required free-text fields of a draft
+ */
+export const DRAFT_PLACEHOLDER = 'TODO: fill in before publishing';
+
+/**
+ * Creates a draft method entry from a parsed BibTeX entry
+ * Free-text fields that cannot be derived from the citation get placeholders.
+ * Classification fields are left unset, so the schema rejects the draft until
+ * a reviewer picks them. Both are listed in needs_review.
+ * @param {Object} entry - Entry returned by parseBibtex
+ * @param {Object} options - Draft options
+ * @param {Array} options.existingIds - IDs already in use
+ * @param {Date} options.now - Creation time
+ * @returns {Object} Draft with method and needs_review (field names)
+ */
+export function createMethodDraft(entry, { existingIds, now = new Date() }) {
+  const field = (name) => (entry.fields[name] ? latexToText(entry.fields[name]) : '');
+  // Identifiers keep ~ and -- as written, so only protective braces are removed
+  const rawField = (name) =>
+    (entry.fields[name] || '')
+      .trim()
+      .replace(/^\{([^{}]*)\}$/, '$1')
+      .trim();
+  const needsReview = [];
+
+  const title = field('title');
+  const authors = entry.fields.author ? parseBibtexAuthors(entry.fields.author) : [];
+  const year = Number.parseInt(field('year'), 10);
+
+  const arxivId = field('archiveprefix').toLowerCase() === 'arxiv' ? rawField('eprint') : '';
+  const venue =
+    field('journal') ||
+    field('booktitle') ||
+    (arxivId ? 'arXiv Preprint' : '') ||
+    field('howpublished') ||
+    field('publisher') ||
+    field('institution');
+  const doi = rawField('doi').replace(/^https?:\/\/(dx\.)?doi\.org\//, '');
+  const doiOrUrl = doi
+    ? `https://doi.org/${doi}`
+    : rawField('url') || (arxivId ? `https://arxiv.org/abs/${arxivId}` : '');
+
+  if (!title) needsReview.push('name', 'references.paper_title');
+  if (authors.length === 0) needsReview.push('references.authors');
+  if (!venue) needsReview.push('references.venue');
+  if (Number.isNaN(year)) needsReview.push('references.year');
+  if (!doiOrUrl) needsReview.push('references.doi_or_url');
+
+  // Short ID in the style of the curated entries: author-year-title-words
+  const lastName = authors[0]?.split(',')[0] || '';
+  const titleWords = toKebabCase(title)
+    .split('-')
+    .filter((word) => word && !TITLE_STOPWORDS.has(word))
+    .slice(0, 3);
+  const id = createMethodId(
+    [lastName, Number.isNaN(year) ? '' : year, ...titleWords].filter(Boolean).join(' ') ||
+      entry.key,
+    existingIds
+  );
+
+  const abstract = field('abstract');
+  const shortDescription =
+    abstract.length >= 10
+      ? abstract.length > 500
+        ? `${abstract.slice(0, 497).replace(/\s+\S*$/, '')}...`
+        : abstract
+      : DRAFT_PLACEHOLDER;
+
+  const keywords = field('keywords')
+    .split(/[,;]/)
+    .map((keyword) => keyword.trim())
+    .filter(Boolean);
+
+  needsReview.push(
+    'pipeline_step',
+    ...(abstract ? [] : ['short_description']),
+    'algorithm_summary',
+    'inputs',
+    'outputs',
+    'modalities',
+    'tasks',
+    'maturity',
+    'automation_level',
+    'evidence_type'
+  );
+
+  const timestamp = createTimestamp(now);
+
+  return {
+    needs_review: needsReview,
+    method: {
+      id,
+      name: title || entry.key,
+      short_description: shortDescription,
+      algorithm_summary: DRAFT_PLACEHOLDER,
+      inputs: [DRAFT_PLACEHOLDER],
+      outputs: [DRAFT_PLACEHOLDER],
+      assumptions: [],
+      limitations: [],
+      references: {
+        paper_title: title,
+        authors,
+        venue,
+        year: Number.isNaN(year) ? now.getFullYear() : year,
+        doi_or_url: doiOrUrl,
+      },
+      artifacts: {},
+      tags: keywords,
+      related_method_ids: [],
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+  };
+}
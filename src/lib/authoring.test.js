@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createMethodDraft,
+  createMethodId,
+  createTimestamp,
+  toKebabCase,
+  DRAFT_PLACEHOLDER,
+} from './authoring';
+import { parseBibtex } from './bibtex';
+import { createDataValidator } from './validation';
+import methodsSchema from '../../data/methods.schema.json';
+import datasetsSchema from '../../data/datasets.schema.json';
+
+const now = new Date('2024-05-01T12:00:00Z');
+
+const draftFor = (bib, existingIds = []) =>
+  createMethodDraft(parseBibtex(bib)[0], { existingIds, now });
+
+describe('toKebabCase', () => {
+  it('strips accents and punctuation', () => {
+    expect(toKebabCase('  Röglinger’s Video-to-Model (v2)! ')).toBe(
+      'roglinger-s-video-to-model-v2'
+    );
+  });
+});
+
+describe('createMethodId', () => {
+  it('appends a counter when the ID is taken', () => {
+    expect(createMethodId('Video Mining', ['video-mining'])).toBe('video-mining-2');
+    expect(createMethodId('Video Mining', ['video-mining', 'video-mining-2'])).toBe(
+      'video-mining-3'
+    );
+  });
+
+  it('keeps the first six words and falls back to "method"', () => {
+    expect(createMethodId('one two three four five six seven')).toBe('one-two-three-four-five-six');
+    expect(createMethodId('!!!')).toBe('method');
+  });
+});
+
+describe('createTimestamp', () => {
+  it('drops milliseconds', () => {
+    expect(createTimestamp(new Date('2024-05-01T12:00:00.123Z'))).toBe('2024-05-01T12:00:00Z');
+  });
+});
+
+describe('createMethodDraft', () => {
+  it('builds the reference from the citation', () => {
+    const { method } = draftFor(`@article{k,
+      title = {Event Abstraction for Video Data},
+      author = {Jane Doe and John Smith},
+      journal = {Information Systems},
+      year = {2023},
+      doi = {https://doi.org/10.1000/xyz},
+      keywords = {video; event abstraction}
+    }`);
+
+    expect(method.id).toBe('doe-2023-event-abstraction-video');
+    expect(method.references).toEqual({
+      paper_title: 'Event Abstraction for Video Data',
+      authors: ['Doe, Jane', 'Smith, John'],
+      venue: 'Information Systems',
+      year: 2023,
+      doi_or_url: 'https://doi.org/10.1000/xyz',
+    });
+    expect(method.tags).toEqual(['video', 'event abstraction']);
+    expect(method.algorithm_summary).toBe(DRAFT_PLACEHOLDER);
+  });
+
+  it('falls back to arXiv for venue and link', () => {
+    const { method, needs_review } = draftFor(`@misc{k,
+      title = {Preprint}, author = {Doe, Jane}, year = {2024},
+      archivePrefix = {arXiv}, eprint = {2401.00001}
+    }`);
+    expect(method.references.venue).toBe('arXiv Preprint');
+    expect(method.references.doi_or_url).toBe('https://arxiv.org/abs/2401.00001');
+    expect(needs_review).not.toContain('references.venue');
+  });
+
+  it('keeps identifiers as written', () => {
+    const url = draftFor(`@misc{k,
+      title = {Tools}, url = {{https://example.org/~doe/tools--v2}}
+    }`);
+    expect(url.method.references.doi_or_url).toBe('https://example.org/~doe/tools--v2');
+
+    const doi = draftFor('@article{k, title = {Tools}, doi = "10.1000/a--b~c"}');
+    expect(doi.method.references.doi_or_url).toBe('https://doi.org/10.1000/a--b~c');
+  });
+
+  it('leaves the classification to the reviewer', () => {
+    const { method, needs_review } = draftFor(`@article{k,
+      title = {Event Abstraction for Video Data}, author = {Doe, Jane},
+      journal = {Information Systems}, year = {2023}, doi = {10.1000/xyz}
+    }`);
+    const classification = [
+      'pipeline_step',
+      'modalities',
+      'tasks',
+      'maturity',
+      'automation_level',
+      'evidence_type',
+    ];
+
+    expect(needs_review).toEqual(expect.arrayContaining(classification));
+    classification.forEach((field) => expect(method).not.toHaveProperty(field));
+
+    const validate = createDataValidator({ methodsSchema, datasetsSchema });
+    const metadata = {
+      version: '1.0',
+      lastUpdated: '2024-01-01T00:00:00Z',
+      source: { title: 'Survey', authors: ['Jane Doe'], year: 2024, venue: 'BPM' },
+    };
+    const { errors } = validate({ metadata, pipeline_steps: [], methods: [method], datasets: [] });
+    expect(errors.map((error) => error.message)).toEqual([
+      "must have required property 'pipeline_step'",
+      "must have required property 'modalities'",
+      "must have required property 'tasks'",
+    ]);
+  });
+
+  it('lists missing citation fields for review', () => {
+    const { method, needs_review } = draftFor('@misc{onlykey, note = {nothing}}', ['onlykey']);
+    expect(needs_review).toEqual(
+      expect.arrayContaining([
+        'name',
+        'references.authors',
+        'references.venue',
+        'references.year',
+        'references.doi_or_url',
+        'short_description',
+      ])
+    );
+    expect(method.id).toBe('onlykey-2');
+    expect(method.references.year).toBe(2024);
+  });
+});
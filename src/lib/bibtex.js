@@ -0,0 +1,170 @@
+/**
+ * BibTeX utilities
+ * Parses .bib files for the import script. Like validation.js, this module
+ * must stay free of Vite-specific imports.
+ */
+
+const LATEX_ACCENTS = {
+  '"': { a: 'ä', o: 'ö', u: 'ü', e: 'ë', i: 'ï', A: 'Ä', O: 'Ö', U: 'Ü' },
+  "'": { a: 'á', e: 'é', i: 'í', o: 'ó', u: 'ú', c: 'ć', n: 'ń', s: 'ś', E: 'É' },
+  '`': { a: 'à', e: 'è', i: 'ì', o: 'ò', u: 'ù' },
+  '^': { a: 'â', e: 'ê', i: 'î', o: 'ô', u: 'û' },
+  '~': { a: 'ã', n: 'ñ', o: 'õ', N: 'Ñ' },
+  c: { c: 'ç', C: 'Ç' },
+  v: { c: 'č', s: 'š', z: 'ž', r: 'ř', e: 'ě', C: 'Č', S: 'Š', Z: 'Ž' },
+};
+
+const LATEX_SYMBOLS = {
+  ss: 'ß',
+  o: 'ø',
+  O: 'Ø',
+  aa: 'å',
+  AA: 'Å',
+  ae: 'æ',
+  l: 'ł',
+  L: 'Ł',
+};
+
+/**
+ * Converts LaTeX markup in a field value to plain text
+ * @param {string} value - Raw BibTeX field value
+ * @returns {string} Plain text
+ */
+export function latexToText(value) {
+  return value
+    .replace(/\\([`'^"~]|[cv](?=[\s{]))\s*\{?\\?([a-zA-Z])\}?/g, (match, accent, letter) => {
+      return LATEX_ACCENTS[accent]?.[letter] || letter;
+    })
+    .replace(/\\(ss|aa|AA|ae|o|O|l|L)\b\s*/g, (match, symbol) => LATEX_SYMBOLS[symbol])
+    .replace(/\\([&%$#_])/g, '$1')
+    .replace(/\\[a-zA-Z]+\s*/g, '')
+    .replace(/[{}]/g, '')
+    .replace(/~/g, ' ')
+    .replace(/---?/g, '–')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Reads a braced, parenthesized or quoted value starting at the opening delimiter
+ * @returns {Array} The value without delimiters and the index after it
+ */
+function readDelimited(source, start) {
+  const close = { '{': '}', '(': ')', '"': '"' }[source[start]];
+  let depth = 0;
+
+  for (let i = start + 1; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+    } else if (char === close && depth === 0) {
+      return [source.slice(start + 1, i), i + 1];
+    }
+  }
+
+  throw new Error(`Unterminated value starting at offset ${start}`);
+}
+
+/**
+ * Parses the fields of one entry body
+ * Supports braced, quoted and bare values, @string macros and # concatenation.
+ */
+function parseFields(body, strings) {
+  const fields = {};
+  let i = 0;
+
+  const skipSpace = () => {
+    while (i < body.length && /[\s,]/.test(body[i])) i++;
+  };
+
+  while (i < body.length) {
+    skipSpace();
+    const nameMatch = /^([\w:.-]+)\s*=\s*/.exec(body.slice(i));
+    if (!nameMatch) break;
+    i += nameMatch[0].length;
+
+    const parts = [];
+    for (;;) {
+      if (body[i] === '{' || body[i] === '"') {
+        const [value, next] = readDelimited(body, i);
+        parts.push(value);
+        i = next;
+      } else {
+        const bare = /^[^\s,#}]+/.exec(body.slice(i))?.[0] || '';
+        parts.push(strings[bare.toLowerCase()] ?? bare);
+        i += bare.length;
+      }
+
+      const concat = /^\s*#\s*/.exec(body.slice(i));
+      if (!concat) break;
+      i += concat[0].length;
+    }
+
+    fields[nameMatch[1].toLowerCase()] = parts.join('');
+  }
+
+  return fields;
+}
+
+/**
+ * Parses a BibTeX file
+ * @param {string} source - Contents of a .bib file
+ * @returns {Array} Entries with type, key and raw field values (lowercase field names)
+ */
+export function parseBibtex(source) {
+  const entries = [];
+  const strings = {};
+  const entryStart = /@\s*(\w+)\s*([{(])/g;
+  let match;
+
+  while ((match = entryStart.exec(source))) {
+    const type = match[1].toLowerCase();
+    const [body, next] = readDelimited(source, entryStart.lastIndex - 1);
+    entryStart.lastIndex = next;
+
+    if (type === 'comment' || type === 'preamble') continue;
+
+    if (type === 'string') {
+      Object.entries(parseFields(body, strings)).forEach(([name, value]) => {
+        strings[name] = value;
+      });
+      continue;
+    }
+
+    const keyMatch = /^\s*([^,\s]+)\s*,/.exec(body);
+    entries.push({
+      type,
+      key: keyMatch ? keyMatch[1] : '',
+      fields: parseFields(keyMatch ? body.slice(keyMatch[0].length) : body, strings),
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Splits a BibTeX author list into "Last, First" names
+ * @param {string} value - Raw author field
+ * @returns {Array} Author names
+ */
+export function parseBibtexAuthors(value) {
+  return value
+    .split(/\s+and\s+/i)
+    .map((name) => latexToText(name))
+    .filter(Boolean)
+    .map((name) => {
+      if (name === 'others') return 'et al.';
+      if (name.includes(',')) return name;
+
+      // "First von Last": the last name starts at the first lowercase particle
+      const words = name.split(' ');
+      if (words.length === 1) return name;
+      const particle = words.findIndex((word, i) => i > 0 && /^[a-z]/.test(word));
+      const lastStart = particle > 0 ? particle : words.length - 1;
+      return `${words.slice(lastStart).join(' ')}, ${words.slice(0, lastStart).join(' ')}`;
+    });
+}
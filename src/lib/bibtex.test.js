@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { parseBibtex, parseBibtexAuthors, latexToText } from './bibtex';
+
+describe('parseBibtex', () => {
+  it('reads braced, quoted and bare values', () => {
+    const [entry] = parseBibtex(`
+      @Article{smith2021,
+        title = {Mining {Video} Logs},
+        journal = "Information Systems",
+        year = 2021,
+      }
+    `);
+    expect(entry).toEqual({
+      type: 'article',
+      key: 'smith2021',
+      fields: { title: 'Mining {Video} Logs', journal: 'Information Systems', year: '2021' },
+    });
+  });
+
+  it('expands @string macros and # concatenation', () => {
+    const [entry] = parseBibtex(`
+      @string{bpm = "Business Process Management"}
+      @inproceedings{doe2022, booktitle = bpm # " Workshops"}
+    `);
+    expect(entry.fields.booktitle).toBe('Business Process Management Workshops');
+  });
+
+  it('skips comments and preambles', () => {
+    const entries = parseBibtex('@comment{ignored} @preamble{"x"} @misc(key, title={T})');
+    expect(entries.map((e) => e.key)).toEqual(['key']);
+  });
+
+  it('throws on an unterminated value', () => {
+    expect(() => parseBibtex('@article{key, title = {Open')).toThrow(/Unterminated/);
+  });
+});
+
+describe('latexToText', () => {
+  it('converts accents, symbols and escapes', () => {
+    expect(latexToText('R{\\"o}glinger \\& Stra{\\ss}e --- {\\c{C}}elik')).toBe(
+      'Röglinger & Straße – Çelik'
+    );
+  });
+});
+
+describe('parseBibtexAuthors', () => {
+  it('normalizes names to "Last, First"', () => {
+    expect(
+      parseBibtexAuthors('Wil M. P. van der Aalst and Doe, Jane and Madonna and others')
+    ).toEqual(['van der Aalst, Wil M. P.', 'Doe, Jane', 'Madonna', 'et al.']);
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Citation formatting
+ * Turns method references into BibTeX, RIS, APA and CSL-JSON.
+ */
+
+const DOI_PATTERN = /\b10\.\d{4,9}\/\S+/;
+
+// Venue heuristics for the publication type; the catalog stores venues as free text
+const PREPRINT_VENUE = /arxiv|preprint|ssrn/i;
+const CONFERENCE_VENUE =
+  /proc\.|proceedings|conference|conf\.|workshop|symposium|forum|track|companion|\b(BPM|ICPM|CAiSE|HICSS|ETFA)\b/i;
+const CHAPTER_VENUE = /chapter|\bin:/i;
+
+/**
+ * Supported citation formats
+ */
+export const CITATION_FORMATS = {
+  bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex' },
+  ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems' },
+  apa: { label: 'APA', extension: 'txt', mimeType: 'text/plain' },
+  'csl-json': {
+    label: 'CSL-JSON',
+    extension: 'json',
+    mimeType: 'application/vnd.citationstyles.csl+json',
+  },
+};
+
+/**
+ * Splits an author name into family and given names
+ * Handles both "Last, First" and "First Last"; "et al." marks a truncated list.
+ */
+function parseAuthor(name) {
+  const trimmed = name.trim();
+  if (/^et al\.?$/i.test(trimmed)) return { etAl: true };
+
+  if (trimmed.includes(',')) {
+    const [family, ...given] = trimmed.split(',');
+    return { family: family.trim(), given: given.join(',').trim() };
+  }
+
+  const words = trimmed.split(/\s+/);
+  // Keep lowercase particles with the family name ("Bram Van den Abbeele", "Maikel van Eck")
+  const particle = words.findIndex(
+    (word, i) => i > 0 && /^(van|von|de|den|der|del|la|le|da|di|ter)$/i.test(word)
+  );
+  const familyStart = particle > 0 ? particle : words.length - 1;
+  return {
+    family: words.slice(familyStart).join(' '),
+    given: words.slice(0, familyStart).join(' '),
+  };
+}
+
+/**
+ * Normalized reference fields shared by all formats
+ */
+function getReference(method) {
+  const ref = method.references || {};
+  const doiOrUrl = (ref.doi_or_url || '').trim();
+  const doi = doiOrUrl.match(DOI_PATTERN)?.[0] || '';
+  const authors = (ref.authors || []).map(parseAuthor);
+
+  const venue = ref.venue || '';
+  let type = 'article';
+  if (PREPRINT_VENUE.test(venue)) {
+    type = 'preprint';
+  } else if (CONFERENCE_VENUE.test(venue)) {
+    type = 'conference';
+  } else if (CHAPTER_VENUE.test(venue)) {
+    type = 'chapter';
+  }
+
+  return {
+    title: ref.paper_title || method.name,
+    authors: authors.filter((author) => !author.etAl),
+    etAl: authors.some((author) => author.etAl),
+    venue,
+    year: ref.year,
+    doi,
+    url: doi ? `https://doi.org/${doi}` : doiOrUrl,
+    type,
+  };
+}
+
+/**
+ * Builds a citation key such as "knoch2020video"
+ */
+function getCitationKey(method, ref) {
+  const family = ref.authors[0]?.family || method.id;
+  const firstWord =
+    ref.title
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .find((word) => word.length > 3) || '';
+  return `${family}${ref.year || ''}${firstWord}`
+    .normalize('NFKD')
+    .replace(/[^A-Za-z0-9]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Escapes BibTeX special characters
+ */
+const escapeBibtex = (value) => String(value).replace(/([&%$#_])/g, '\\$1');
+
+/**
+ * Formats one reference as a BibTeX entry
+ */
+function toBibtex(method, usedKeys) {
+  const ref = getReference(method);
+  const bibtexType = {
+    article: 'article',
+    conference: 'inproceedings',
+    chapter: 'incollection',
+    preprint: 'misc',
+  }[ref.type];
+  const venueField = {
+    article: 'journal',
+    conference: 'booktitle',
+    chapter: 'booktitle',
+    preprint: 'howpublished',
+  }[ref.type];
+
+  const authors = ref.authors.map(({ family, given }) => (given ? `${family}, ${given}` : family));
+  if (ref.etAl) authors.push('others');
+
+  const fields = [
+    ['title', `{${escapeBibtex(ref.title)}}`],
+    ['author', authors.map(escapeBibtex).join(' and ')],
+    [venueField, escapeBibtex(ref.venue)],
+    ['year', ref.year],
+    ['doi', ref.doi],
+    ['url', ref.doi ? '' : ref.url],
+  ].filter(([, value]) => value);
+
+  // Keys must be unique within one file: knoch2020video, knoch2020videoa, ...
+  const baseKey = getCitationKey(method, ref);
+  let key = baseKey;
+  for (let n = 0; usedKeys.has(key); n++) {
+    key = `${baseKey}${String.fromCharCode(97 + (n % 26))}${n >= 26 ? Math.floor(n / 26) : ''}`;
+  }
+  usedKeys.add(key);
+
+  const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+  return `@${bibtexType}{${key},\n${body}\n}`;
+}
+
+/**
+ * Formats one reference as a RIS record
+ */
+function toRis(method) {
+  const ref = getReference(method);
+  const risType = { article: 'JOUR', conference: 'CPAPER', chapter: 'CHAP', preprint: 'GEN' }[
+    ref.type
+  ];
+  const venueTag = ref.type === 'article' ? 'JO' : 'T2';
+
+  const lines = [
+    ['TY', risType],
+    ['TI', ref.title],
+    ...ref.authors.map(({ family, given }) => ['AU', given ? `${family}, ${given}` : family]),
+    [venueTag, ref.venue],
+    ['PY', ref.year],
+    ['DO', ref.doi],
+    ['UR', ref.url],
+    ['ER', ''],
+  ].filter(([tag, value]) => value || tag === 'ER');
+
+  return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\n');
+}
+
+/**
+ * Formats one reference in APA style (7th edition)
+ */
+function toApa(method) {
+  const ref = getReference(method);
+  // "S.-L." and "Sang-Lee" both become "S.-L."
+  const initials = (given) =>
+    given
+      .replace(/\.\s*-/g, '-')
+      .split(/[\s.]+/)
+      .filter(Boolean)
+      .map((part) =>
+        part
+          .split('-')
+          .filter(Boolean)
+          .map((p) => `${p[0]}.`)
+          .join('-')
+      )
+      .join(' ');
+  const names = ref.authors.map(({ family, given }) =>
+    given ? `${family}, ${initials(given)}` : family
+  );
+
+  let authorText;
+  if (ref.etAl || names.length > 20) {
+    authorText = `${names.slice(0, 19).join(', ')}, et al.`;
+  } else if (names.length > 1) {
+    authorText = `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`;
+  } else {
+    authorText = names[0] || '';
+  }
+
+  const parts = [
+    authorText,
+    `(${ref.year || 'n.d.'}).`,
+    `${ref.title.replace(/\.$/, '')}.`,
+    ref.venue ? `${ref.type === 'conference' ? 'In ' : ''}${ref.venue}.` : '',
+    ref.url,
+  ];
+  return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Converts one reference to a CSL-JSON item
+ */
+function toCslItem(method) {
+  const ref = getReference(method);
+  const cslType = {
+    article: 'article-journal',
+    conference: 'paper-conference',
+    chapter: 'chapter',
+    preprint: 'article',
+  }[ref.type];
+
+  const item = {
+    id: method.id,
+    type: cslType,
+    title: ref.title,
+    author: ref.authors.map(({ family, given }) =>
+      given ? { family, given } : { literal: family }
+    ),
+    'container-title': ref.venue || undefined,
+    issued: ref.year ? { 'date-parts': [[ref.year]] } : undefined,
+    DOI: ref.doi || undefined,
+    URL: ref.url || undefined,
+  };
+  return JSON.parse(JSON.stringify(item));
+}
+
+/**
+ * Formats the references of one or more methods
+ * @param {Array} methods - Methods to cite
+ * @param {string} format - Key of CITATION_FORMATS
+ * @returns {string} Formatted citations
+ */
+export function formatCitations(methods, format) {
+  switch (format) {
+    case 'bibtex': {
+      const usedKeys = new Set();
+      return methods.map((method) => toBibtex(method, usedKeys)).join('\n\n');
+    }
+    case 'ris':
+      return methods.map(toRis).join('\n\n');
+    case 'apa':
+      return methods
+        .map(toApa)
+        .sort((a, b) => a.localeCompare(b))
+        .join('\n\n');
+    case 'csl-json':
+      return JSON.stringify(methods.map(toCslItem), null, 2);
+    default:
+      throw new Error(`Unknown citation format: ${format}`);
+  }
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { formatCitations } from './citations';
+
+const journalMethod = {
+  id: 'video-mining',
+  name: 'Video Mining',
+  references: {
+    paper_title: 'Video-to-Model: Mining Processes from Videos',
+    authors: ['Sönke Knoch', 'Maikel van Eck'],
+    venue: 'Information Systems',
+    year: 2020,
+    doi_or_url: 'https://doi.org/10.1016/j.is.2020.101234',
+  },
+};
+
+const conferenceMethod = {
+  id: 'sensor-logs',
+  name: 'Sensor Logs',
+  references: {
+    paper_title: 'Sensor Logs & Events',
+    authors: ['Doe, Jane', 'et al.'],
+    venue: 'Proceedings of BPM',
+    year: 2022,
+    doi_or_url: 'https://example.org/paper',
+  },
+};
+
+describe('formatCitations', () => {
+  it('formats BibTeX entries by venue type', () => {
+    const bibtex = formatCitations([journalMethod, conferenceMethod], 'bibtex');
+    expect(bibtex).toContain('@article{knoch2020video,');
+    expect(bibtex).toContain('  author = {Knoch, Sönke and van Eck, Maikel}');
+    expect(bibtex).toContain('  journal = {Information Systems}');
+    expect(bibtex).toContain('  doi = {10.1016/j.is.2020.101234}');
+    expect(bibtex).toContain('@inproceedings{doe2022sensor,');
+    expect(bibtex).toContain('  title = {{Sensor Logs \\& Events}}');
+    expect(bibtex).toContain('  author = {Doe, Jane and others}');
+    expect(bibtex).toContain('  url = {https://example.org/paper}');
+  });
+
+  it('keeps BibTeX keys unique', () => {
+    const bibtex = formatCitations([journalMethod, journalMethod, journalMethod], 'bibtex');
+    const keys = [...bibtex.matchAll(/^@\w+\{([^,]+),/gm)].map((match) => match[1]);
+    expect(keys).toEqual(['knoch2020video', 'knoch2020videoa', 'knoch2020videob']);
+  });
+
+  it('formats RIS records', () => {
+    expect(formatCitations([journalMethod], 'ris').split('\n')).toEqual([
+      'TY  - JOUR',
+      'TI  - Video-to-Model: Mining Processes from Videos',
+      'AU  - Knoch, Sönke',
+      'AU  - van Eck, Maikel',
+      'JO  - Information Systems',
+      'PY  - 2020',
+      'DO  - 10.1016/j.is.2020.101234',
+      'UR  - https://doi.org/10.1016/j.is.2020.101234',
+      'ER  -',
+    ]);
+  });
+
+  it('formats APA references sorted by author', () => {
+    expect(formatCitations([journalMethod, conferenceMethod], 'apa').split('\n\n')).toEqual([
+      'Doe, J., et al. (2022). Sensor Logs & Events. In Proceedings of BPM. https://example.org/paper',
+      'Knoch, S., & van Eck, M. (2020). Video-to-Model: Mining Processes from Videos. ' +
+        'Information Systems. https://doi.org/10.1016/j.is.2020.101234',
+    ]);
+  });
+
+  it('abbreviates hyphenated and already abbreviated given names', () => {
+    const method = {
+      ...journalMethod,
+      references: { ...journalMethod.references, authors: ['Lee, Sang-Hyuk S.-L.', 'Smith, J.R.'] },
+    };
+    expect(formatCitations([method], 'apa')).toContain('Lee, S.-H. S.-L., & Smith, J. R. (2020)');
+  });
+
+  it('formats CSL-JSON items without empty fields', () => {
+    const [item] = JSON.parse(
+      formatCitations(
+        [{ id: 'bare', name: 'Bare Method', references: { authors: ['Plato'] } }],
+        'csl-json'
+      )
+    );
+    expect(item).toEqual({
+      id: 'bare',
+      type: 'article-journal',
+      title: 'Bare Method',
+      author: [{ literal: 'Plato' }],
+    });
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => formatCitations([journalMethod], 'mla')).toThrow('Unknown citation format: mla');
+  });
+});
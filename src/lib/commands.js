@@ -0,0 +1,255 @@
+/**
+ * Commands for the command palette and the keyboard shortcut reference
+ * Each command has a run(context) function receiving dispatch, navigate, toggleTheme and showShortcuts.
+ */
+
+import Fuse from 'fuse.js';
+import { actions } from './state.jsx';
+import { getFilterOptions, isSearchActive, ARTIFACT_FILTERS, SORT_OPTIONS } from './filters';
+
+const MAX_COMMAND_RESULTS = 50;
+
+const PAGES = [
+  { path: '/', label: 'Explorer', keywords: 'home pipeline landscape methods' },
+  { path: '/datasets', label: 'Datasets', keywords: 'data event logs' },
+  { path: '/relationships', label: 'Relationship graph', keywords: 'network links' },
+  { path: '/compare', label: 'Compare methods', keywords: 'comparison side by side' },
+  { path: '/health', label: 'Data health', keywords: 'validation issues quality' },
+  { path: '/about', label: 'About', keywords: 'help info' },
+];
+
+// Filter groups offered as "Filter <label>: <value>" commands
+const FILTER_GROUPS = [
+  { key: 'modalities', label: 'modality' },
+  { key: 'tasks', label: 'task' },
+  { key: 'evidenceTypes', label: 'evidence' },
+  { key: 'maturityLevels', label: 'maturity' },
+  { key: 'automationLevels', label: 'automation' },
+  { key: 'tags', label: 'tag', searchOnly: true },
+];
+
+/**
+ * Checks whether a keyboard event target takes text input, so single-key shortcuts stay off
+ * @param {Element} element - Event target
+ * @returns {boolean} True for inputs, text areas, selects and editable content
+ */
+export function isTypingTarget(element) {
+  return (
+    element?.tagName === 'INPUT' ||
+    element?.tagName === 'TEXTAREA' ||
+    element?.tagName === 'SELECT' ||
+    Boolean(element?.isContentEditable)
+  );
+}
+
+/**
+ * Keyboard shortcuts, grouped by where they apply
+ * "Mod" is Cmd on macOS and Ctrl elsewhere.
+ */
+export const SHORTCUTS = [
+  { scope: 'Everywhere', keys: ['Mod', 'K'], description: 'Open the command palette' },
+  { scope: 'Everywhere', keys: ['?'], description: 'Show keyboard shortcuts' },
+  { scope: 'Everywhere', keys: ['/'], description: 'Focus the search box' },
+  { scope: 'Explorer', keys: ['Mod', 'Z'], description: 'Undo filter change' },
+  { scope: 'Explorer', keys: ['Mod', 'Shift', 'Z'], description: 'Redo filter change' },
+  { scope: 'Command palette', keys: ['↑', '↓'], description: 'Move between commands' },
+  { scope: 'Command palette', keys: ['Enter'], description: 'Run the highlighted command' },
+  { scope: 'Command palette', keys: ['Esc'], description: 'Close' },
+  { scope: 'Relationship graph (focused)', keys: ['+'], description: 'Zoom in' },
+  { scope: 'Relationship graph (focused)', keys: ['−'], description: 'Zoom out' },
+  { scope: 'Relationship graph (focused)', keys: ['0'], description: 'Reset view' },
+  { scope: 'Relationship graph (focused)', keys: ['R'], description: 'Restart simulation' },
+];
+
+/**
+ * Builds the palette commands for the current app state
+ * Filter and view commands toggle, so their labels reflect the current state.
+ * @param {Object} state - App state: methods, steps, filters, sort, view toggles and undo availability
+ * @param {Object} options - isDark for the theme command
+ * @returns {Array} Commands with id, group, label, keywords, searchOnly and run
+ */
+export function getCommands(state, { isDark = true } = {}) {
+  const {
+    allMethods,
+    pipelineSteps,
+    filters,
+    sortBy,
+    showFilters,
+    isCompareMode,
+    canUndo,
+    canRedo,
+  } = state;
+  const commands = [];
+  const add = (command) => commands.push({ keywords: '', searchOnly: false, ...command });
+
+  // Filter and sort commands show their results in the explorer
+  const inExplorer =
+    (action) =>
+    ({ dispatch, navigate }) => {
+      dispatch(action);
+      navigate('/');
+    };
+
+  PAGES.forEach(({ path, label, keywords }) =>
+    add({
+      id: `page:${path}`,
+      group: 'Pages',
+      label: `Go to ${label}`,
+      keywords,
+      run: ({ navigate }) => navigate(path),
+    })
+  );
+
+  add({
+    id: 'view:filters',
+    group: 'View',
+    label: showFilters ? 'Hide filters panel' : 'Show filters panel',
+    keywords: 'toggle facets',
+    run: ({ dispatch }) => dispatch(actions.toggleFilters()),
+  });
+  add({
+    id: 'view:compare',
+    group: 'View',
+    label: isCompareMode ? 'Leave compare mode' : 'Enter compare mode',
+    keywords: 'toggle comparison',
+    run: inExplorer(actions.setCompareMode(!isCompareMode)),
+  });
+  add({
+    id: 'view:theme',
+    group: 'View',
+    label: isDark ? 'Switch to light theme' : 'Switch to dark theme',
+    keywords: 'toggle dark light mode colors',
+    run: ({ toggleTheme }) => toggleTheme(),
+  });
+  add({
+    id: 'view:shortcuts',
+    group: 'View',
+    label: 'Show keyboard shortcuts',
+    keywords: 'help keys hotkeys',
+    run: ({ showShortcuts }) => showShortcuts(),
+  });
+
+  if (canUndo) {
+    add({
+      id: 'filter:undo',
+      group: 'Filters',
+      label: 'Undo filter change',
+      keywords: 'back revert history',
+      run: inExplorer(actions.undo()),
+    });
+  }
+  if (canRedo) {
+    add({
+      id: 'filter:redo',
+      group: 'Filters',
+      label: 'Redo filter change',
+      keywords: 'forward history',
+      run: inExplorer(actions.redo()),
+    });
+  }
+  add({
+    id: 'filter:reset',
+    group: 'Filters',
+    label: 'Clear all filters',
+    keywords: 'reset remove',
+    run: inExplorer(actions.resetFilters()),
+  });
+
+  pipelineSteps.forEach((step) => {
+    const selected = filters.pipelineStep === step.id;
+    add({
+      id: `step:${step.id}`,
+      group: 'Pipeline steps',
+      label: `${selected ? 'Leave step' : 'Go to step'}: ${step.name}`,
+      keywords: `pipeline ${step.id}`,
+      run: inExplorer(actions.setSelectedStep(selected ? null : step.id)),
+    });
+  });
+
+  const options = getFilterOptions(allMethods);
+  FILTER_GROUPS.forEach(({ key, label, searchOnly = false }) =>
+    options[key].forEach((value) => {
+      const selected = filters[key].includes(value);
+      add({
+        id: `filter:${key}:${value}`,
+        group: 'Filters',
+        label: `${selected ? 'Remove filter' : 'Filter'} ${label}: ${value}`,
+        searchOnly,
+        run: inExplorer(
+          actions.setFilters({
+            [key]: selected ? filters[key].filter((v) => v !== value) : [...filters[key], value],
+          })
+        ),
+      });
+    })
+  );
+  Object.entries(ARTIFACT_FILTERS).forEach(([key, { label }]) => {
+    const selected = filters.artifacts.includes(key);
+    add({
+      id: `filter:artifacts:${key}`,
+      group: 'Filters',
+      label: `${selected ? 'Remove filter' : 'Filter'}: ${label.toLowerCase()}`,
+      keywords: 'artifact',
+      run: inExplorer(
+        actions.setFilters({
+          artifacts: selected
+            ? filters.artifacts.filter((a) => a !== key)
+            : [...filters.artifacts, key],
+        })
+      ),
+    });
+  });
+
+  Object.entries(SORT_OPTIONS)
+    .filter(([key, option]) => key !== sortBy && (!option.searchOnly || isSearchActive(filters)))
+    .forEach(([key, option]) =>
+      add({
+        id: `sort:${key}`,
+        group: 'Sort',
+        label: `Sort by: ${option.label}`,
+        keywords: 'order',
+        run: inExplorer(actions.setSort(key, option.defaultOrder)),
+      })
+    );
+
+  allMethods.forEach((method) =>
+    add({
+      id: `method:${method.id}`,
+      group: 'Methods',
+      label: method.name,
+      keywords: (method.tags || []).join(' '),
+      searchOnly: true,
+      run: ({ navigate }) => navigate(`/methods/${method.id}`),
+    })
+  );
+
+  return commands;
+}
+
+/**
+ * Fuzzy-matches commands against the palette input
+ * An empty input lists the commands that are not search-only (no methods or tags).
+ * @param {Array} commands - Commands from getCommands
+ * @param {string} query - Palette input
+ * @returns {Array} Matching commands, best first
+ */
+export function searchCommands(commands, query) {
+  const trimmed = (query || '').trim();
+  if (!trimmed) return commands.filter((c) => !c.searchOnly);
+
+  const keys = [
+    { name: 'label', weight: 3 },
+    { name: 'keywords', weight: 1 },
+    { name: 'group', weight: 1 },
+  ];
+  const fuse = new Fuse(commands, { keys, threshold: 0.35, ignoreLocation: true });
+
+  // Every word has to match, but each may match a different field and in any order
+  const words = trimmed.split(/\s+/);
+  return fuse
+    .search({
+      $and: words.map((word) => ({ $or: keys.map(({ name }) => ({ [name]: word })) })),
+    })
+    .slice(0, MAX_COMMAND_RESULTS)
+    .map((result) => result.item);
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getCommands, searchCommands } from './commands';
+import { actions } from './state.jsx';
+import { FILTER_DEFAULTS } from './filters';
+
+const state = {
+  allMethods: [
+    { id: 'video-mining', name: 'Video Mining', modalities: ['video'], tags: ['cv'] },
+    { id: 'sensor-abstraction', name: 'Sensor Abstraction', modalities: ['sensor'], tags: [] },
+  ],
+  pipelineSteps: [
+    { id: 'collect', name: 'Collect' },
+    { id: 'preprocess', name: 'Preprocess' },
+  ],
+  filters: { ...FILTER_DEFAULTS, pipelineStep: 'collect', modalities: ['video'] },
+  sortBy: 'name',
+  showFilters: false,
+  isCompareMode: false,
+};
+
+const labelOf = (commands, id) => commands.find((command) => command.id === id)?.label;
+
+describe('getCommands', () => {
+  const commands = getCommands(state);
+
+  it('labels toggles by the current state', () => {
+    expect(labelOf(commands, 'view:filters')).toBe('Show filters panel');
+    expect(labelOf(commands, 'view:theme')).toBe('Switch to light theme');
+    expect(labelOf(getCommands(state, { isDark: false }), 'view:theme')).toBe(
+      'Switch to dark theme'
+    );
+    expect(labelOf(commands, 'step:collect')).toBe('Leave step: Collect');
+    expect(labelOf(commands, 'step:preprocess')).toBe('Go to step: Preprocess');
+    expect(labelOf(commands, 'filter:modalities:video')).toBe('Remove filter modality: video');
+    expect(labelOf(commands, 'filter:modalities:sensor')).toBe('Filter modality: sensor');
+  });
+
+  it('offers sorts other than the current one, relevance only while searching', () => {
+    const sorts = (filters) =>
+      getCommands({ ...state, filters })
+        .filter((command) => command.group === 'Sort')
+        .map((command) => command.id);
+    expect(sorts(state.filters)).not.toContain('sort:name');
+    expect(sorts(state.filters)).not.toContain('sort:searchScore');
+    expect(sorts({ ...state.filters, searchQuery: 'video' })).toContain('sort:searchScore');
+  });
+
+  it('runs filter commands in the explorer', () => {
+    const dispatch = vi.fn();
+    const navigate = vi.fn();
+    commands
+      .find((command) => command.id === 'filter:modalities:sensor')
+      .run({ dispatch, navigate });
+
+    expect(dispatch).toHaveBeenCalledWith(actions.setFilters({ modalities: ['video', 'sensor'] }));
+    expect(navigate).toHaveBeenCalledWith('/');
+  });
+});
+
+describe('searchCommands', () => {
+  const commands = getCommands(state);
+
+  it('lists commands that are not search-only for an empty input', () => {
+    const listed = searchCommands(commands, '  ');
+    expect(listed.some((command) => command.group === 'Methods')).toBe(false);
+    expect(listed.some((command) => command.id === 'filter:tags:cv')).toBe(false);
+    expect(listed[0].id).toBe('page:/');
+  });
+
+  it('ranks the closest label first and finds methods and tags', () => {
+    expect(searchCommands(commands, 'datasets')[0].id).toBe('page:/datasets');
+    expect(searchCommands(commands, 'sort by year')[0].id).toBe('sort:year');
+    expect(searchCommands(commands, 'video min')[0].id).toBe('method:video-mining');
+    expect(searchCommands(commands, 'tag: cv').map((command) => command.id)).toContain(
+      'filter:tags:cv'
+    );
+  });
+
+  it('matches keywords as well as labels', () => {
+    expect(searchCommands(commands, 'hotkeys')[0].id).toBe('view:shortcuts');
+  });
+
+  it('matches each word on its own', () => {
+    expect(searchCommands(commands, 'sort year')[0].id).toBe('sort:year');
+    expect(searchCommands(commands, 'year sort')[0].id).toBe('sort:year');
+    expect(searchCommands(commands, 'theme dark')[0].id).toBe('view:theme');
+  });
+});
@@ -1,4 +1,7 @@
 import Fuse from 'fuse.js';
+import methodsSchema from '@data/methods.schema.json';
+import datasetsSchema from '@data/datasets.schema.json';
+import { createDataValidator } from './validation';
 
 /**
  * Data loading utilities
@@ -10,18 +13,32 @@ const BASE_PATH = import.meta.env.BASE_URL || '/';
 let cachedData = null;
 
 /**
- * Loads methods data from the JSON file
- * @returns {Promise<Object>} The methods data
+ * Fetches a JSON file from the data directory
+ * @param {string} fileName - File name relative to the data directory
+ * @param {string} label - Human-readable name used in error messages
+ * @returns {Promise<Object>} The parsed JSON
+ */
+async function fetchDataFile(fileName, label) {
+  const response = await fetch(`${BASE_PATH}data/${fileName}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${label} data: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Loads methods and datasets data from the JSON files
+ * @returns {Promise<Object>} The methods data with a `datasets` array attached
  */
 export async function loadMethodsData() {
   if (cachedData) return cachedData;
 
   try {
-    const response = await fetch(`${BASE_PATH}data/methods.json`);
-    if (!response.ok) {
-      throw new Error(`Failed to load methods data: ${response.status}`);
-    }
-    const data = await response.json();
+    const [methodsData, datasetsData] = await Promise.all([
+      fetchDataFile('methods.json', 'methods'),
+      fetchDataFile('datasets.json', 'datasets'),
+    ]);
+    const data = { ...methodsData, datasets: datasetsData.datasets };
     cachedData = data;
     return data;
   } catch (error) {
@@ -30,103 +47,18 @@ export async function loadMethodsData() {
   }
 }
 
+let dataValidator = null;
+
 /**
- * Validates methods data against basic schema requirements
+ * Validates methods and datasets data against the JSON schemas
  * @param {Object} data - The data to validate
  * @returns {Object} Validation result with isValid and errors
  */
 export function validateMethodsData(data) {
-  const errors = [];
-
-  if (!data.metadata) {
-    errors.push('Missing metadata object');
-  }
-
-  if (!data.pipeline_steps || !Array.isArray(data.pipeline_steps)) {
-    errors.push('Missing or invalid pipeline_steps array');
+  if (!dataValidator) {
+    dataValidator = createDataValidator({ methodsSchema, datasetsSchema });
   }
-
-  if (!data.methods || !Array.isArray(data.methods)) {
-    errors.push('Missing or invalid methods array');
-  }
-
-  // Validate each method
-  const requiredFields = [
-    'id',
-    'name',
-    'pipeline_step',
-    'short_description',
-    'algorithm_summary',
-    'inputs',
-    'outputs',
-    'modalities',
-    'tasks',
-    'assumptions',
-    'limitations',
-    'references',
-    'tags',
-    'created_at',
-    'updated_at',
-  ];
-
-  const validPipelineSteps = [
-    'collect',
-    'preprocess',
-    'abstract_aggregate',
-    'correlate_cases',
-    'enhance_visualization',
-    'apply_mining',
-  ];
-
-  const validModalities = ['text', 'image', 'video', 'audio', 'sensor', 'mixed'];
-
-  const validTasks = [
-    'cleaning',
-    'chunking',
-    'fusion',
-    'abstraction',
-    'correlation',
-    'uncertainty',
-    'visualization',
-    'discovery',
-    'conformance',
-    'prediction',
-  ];
-
-  data.methods?.forEach((method, index) => {
-    requiredFields.forEach((field) => {
-      if (method[field] === undefined) {
-        errors.push(`Method ${index} (${method.id || 'unknown'}): missing required field "${field}"`);
-      }
-    });
-
-    if (method.pipeline_step && !validPipelineSteps.includes(method.pipeline_step)) {
-      errors.push(`Method ${method.id}: invalid pipeline_step "${method.pipeline_step}"`);
-    }
-
-    method.modalities?.forEach((mod) => {
-      if (!validModalities.includes(mod)) {
-        errors.push(`Method ${method.id}: invalid modality "${mod}"`);
-      }
-    });
-
-    method.tasks?.forEach((task) => {
-      if (!validTasks.includes(task)) {
-        errors.push(`Method ${method.id}: invalid task "${task}"`);
-      }
-    });
-
-    // Check for duplicate IDs
-    const duplicates = data.methods.filter((m) => m.id === method.id);
-    if (duplicates.length > 1) {
-      errors.push(`Duplicate method ID: ${method.id}`);
-    }
-  });
-
-  return {
-    isValid: errors.length === 0,
-    errors,
-  };
+  return dataValidator(data);
 }
 
 /**
@@ -150,55 +82,23 @@ export function getPipelineStepById(data, id) {
 }
 
 /**
- * Gets related methods for a given method
+ * Gets dataset by ID
  * @param {Object} data - The methods data
- * @param {string} methodId - The method ID
- * @returns {Array} Related methods
+ * @param {string} id - Dataset ID
+ * @returns {Object|null} The dataset or null
  */
-export function getRelatedMethods(data, methodId) {
-  const method = getMethodById(data, methodId);
-  if (!method) return [];
-
-  const related = [];
-
-  // Add explicitly linked methods
-  if (method.related_method_ids) {
-    method.related_method_ids.forEach((id) => {
-      const relatedMethod = getMethodById(data, id);
-      if (relatedMethod) {
-        related.push({ ...relatedMethod, relationship: 'linked' });
-      }
-    });
-  }
-
-  // Add methods in same pipeline step
-  data.methods
-    .filter((m) => m.id !== methodId && m.pipeline_step === method.pipeline_step)
-    .slice(0, 3)
-    .forEach((m) => {
-      if (!related.find((r) => r.id === m.id)) {
-        related.push({ ...m, relationship: 'same-step' });
-      }
-    });
-
-  // Add methods with shared tags
-  const methodTags = new Set(method.tags || []);
-  data.methods
-    .filter((m) => m.id !== methodId)
-    .map((m) => ({
-      ...m,
-      sharedTags: (m.tags || []).filter((t) => methodTags.has(t)).length,
-    }))
-    .filter((m) => m.sharedTags > 0)
-    .sort((a, b) => b.sharedTags - a.sharedTags)
-    .slice(0, 3)
-    .forEach((m) => {
-      if (!related.find((r) => r.id === m.id)) {
-        related.push({ ...m, relationship: 'shared-tags' });
-      }
-    });
+export function getDatasetById(data, id) {
+  return data.datasets?.find((d) => d.id === id) || null;
+}
 
-  return related.slice(0, 6);
+/**
+ * Gets the datasets a method was evaluated on
+ * @param {Object} data - The methods data
+ * @param {string} methodId - The method ID
+ * @returns {Array} Datasets linking to the method
+ */
+export function getDatasetsForMethod(data, methodId) {
+  return (data.datasets || []).filter((d) => d.method_ids?.includes(methodId));
 }
 
 /**
@@ -0,0 +1,38 @@
+/**
+ * Browser helpers for exporting files
+ */
+
+/**
+ * Offers content as a file download
+ * @param {string|Uint8Array} content - File contents (text is saved as UTF-8)
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the file
+ */
+export function downloadFile(content, fileName, mimeType = 'text/plain') {
+  const type = typeof content === 'string' ? `${mimeType};charset=utf-8` : mimeType;
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Copies text to the clipboard
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} Whether copying succeeded
+ */
+export async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
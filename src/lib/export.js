@@ -0,0 +1,111 @@
+/**
+ * Tabular export of methods (CSV and XLSX)
+ */
+
+import { createWorkbook } from './xlsx.js';
+
+const LIST_SEPARATOR = '; ';
+
+const list = (values) => (values || []).join(LIST_SEPARATOR);
+
+/**
+ * Columns available for export
+ * Array fields are flattened into one cell, separated by "; ".
+ */
+export const EXPORT_COLUMNS = [
+  { key: 'id', label: 'ID', value: (m) => m.id, default: true },
+  { key: 'name', label: 'Name', value: (m) => m.name, default: true },
+  { key: 'pipeline_step', label: 'Pipeline step', value: (m) => m.pipeline_step, default: true },
+  {
+    key: 'short_description',
+    label: 'Description',
+    value: (m) => m.short_description,
+    default: true,
+  },
+  { key: 'algorithm_summary', label: 'Algorithm summary', value: (m) => m.algorithm_summary },
+  { key: 'inputs', label: 'Inputs', value: (m) => list(m.inputs) },
+  { key: 'outputs', label: 'Outputs', value: (m) => list(m.outputs) },
+  { key: 'modalities', label: 'Modalities', value: (m) => list(m.modalities), default: true },
+  { key: 'tasks', label: 'Tasks', value: (m) => list(m.tasks), default: true },
+  { key: 'assumptions', label: 'Assumptions', value: (m) => list(m.assumptions) },
+  { key: 'limitations', label: 'Limitations', value: (m) => list(m.limitations) },
+  {
+    key: 'paper_title',
+    label: 'Paper title',
+    value: (m) => m.references?.paper_title,
+    default: true,
+  },
+  { key: 'authors', label: 'Authors', value: (m) => list(m.references?.authors), default: true },
+  { key: 'venue', label: 'Venue', value: (m) => m.references?.venue, default: true },
+  { key: 'year', label: 'Year', value: (m) => m.references?.year, default: true },
+  { key: 'doi_or_url', label: 'DOI / URL', value: (m) => m.references?.doi_or_url, default: true },
+  { key: 'code_url', label: 'Code URL', value: (m) => m.artifacts?.code_url },
+  { key: 'dataset_url', label: 'Dataset URL', value: (m) => m.artifacts?.dataset_url },
+  { key: 'demo_url', label: 'Demo URL', value: (m) => m.artifacts?.demo_url },
+  { key: 'tags', label: 'Tags', value: (m) => list(m.tags), default: true },
+  { key: 'related_method_ids', label: 'Related methods', value: (m) => list(m.related_method_ids) },
+  { key: 'maturity', label: 'Maturity', value: (m) => m.maturity, default: true },
+  { key: 'automation_level', label: 'Automation level', value: (m) => m.automation_level },
+  { key: 'evidence_type', label: 'Evidence type', value: (m) => m.evidence_type, default: true },
+  { key: 'created_at', label: 'Created', value: (m) => m.created_at },
+  { key: 'updated_at', label: 'Updated', value: (m) => m.updated_at },
+];
+
+export const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.filter((c) => c.default).map((c) => c.key);
+
+/**
+ * Converts methods to table rows
+ * @param {Array} methods - Methods in export order
+ * @param {Array} columnKeys - Keys of EXPORT_COLUMNS to include, in display order
+ * @returns {Array} Header row followed by one row per method
+ */
+export function getExportRows(methods, columnKeys) {
+  const columns = columnKeys
+    .map((key) => EXPORT_COLUMNS.find((c) => c.key === key))
+    .filter(Boolean);
+  return [
+    columns.map((c) => c.label),
+    ...methods.map((method) => columns.map((c) => c.value(method) ?? '')),
+  ];
+}
+
+/**
+ * Serializes table rows as CSV (RFC 4180)
+ * @param {Array} rows - Rows of cell values
+ * @returns {string} CSV text
+ */
+export function formatCsv(rows) {
+  const escapeCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((row) => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Creates an XLSX workbook with the methods, their references and the export settings
+ * @param {Array} methods - Methods in export order
+ * @param {Array} columnKeys - Keys of EXPORT_COLUMNS for the methods sheet
+ * @param {Array} details - [label, value] pairs describing the export (filters, search, sort)
+ * @returns {Uint8Array} Contents of the .xlsx file
+ */
+export function createMethodsWorkbook(methods, columnKeys, details = []) {
+  const references = [
+    ['ID', 'Name', 'Paper title', 'Authors', 'Venue', 'Year', 'DOI / URL'],
+    ...methods.map((m) => [
+      m.id,
+      m.name,
+      m.references?.paper_title,
+      list(m.references?.authors),
+      m.references?.venue,
+      m.references?.year,
+      m.references?.doi_or_url,
+    ]),
+  ];
+
+  return createWorkbook([
+    { name: 'Methods', rows: getExportRows(methods, columnKeys) },
+    { name: 'References', rows: references },
+    { name: 'Export', rows: [['Setting', 'Value'], ...details] },
+  ]);
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { formatCsv, getExportRows, createMethodsWorkbook } from './export';
+import { createWorkbook } from './xlsx';
+
+/**
+ * Reads the entries of an uncompressed ZIP archive by walking its local file headers
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const start = offset + 30 + nameLength;
+    const name = decoder.decode(bytes.subarray(offset + 30, start));
+    files[name] = decoder.decode(bytes.subarray(start, start + size));
+    offset = start + size;
+  }
+  return { files, centralOffset: offset };
+}
+
+const method = {
+  id: 'video-mining',
+  name: 'Video Mining',
+  pipeline_step: 'extraction',
+  tasks: ['activity recognition', 'segmentation'],
+  references: { paper_title: 'Mining "Video" Logs', year: 2020 },
+};
+
+describe('getExportRows', () => {
+  it('keeps the requested column order and flattens lists', () => {
+    expect(getExportRows([method], ['name', 'tasks', 'year', 'venue'])).toEqual([
+      ['Name', 'Tasks', 'Year', 'Venue'],
+      ['Video Mining', 'activity recognition; segmentation', 2020, ''],
+    ]);
+  });
+
+  it('skips unknown columns', () => {
+    expect(getExportRows([method], ['year', 'popularity'])).toEqual([['Year'], [2020]]);
+  });
+});
+
+describe('formatCsv', () => {
+  it('quotes cells with commas, quotes and line breaks', () => {
+    expect(formatCsv([['a,b', 'say "hi"', 'two\nlines', 'plain', null, 3]])).toBe(
+      '"a,b","say ""hi""","two\nlines",plain,,3\r\n'
+    );
+  });
+
+  it('terminates every row with CRLF', () => {
+    expect(
+      formatCsv([
+        ['h1', 'h2'],
+        ['v1', 'v2'],
+      ])
+    ).toBe('h1,h2\r\nv1,v2\r\n');
+  });
+});
+
+describe('createWorkbook', () => {
+  it('writes a ZIP archive with the workbook parts', () => {
+    const bytes = createWorkbook([
+      {
+        name: 'Data',
+        rows: [
+          ['Name', 'Year'],
+          ['A & B', 2020],
+        ],
+      },
+    ]);
+    const { files, centralOffset } = readZip(bytes);
+
+    expect(Object.keys(files)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml',
+    ]);
+    const view = new DataView(bytes.buffer);
+    expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+    expect(view.getUint32(bytes.length - 22, true)).toBe(0x06054b50);
+    expect(view.getUint16(bytes.length - 12, true)).toBe(6);
+
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Name</t>');
+    expect(sheet).toContain('<t xml:space="preserve">A &amp; B</t>');
+    expect(sheet).toContain('<c r="B2"><v>2020</v></c>');
+  });
+
+  it('makes sheet names valid and unique', () => {
+    const { files } = readZip(
+      createWorkbook([
+        { name: 'a/b', rows: [] },
+        { name: 'A B', rows: [] },
+      ])
+    );
+    expect(files['xl/workbook.xml']).toContain('<sheet name="a b" sheetId="1"');
+    expect(files['xl/workbook.xml']).toContain('<sheet name="A B 2" sheetId="2"');
+  });
+});
+
+describe('createMethodsWorkbook', () => {
+  it('adds methods, references and export sheets', () => {
+    const { files } = readZip(
+      createMethodsWorkbook([method], ['id', 'name'], [['Search', 'video']])
+    );
+    expect(files['xl/workbook.xml']).toMatch(/name="Methods".*name="References".*name="Export"/);
+    expect(files['xl/worksheets/sheet1.xml']).toContain('video-mining');
+    expect(files['xl/worksheets/sheet2.xml']).toContain('Mining &quot;Video&quot; Logs');
+    expect(files['xl/worksheets/sheet3.xml']).toContain('<t xml:space="preserve">video</t>');
+  });
+});
@@ -13,10 +13,72 @@ export const FILTER_DEFAULTS = {
   tasks: [],
   evidenceTypes: [],
   maturityLevels: [],
+  automationLevels: [],
+  tags: [],
+  artifacts: [],
   yearRange: { min: null, max: null },
   searchQuery: '',
+  // 'any' matches methods with at least one selected value, 'all' with every selected value
+  matchModes: { modalities: 'any', tasks: 'any', tags: 'any', artifacts: 'all' },
 };
 
+/**
+ * Artifact facets - each requires the method to link the given URL
+ */
+export const ARTIFACT_FILTERS = {
+  code: { label: 'Has code', field: 'code_url' },
+  dataset: { label: 'Has dataset', field: 'dataset_url' },
+  demo: { label: 'Has demo', field: 'demo_url' },
+};
+
+const AUTOMATION_ORDER = ['manual', 'semi-automated', 'automated'];
+
+// Shortest free-text word that is searched
+const MIN_WORD_LENGTH = 2;
+
+/**
+ * Checks a list of method values against the selected values of a group
+ */
+function matchesSelection(values = [], selected, mode) {
+  return mode === 'all'
+    ? selected.every((value) => values.includes(value))
+    : selected.some((value) => values.includes(value));
+}
+
+/**
+ * Sort options for the method list
+ * defaultOrder is used when the option is picked; searchOnly options need an active search.
+ */
+export const SORT_OPTIONS = {
+  searchScore: { label: 'Relevance', defaultOrder: 'asc', searchOnly: true },
+  name: { label: 'Name', defaultOrder: 'asc' },
+  year: { label: 'Year', defaultOrder: 'desc' },
+  updated_at: { label: 'Recently updated', defaultOrder: 'desc' },
+  artifacts: { label: 'Number of artifacts', defaultOrder: 'desc' },
+  maturity: { label: 'Maturity', defaultOrder: 'desc' },
+  pipeline_step: { label: 'Pipeline step', defaultOrder: 'asc' },
+};
+
+/**
+ * Checks whether the search query is long enough to be applied
+ * @param {Object} filters - Filter criteria including searchQuery
+ * @returns {boolean} True if results come from a search
+ */
+export function isSearchActive(filters) {
+  return Boolean(filters.searchQuery && filters.searchQuery.trim().length >= 2);
+}
+
+/**
+ * Gets the sort used when none was picked: relevance while searching, name otherwise
+ * @param {Object} filters - Filter criteria including searchQuery
+ * @returns {Object} sortBy and sortOrder
+ */
+export function getDefaultSort(filters) {
+  return isSearchActive(filters)
+    ? { sortBy: 'searchScore', sortOrder: 'asc' }
+    : { sortBy: 'name', sortOrder: 'asc' };
+}
+
 /**
  * Creates a Fuse.js search instance
  * @param {Array} methods - The methods array
@@ -35,27 +97,542 @@ export function createSearchIndex(methods) {
     ignoreLocation: true,
     includeScore: true,
     includeMatches: true,
-    minMatchCharLength: 2,
+    minMatchCharLength: MIN_WORD_LENGTH,
   });
 }
 
+/**
+ * Fields available as query qualifiers (e.g. "venue:bpm", "year:>2020")
+ * type decides how values are compared: text and list match substrings,
+ * number and date support comparisons, and lists compare their length.
+ */
+export const QUERY_FIELDS = {
+  id: { type: 'text', get: (m) => m.id },
+  name: { type: 'text', get: (m) => m.name },
+  short_description: { type: 'text', get: (m) => m.short_description },
+  algorithm_summary: { type: 'text', get: (m) => m.algorithm_summary },
+  pipeline_step: { type: 'text', get: (m) => m.pipeline_step },
+  inputs: { type: 'list', get: (m) => m.inputs },
+  outputs: { type: 'list', get: (m) => m.outputs },
+  modalities: { type: 'list', get: (m) => m.modalities },
+  tasks: { type: 'list', get: (m) => m.tasks },
+  assumptions: { type: 'list', get: (m) => m.assumptions },
+  limitations: { type: 'list', get: (m) => m.limitations },
+  tags: { type: 'list', get: (m) => m.tags },
+  related_method_ids: { type: 'list', get: (m) => m.related_method_ids },
+  maturity: { type: 'text', get: (m) => m.maturity },
+  automation_level: { type: 'text', get: (m) => m.automation_level },
+  evidence_type: { type: 'text', get: (m) => m.evidence_type },
+  paper_title: { type: 'text', get: (m) => m.references?.paper_title },
+  authors: { type: 'list', get: (m) => m.references?.authors },
+  venue: { type: 'text', get: (m) => m.references?.venue },
+  year: { type: 'number', get: (m) => m.references?.year },
+  doi_or_url: { type: 'text', get: (m) => m.references?.doi_or_url },
+  code_url: { type: 'text', get: (m) => m.artifacts?.code_url },
+  dataset_url: { type: 'text', get: (m) => m.artifacts?.dataset_url },
+  demo_url: { type: 'text', get: (m) => m.artifacts?.demo_url },
+  has: {
+    type: 'list',
+    get: (m) =>
+      Object.keys(ARTIFACT_FILTERS).filter((key) => m.artifacts?.[ARTIFACT_FILTERS[key].field]),
+  },
+  created_at: { type: 'date', get: (m) => m.created_at },
+  updated_at: { type: 'date', get: (m) => m.updated_at },
+};
+
+// Short names for qualifiers; singular forms of list fields work as well
+const QUERY_FIELD_ALIASES = {
+  description: 'short_description',
+  summary: 'algorithm_summary',
+  step: 'pipeline_step',
+  modality: 'modalities',
+  task: 'tasks',
+  tag: 'tags',
+  input: 'inputs',
+  output: 'outputs',
+  assumption: 'assumptions',
+  limitation: 'limitations',
+  related: 'related_method_ids',
+  automation: 'automation_level',
+  evidence: 'evidence_type',
+  title: 'paper_title',
+  author: 'authors',
+  doi: 'doi_or_url',
+  url: 'doi_or_url',
+  code: 'code_url',
+  dataset: 'dataset_url',
+  demo: 'demo_url',
+  created: 'created_at',
+  updated: 'updated_at',
+};
+
+// Fields searched by quoted phrases, matching the Fuse index keys
+const PHRASE_FIELDS = ['name', 'short_description', 'tags', 'algorithm_summary', 'paper_title'];
+
+const COMPARISON_OPERATORS = ['>=', '<=', '>', '<', '='];
+
+/**
+ * Splits a query into tokens: parentheses, OR, NOT and terms
+ */
+function tokenizeQuery(query) {
+  const tokens = [];
+  let i = 0;
+
+  const readPhrase = () => {
+    const end = query.indexOf('"', i + 1);
+    if (end === -1) throw new Error('Missing closing quote');
+    const phrase = query.slice(i + 1, end);
+    i = end + 1;
+    return phrase;
+  };
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+    } else if (char === '"') {
+      tokens.push({ type: 'term', value: readPhrase(), phrase: true });
+    } else {
+      const start = i;
+      while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+      const word = query.slice(start, i);
+      const colon = word.indexOf(':');
+
+      if (word === 'OR' || word === '|') {
+        tokens.push({ type: 'OR' });
+      } else if (word === 'NOT') {
+        tokens.push({ type: 'NOT' });
+      } else if (word === 'AND') {
+        // Terms are combined with AND anyway
+      } else if (colon > 0) {
+        let value = word.slice(colon + 1);
+        const operator = COMPARISON_OPERATORS.find((op) => value.startsWith(op)) || ':';
+        if (operator !== ':') value = value.slice(operator.length);
+        const phrase = !value && query[i] === '"';
+        if (phrase) value = readPhrase();
+        tokens.push({ type: 'term', field: word.slice(0, colon), operator, value, phrase });
+      } else {
+        tokens.push({ type: 'term', value: word, phrase: false });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Resolves a qualifier name to a key of QUERY_FIELDS
+ */
+function resolveQueryField(name) {
+  const key = name.toLowerCase();
+  if (QUERY_FIELDS[key]) return key;
+  if (QUERY_FIELD_ALIASES[key]) return QUERY_FIELD_ALIASES[key];
+  return null;
+}
+
+/**
+ * Turns a term token into a query node, checking the field and operator
+ */
+function createTermNode(token) {
+  if (!token.field) {
+    return { type: 'text', value: token.value, phrase: token.phrase };
+  }
+
+  const field = resolveQueryField(token.field);
+  if (!field) throw new Error(`Unknown field "${token.field}"`);
+  if (!token.value) throw new Error(`Missing value after "${token.field}:"`);
+
+  const { type } = QUERY_FIELDS[field];
+  const isComparison = token.operator !== ':' && token.operator !== '=';
+  let { value } = token;
+
+  if (type === 'number' || (type === 'list' && isComparison)) {
+    value = Number(value);
+    if (!Number.isFinite(value)) {
+      throw new Error(`"${token.field}" needs a number, e.g. ${token.field}:>2`);
+    }
+  } else if (type === 'date' && isComparison) {
+    if (!/^\d{4}(-\d{2}){0,2}$/.test(value)) {
+      throw new Error(`"${token.field}" needs a date, e.g. ${token.field}:>2023-06`);
+    }
+  } else if (isComparison) {
+    throw new Error(`"${token.field}" cannot be compared with ${token.operator}`);
+  }
+
+  return { type: 'field', field, operator: token.operator, value };
+}
+
+/**
+ * Parses a search query
+ * Supports field qualifiers (venue:bpm), comparisons (year:>2020), negation (-survey),
+ * quoted phrases ("event abstraction"), OR and parentheses; other terms are combined with AND.
+ * @param {string} query - Search query
+ * @returns {Object} { ast, error } - error is a message if the query is malformed
+ */
+export function parseSearchQuery(query) {
+  try {
+    const tokens = tokenizeQuery(query);
+    let position = 0;
+    const peek = () => tokens[position]?.type;
+
+    const parseOr = () => {
+      const children = [parseAnd()];
+      while (peek() === 'OR') {
+        position++;
+        if (!peek() || peek() === ')' || peek() === 'OR') {
+          throw new Error('OR needs a term on both sides');
+        }
+        children.push(parseAnd());
+      }
+      return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const parseAnd = () => {
+      const children = [];
+      while (peek() && peek() !== ')' && peek() !== 'OR') {
+        children.push(parseUnary());
+      }
+      if (children.length === 0) {
+        throw new Error(peek() === 'OR' ? 'OR needs a term on both sides' : 'Empty query');
+      }
+      return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = () => {
+      if (peek() === 'NOT') {
+        position++;
+        if (!peek() || peek() === ')' || peek() === 'OR') {
+          throw new Error('Nothing to exclude after "-"');
+        }
+        return { type: 'not', child: parseUnary() };
+      }
+      if (peek() === '(') {
+        position++;
+        const node = parseOr();
+        if (peek() !== ')') throw new Error('Missing closing parenthesis');
+        position++;
+        return node;
+      }
+      return createTermNode(tokens[position++]);
+    };
+
+    const ast = parseOr();
+    if (position < tokens.length) throw new Error('Unexpected ")"');
+    return { ast, error: null };
+  } catch (error) {
+    return { ast: null, error: error.message };
+  }
+}
+
+/**
+ * Checks whether a query is plain text, i.e. uses none of the query syntax
+ */
+function isPlainTextQuery(ast) {
+  const isWord = (node) => node.type === 'text' && !node.phrase;
+  return isWord(ast) || (ast.type === 'and' && ast.children.every(isWord));
+}
+
+/**
+ * Drops free-text words too short to search, as the plain-text search does
+ * @returns {Object|null} The query without them, or null when nothing is left
+ */
+function dropShortWords(node) {
+  if (node.type === 'text') {
+    return node.phrase || node.value.length >= MIN_WORD_LENGTH ? node : null;
+  }
+  if (node.type === 'not') {
+    const child = dropShortWords(node.child);
+    return child && { ...node, child };
+  }
+  if (node.children) {
+    const children = node.children.map(dropShortWords).filter(Boolean);
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { ...node, children };
+  }
+  return node;
+}
+
+/**
+ * Collects the free-text words that count towards relevance (not negated)
+ */
+function getScoringWords(node, words = []) {
+  if (node.type === 'text' && !node.phrase) words.push(node.value);
+  if (node.children) node.children.forEach((child) => getScoringWords(child, words));
+  return words;
+}
+
+/**
+ * Lowercases text and strips accents, so "roglinger" finds "Röglinger"
+ */
+export const foldText = (text) =>
+  String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+/**
+ * Compares a method value with a field qualifier
+ */
+function matchesField(method, { field, operator, value }) {
+  const { type, get } = QUERY_FIELDS[field];
+  const actual = get(method);
+  if (actual === undefined || actual === null) return false;
+
+  if (operator === ':' || operator === '=') {
+    if (type === 'number') return actual === value;
+    const needle = foldText(value);
+    const matches = (text) =>
+      operator === '=' ? foldText(text) === needle : foldText(text).includes(needle);
+    return type === 'list' ? actual.some(matches) : matches(actual);
+  }
+
+  // Dates compare at the precision of the operand, so "<=2023" includes all of 2023
+  let left = actual;
+  if (type === 'list') left = actual.length;
+  if (type === 'date') left = actual.slice(0, value.length);
+  switch (operator) {
+    case '>':
+      return left > value;
+    case '>=':
+      return left >= value;
+    case '<':
+      return left < value;
+    case '<=':
+      return left <= value;
+    default:
+      return false;
+  }
+}
+
 /**
  * Performs fuzzy search on methods
+ * Plain text goes to Fuse as is; queries using the query syntax are evaluated per method,
+ * with free-text words still matched fuzzily. A malformed query is searched as plain text.
  * @param {Fuse} searchIndex - The Fuse search index
  * @param {string} query - Search query
+ * @param {Array} methods - All methods, needed for queries using the query syntax
  * @returns {Array} Matching methods with scores
  */
-export function searchMethods(searchIndex, query) {
+export function searchMethods(searchIndex, query, methods = []) {
   if (!query || query.trim().length < 2) {
     return null; // Return null to indicate no search filter applied
   }
 
-  const results = searchIndex.search(query.trim());
-  return results.map((result) => ({
-    ...result.item,
-    searchScore: result.score,
-    searchMatches: result.matches,
-  }));
+  const { ast: parsed, error } = parseSearchQuery(query.trim());
+  if (error || isPlainTextQuery(parsed)) {
+    const results = searchIndex.search(query.trim());
+    return results.map((result) => ({
+      ...result.item,
+      searchScore: result.score,
+      searchMatches: result.matches,
+    }));
+  }
+
+  const ast = dropShortWords(parsed);
+  if (!ast) return null;
+
+  // Fuzzy results per free-text word, keyed by method id
+  const wordResults = new Map();
+  const getWordResults = (word) => {
+    if (!wordResults.has(word)) {
+      const results = searchIndex.search(word);
+      wordResults.set(word, new Map(results.map((result) => [result.item.id, result])));
+    }
+    return wordResults.get(word);
+  };
+
+  const matches = (node, method) => {
+    switch (node.type) {
+      case 'and':
+        return node.children.every((child) => matches(child, method));
+      case 'or':
+        return node.children.some((child) => matches(child, method));
+      case 'not':
+        return !matches(node.child, method);
+      case 'field':
+        return matchesField(method, node);
+      case 'text':
+        if (node.phrase) {
+          return PHRASE_FIELDS.some((field) =>
+            matchesField(method, { field, operator: ':', value: node.value })
+          );
+        }
+        return getWordResults(node.value).has(method.id);
+      default:
+        return false;
+    }
+  };
+
+  const scoringWords = getScoringWords(ast);
+
+  return methods
+    .filter((method) => matches(ast, method))
+    .map((method) => {
+      const wordMatches = scoringWords
+        .map((word) => getWordResults(word).get(method.id))
+        .filter(Boolean);
+      return {
+        ...method,
+        searchScore:
+          wordMatches.length > 0 ? Math.min(...wordMatches.map((r) => r.score)) : undefined,
+        searchMatches: wordMatches.flatMap((r) => r.matches),
+      };
+    });
+}
+
+/**
+ * Readable names of the searched fields, in display order
+ */
+export const SEARCH_FIELD_LABELS = {
+  name: 'name',
+  short_description: 'description',
+  tags: 'tags',
+  algorithm_summary: 'algorithm summary',
+  'references.paper_title': 'paper title',
+};
+
+/**
+ * Suggestion sources for search autocomplete, in display order
+ */
+export const SUGGESTION_TYPES = {
+  method: { label: 'Method' },
+  tag: { label: 'Tag', field: 'tag' },
+  author: { label: 'Author', field: 'author' },
+  venue: { label: 'Venue', field: 'venue' },
+};
+
+const MAX_SUGGESTIONS_PER_TYPE = 4;
+
+/**
+ * Suggests method names, tags, authors and venues for a partial query
+ * Tags, authors and venues become field qualifiers, e.g. author:"Agnes Koschmider".
+ * @param {Array} methods - All methods
+ * @param {string} input - Text typed so far
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array} Suggestions with type, label and either query or methodId
+ */
+export function getSearchSuggestions(methods, input, limit = 10) {
+  const needle = foldText((input || '').trim());
+  // Queries already using the query syntax are left alone
+  if (needle.length < 2 || /[:"()]/.test(needle)) return [];
+
+  // Prefix matches rank before word-start matches, which rank before other matches
+  const rank = (label) => {
+    const text = foldText(label);
+    if (text.startsWith(needle)) return 0;
+    if (text.includes(` ${needle}`)) return 1;
+    return text.includes(needle) ? 2 : -1;
+  };
+
+  const candidates = {
+    method: methods.map((m) => ({ label: m.name, methodId: m.id })),
+    tag: methods.flatMap((m) => m.tags || []).map((label) => ({ label })),
+    author: methods.flatMap((m) => m.references?.authors || []).map((label) => ({ label })),
+    venue: methods
+      .map((m) => m.references?.venue)
+      .filter(Boolean)
+      .map((label) => ({ label })),
+  };
+
+  return Object.entries(candidates)
+    .flatMap(([type, items]) => {
+      const seen = new Set();
+      return items
+        .filter(({ label }) => !seen.has(label) && seen.add(label))
+        .map((item) => ({ ...item, rank: rank(item.label) }))
+        .filter((item) => item.rank >= 0)
+        .sort((a, b) => a.rank - b.rank || a.label.localeCompare(b.label))
+        .slice(0, MAX_SUGGESTIONS_PER_TYPE)
+        .map(({ label, methodId, rank: itemRank }) => {
+          const { field } = SUGGESTION_TYPES[type];
+          const value = /[\s:]/.test(label) ? `"${label.replace(/"/g, '')}"` : label;
+          return field
+            ? { type, label, rank: itemRank, query: `${field}:${value}` }
+            : { type, label, rank: itemRank, methodId };
+        });
+    })
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, limit)
+    .map(({ rank: _rank, ...suggestion }) => suggestion);
+}
+
+/**
+ * Gets the words and phrases of a query that count as search hits (not negated)
+ * @param {string} query - Search query
+ * @returns {Array} Lowercase terms
+ */
+export function getSearchTerms(query) {
+  const { ast, error } = parseSearchQuery((query || '').trim());
+  if (error) return foldText(query).split(/\s+/).filter(Boolean);
+
+  const terms = [];
+  const collect = (node) => {
+    if (node.type === 'text') terms.push(foldText(node.value));
+    if (node.children) node.children.forEach(collect);
+  };
+  collect(ast);
+  return terms;
+}
+
+// Fuzzy matching also finds scattered letters; only ranges of 3+ characters
+// that overlap a query term are shown as hits
+const MIN_HIT_LENGTH = 3;
+
+const isHit = (text, [start, end], terms) => {
+  const hit = foldText(text.slice(start, end + 1)).trim();
+  return (
+    hit.length >= MIN_HIT_LENGTH &&
+    (terms.length === 0 || terms.some((term) => hit.includes(term) || term.includes(hit)))
+  );
+};
+
+/**
+ * Gets the matched character ranges of one field of a search result
+ * @param {Array} searchMatches - Fuse matches attached by searchMethods
+ * @param {Array} terms - Query terms from getSearchTerms
+ * @param {string} key - Searched field, e.g. 'name' or 'tags'
+ * @param {number} refIndex - Position within an array field such as tags
+ * @returns {Array} Sorted, non-overlapping [start, end] ranges (end inclusive)
+ */
+export function getMatchRanges(searchMatches = [], terms, key, refIndex) {
+  const ranges = searchMatches
+    .filter((match) => match.key === key && (refIndex === undefined || match.refIndex === refIndex))
+    .flatMap((match) => match.indices.filter((range) => isHit(match.value, range, terms)))
+    .sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, [start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Lists the fields a search result matched in
+ * @param {Array} searchMatches - Fuse matches attached by searchMethods
+ * @param {Array} terms - Query terms from getSearchTerms
+ * @returns {Array} Readable field names, e.g. ['name', 'algorithm summary']
+ */
+export function getMatchedFields(searchMatches = [], terms) {
+  const keys = new Set(
+    searchMatches
+      .filter((match) => match.indices.some((range) => isHit(match.value, range, terms)))
+      .map((match) => match.key)
+  );
+  return Object.keys(SEARCH_FIELD_LABELS)
+    .filter((key) => keys.has(key))
+    .map((key) => SEARCH_FIELD_LABELS[key]);
 }
 
 /**
@@ -71,8 +648,12 @@ export function filterMethods(methods, filters) {
     tasks,
     evidenceTypes,
     maturityLevels,
+    automationLevels,
+    tags,
+    artifacts,
     yearRange,
   } = filters;
+  const matchModes = { ...FILTER_DEFAULTS.matchModes, ...filters.matchModes };
 
   return methods.filter((method) => {
     // Pipeline step filter
@@ -80,16 +661,14 @@ export function filterMethods(methods, filters) {
       return false;
     }
 
-    // Modalities filter (OR logic - method must have at least one selected modality)
+    // Modalities filter (any or all of the selected modalities)
     if (modalities && modalities.length > 0) {
-      const hasModality = method.modalities?.some((m) => modalities.includes(m));
-      if (!hasModality) return false;
+      if (!matchesSelection(method.modalities, modalities, matchModes.modalities)) return false;
     }
 
-    // Tasks filter (OR logic)
+    // Tasks filter (any or all)
     if (tasks && tasks.length > 0) {
-      const hasTask = method.tasks?.some((t) => tasks.includes(t));
-      if (!hasTask) return false;
+      if (!matchesSelection(method.tasks, tasks, matchModes.tasks)) return false;
     }
 
     // Evidence type filter
@@ -106,6 +685,26 @@ export function filterMethods(methods, filters) {
       }
     }
 
+    // Automation level filter
+    if (automationLevels && automationLevels.length > 0) {
+      if (!automationLevels.includes(method.automation_level)) {
+        return false;
+      }
+    }
+
+    // Tags filter (any or all)
+    if (tags && tags.length > 0) {
+      if (!matchesSelection(method.tags, tags, matchModes.tags)) return false;
+    }
+
+    // Artifact filter (all or any of the selected artifacts must be linked)
+    if (artifacts && artifacts.length > 0) {
+      const linked = Object.keys(ARTIFACT_FILTERS).filter(
+        (key) => method.artifacts?.[ARTIFACT_FILTERS[key].field]
+      );
+      if (!matchesSelection(linked, artifacts, matchModes.artifacts)) return false;
+    }
+
     // Year range filter
     if (yearRange) {
       const year = method.references?.year;
@@ -128,8 +727,8 @@ export function applyFiltersAndSearch(methods, searchIndex, filters) {
   let result = methods;
 
   // Apply search first if query exists
-  if (filters.searchQuery && filters.searchQuery.trim().length >= 2) {
-    const searchResults = searchMethods(searchIndex, filters.searchQuery);
+  if (isSearchActive(filters)) {
+    const searchResults = searchMethods(searchIndex, filters.searchQuery, methods);
     if (searchResults) {
       result = searchResults;
     }
@@ -141,6 +740,27 @@ export function applyFiltersAndSearch(methods, searchIndex, filters) {
   return result;
 }
 
+/**
+ * Counts the methods each value of a filter group would match if it were toggled,
+ * keeping all other filters as they are
+ * @param {Array} methods - Methods to count in (e.g. search results)
+ * @param {Object} filters - Current filter criteria
+ * @param {string} group - Filter key with a list of values, e.g. 'modalities'
+ * @param {Array} values - Values to count
+ * @returns {Object} Count per value
+ */
+export function getFacetCounts(methods, filters, group, values) {
+  const selected = filters[group] || [];
+  return Object.fromEntries(
+    values.map((value) => {
+      const toggled = selected.includes(value)
+        ? selected.filter((v) => v !== value)
+        : [...selected, value];
+      return [value, filterMethods(methods, { ...filters, [group]: toggled }).length];
+    })
+  );
+}
+
 /**
  * Gets unique filter values from methods
  * @param {Array} methods - All methods
@@ -151,13 +771,17 @@ export function getFilterOptions(methods) {
   const tasks = new Set();
   const evidenceTypes = new Set();
   const maturityLevels = new Set();
+  const automationLevels = new Set();
+  const tagCounts = new Map();
   const years = new Set();
 
   methods.forEach((method) => {
     method.modalities?.forEach((m) => modalities.add(m));
     method.tasks?.forEach((t) => tasks.add(t));
+    method.tags?.forEach((t) => tagCounts.set(t, (tagCounts.get(t) || 0) + 1));
     if (method.evidence_type) evidenceTypes.add(method.evidence_type);
     if (method.maturity) maturityLevels.add(method.maturity);
+    if (method.automation_level) automationLevels.add(method.automation_level);
     if (method.references?.year) years.add(method.references.year);
   });
 
@@ -170,6 +794,11 @@ export function getFilterOptions(methods) {
     maturityLevels: ['research', 'emerging', 'established', 'mature'].filter((m) =>
       maturityLevels.has(m)
     ),
+    automationLevels: AUTOMATION_ORDER.filter((a) => automationLevels.has(a)),
+    // Most used tags first, for type-ahead suggestions
+    tags: Array.from(tagCounts.keys()).sort(
+      (a, b) => tagCounts.get(b) - tagCounts.get(a) || a.localeCompare(b)
+    ),
     yearRange: {
       min: yearsArray[0] || 2010,
       max: yearsArray[yearsArray.length - 1] || 2026,
@@ -177,6 +806,13 @@ export function getFilterOptions(methods) {
   };
 }
 
+/**
+ * Counts the linked artifacts (code, dataset, demo) of a method
+ */
+function countArtifacts(method) {
+  return Object.values(method.artifacts || {}).filter(Boolean).length;
+}
+
 /**
  * Sorts methods by various criteria
  * @param {Array} methods - Methods to sort
@@ -206,6 +842,14 @@ export function sortMethods(methods, sortBy = 'name', order = 'asc') {
       case 'pipeline_step':
         comparison = a.pipeline_step.localeCompare(b.pipeline_step);
         break;
+      case 'updated_at':
+        comparison = (a.updated_at || a.created_at || '').localeCompare(
+          b.updated_at || b.created_at || ''
+        );
+        break;
+      case 'artifacts':
+        comparison = countArtifacts(a) - countArtifacts(b);
+        break;
       case 'searchScore':
         comparison = (a.searchScore || 1) - (b.searchScore || 1);
         break;
@@ -219,6 +863,33 @@ export function sortMethods(methods, sortBy = 'name', order = 'asc') {
   return sorted;
 }
 
+/**
+ * Gets publication counts per year, including years without methods
+ * @param {Array} methods - All methods
+ * @param {Array} matchingMethods - Methods matching the current filters
+ * @returns {Array} { year, total, filtered } sorted by year
+ */
+export function getYearCounts(methods, matchingMethods) {
+  const count = (list) =>
+    list.reduce((counts, method) => {
+      const year = method.references?.year;
+      if (year) counts.set(year, (counts.get(year) || 0) + 1);
+      return counts;
+    }, new Map());
+
+  const totals = count(methods);
+  const filtered = count(matchingMethods);
+  if (totals.size === 0) return [];
+
+  const first = Math.min(...totals.keys());
+  const last = Math.max(...totals.keys());
+  return Array.from({ length: last - first + 1 }, (_, i) => first + i).map((year) => ({
+    year,
+    total: totals.get(year) || 0,
+    filtered: filtered.get(year) || 0,
+  }));
+}
+
 /**
  * Gets counts per pipeline step
  * @param {Array} methods - Methods array
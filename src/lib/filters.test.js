@@ -0,0 +1,372 @@
+import { describe, it, expect } from 'vitest';
+import {
+  filterMethods,
+  getFacetCounts,
+  getFilterOptions,
+  sortMethods,
+  getDefaultSort,
+  getYearCounts,
+  parseSearchQuery,
+  searchMethods,
+  createSearchIndex,
+  getSearchSuggestions,
+  FILTER_DEFAULTS,
+  SORT_OPTIONS,
+} from './filters';
+
+const facetMethods = [
+  {
+    id: 'a',
+    automation_level: 'automated',
+    tags: ['iot', 'video'],
+    artifacts: { code_url: 'https://example.org/a', demo_url: 'https://example.org/a' },
+  },
+  { id: 'b', automation_level: 'manual', tags: ['iot'], artifacts: { code_url: '' } },
+  { id: 'c', automation_level: 'semi-automated', tags: ['nlp'], artifacts: {} },
+  { id: 'd', tags: ['video'], artifacts: { code_url: 'https://example.org/d' } },
+];
+const filterIds = (filters) =>
+  filterMethods(facetMethods, { ...FILTER_DEFAULTS, ...filters }).map((m) => m.id);
+
+describe('filterMethods', () => {
+  it('filters by automation level', () => {
+    expect(filterIds({ automationLevels: ['manual', 'automated'] })).toEqual(['a', 'b']);
+  });
+
+  it('matches any selected tag', () => {
+    expect(filterIds({ tags: ['video', 'nlp'] })).toEqual(['a', 'c', 'd']);
+  });
+
+  it('requires every selected artifact to be linked', () => {
+    expect(filterIds({ artifacts: ['code'] })).toEqual(['a', 'd']);
+    expect(filterIds({ artifacts: ['code', 'demo'] })).toEqual(['a']);
+  });
+
+  it('switches each group between any and all', () => {
+    expect(filterIds({ tags: ['iot', 'video'], matchModes: { tags: 'all' } })).toEqual(['a']);
+    expect(filterIds({ artifacts: ['demo', 'code'], matchModes: { artifacts: 'any' } })).toEqual([
+      'a',
+      'd',
+    ]);
+  });
+});
+
+describe('getFacetCounts', () => {
+  const countFacets = (filters, group, values) =>
+    getFacetCounts(facetMethods, { ...FILTER_DEFAULTS, ...filters }, group, values);
+
+  it('counts each value under the other active filters', () => {
+    expect(countFacets({ artifacts: ['code'] }, 'tags', ['iot', 'video', 'nlp'])).toEqual({
+      iot: 1,
+      video: 2,
+      nlp: 0,
+    });
+  });
+
+  it('counts the result of toggling a value within its own group', () => {
+    // "any": adding a tag widens the result, removing the only tag shows everything
+    expect(countFacets({ tags: ['nlp'] }, 'tags', ['iot', 'nlp'])).toEqual({ iot: 3, nlp: 4 });
+    // "all": adding a tag narrows the result
+    expect(
+      countFacets({ tags: ['iot'], matchModes: { tags: 'all' } }, 'tags', ['video', 'nlp'])
+    ).toEqual({ video: 1, nlp: 0 });
+  });
+});
+
+describe('getFilterOptions', () => {
+  it('orders automation levels by degree and tags by use', () => {
+    const options = getFilterOptions(facetMethods);
+    expect(options.automationLevels).toEqual(['manual', 'semi-automated', 'automated']);
+    expect(options.tags).toEqual(['iot', 'video', 'nlp']);
+  });
+});
+
+describe('sortMethods', () => {
+  const methods = [
+    {
+      id: 'b',
+      name: 'Beta',
+      pipeline_step: 'preprocess',
+      maturity: 'mature',
+      references: { year: 2019 },
+      artifacts: { code_url: 'https://example.org/b' },
+      updated_at: '2024-03-01T00:00:00Z',
+      searchScore: 0.3,
+    },
+    {
+      id: 'a',
+      name: 'alpha',
+      pipeline_step: 'collect',
+      maturity: 'research',
+      references: { year: 2021 },
+      artifacts: { code_url: 'https://example.org/a', demo_url: 'https://example.org/a' },
+      created_at: '2024-05-01T00:00:00Z',
+      searchScore: 0.1,
+    },
+    {
+      id: 'c',
+      name: 'Gamma',
+      pipeline_step: 'collect',
+      maturity: 'emerging',
+      references: {},
+      updated_at: '2024-01-01T00:00:00Z',
+    },
+  ];
+  const ids = (sortBy, order) => sortMethods(methods, sortBy, order).map((m) => m.id);
+
+  // Expected order for each option, in its default direction
+  const expectedOrders = {
+    searchScore: ['a', 'b', 'c'],
+    name: ['a', 'b', 'c'],
+    year: ['a', 'b', 'c'],
+    updated_at: ['a', 'b', 'c'],
+    artifacts: ['a', 'b', 'c'],
+    maturity: ['b', 'c', 'a'],
+    pipeline_step: ['a', 'c', 'b'],
+  };
+
+  it('has a test case for every sort option', () => {
+    expect(Object.keys(expectedOrders)).toEqual(Object.keys(SORT_OPTIONS));
+  });
+
+  it.each(Object.entries(expectedOrders))(
+    'sorts by %s in its default order',
+    (sortBy, expected) => {
+      expect(ids(sortBy, SORT_OPTIONS[sortBy].defaultOrder)).toEqual(expected);
+    }
+  );
+
+  it('reverses the order', () => {
+    expect(ids('year', 'asc')).toEqual(['c', 'b', 'a']);
+    expect(ids('name', 'desc')).toEqual(['c', 'b', 'a']);
+  });
+
+  it('keeps ties in their previous order and does not change the input', () => {
+    const input = [methods[1], methods[2]];
+    expect(sortMethods(input, 'pipeline_step').map((m) => m.id)).toEqual(['a', 'c']);
+    expect(sortMethods([methods[2], methods[1]], 'pipeline_step').map((m) => m.id)).toEqual([
+      'c',
+      'a',
+    ]);
+    expect(input.map((m) => m.id)).toEqual(['a', 'c']);
+  });
+});
+
+describe('getDefaultSort', () => {
+  it('sorts by relevance while a search is active', () => {
+    expect(getDefaultSort({ searchQuery: 'video' })).toEqual({
+      sortBy: 'searchScore',
+      sortOrder: 'asc',
+    });
+    expect(getDefaultSort({ searchQuery: ' v ' })).toEqual({ sortBy: 'name', sortOrder: 'asc' });
+  });
+});
+
+describe('getYearCounts', () => {
+  const withYear = (year) => ({ references: { year } });
+
+  it('fills the years between the first and last publication', () => {
+    const methods = [withYear(2018), withYear(2021), withYear(2018)];
+    expect(getYearCounts(methods, [methods[1]])).toEqual([
+      { year: 2018, total: 2, filtered: 0 },
+      { year: 2019, total: 0, filtered: 0 },
+      { year: 2020, total: 0, filtered: 0 },
+      { year: 2021, total: 1, filtered: 1 },
+    ]);
+  });
+
+  it('leaves out methods without a year', () => {
+    const methods = [withYear(2020), { references: {} }, {}];
+    expect(getYearCounts(methods, methods)).toEqual([{ year: 2020, total: 1, filtered: 1 }]);
+    expect(getYearCounts([{}, { references: { year: null } }], [])).toEqual([]);
+  });
+});
+
+const text = (value) => ({ type: 'text', value, phrase: false });
+
+describe('parseSearchQuery', () => {
+  it('binds AND tighter than OR', () => {
+    expect(parseSearchQuery('video OR sensor logs').ast).toEqual({
+      type: 'or',
+      children: [text('video'), { type: 'and', children: [text('sensor'), text('logs')] }],
+    });
+  });
+
+  it('groups with parentheses and ignores AND', () => {
+    expect(parseSearchQuery('(video | sensor) AND logs').ast).toEqual({
+      type: 'and',
+      children: [{ type: 'or', children: [text('video'), text('sensor')] }, text('logs')],
+    });
+  });
+
+  it('negates with "-" and NOT, but not a lone hyphen', () => {
+    expect(parseSearchQuery('-survey NOT "event log"').ast).toEqual({
+      type: 'and',
+      children: [
+        { type: 'not', child: text('survey') },
+        { type: 'not', child: { type: 'text', value: 'event log', phrase: true } },
+      ],
+    });
+    expect(parseSearchQuery('a - b').ast.children[1]).toEqual(text('-'));
+  });
+
+  it('resolves field aliases and comparisons', () => {
+    expect(parseSearchQuery('Tag:iot').ast).toEqual({
+      type: 'field',
+      field: 'tags',
+      operator: ':',
+      value: 'iot',
+    });
+    expect(parseSearchQuery('year:>=2020').ast).toMatchObject({
+      field: 'year',
+      operator: '>=',
+      value: 2020,
+    });
+    expect(parseSearchQuery('tags:>2').ast).toMatchObject({ operator: '>', value: 2 });
+    expect(parseSearchQuery('author:"van der Aalst"').ast).toMatchObject({
+      field: 'authors',
+      value: 'van der Aalst',
+    });
+  });
+
+  it.each([
+    ['"open phrase', 'Missing closing quote'],
+    ['(video', 'Missing closing parenthesis'],
+    ['video)', 'Unexpected ")"'],
+    ['video OR', 'OR needs a term on both sides'],
+    ['OR video', 'OR needs a term on both sides'],
+    ['video NOT', 'Nothing to exclude after "-"'],
+    ['()', 'Empty query'],
+    ['colour:red', 'Unknown field "colour"'],
+    ['venue:', 'Missing value after "venue:"'],
+    ['year:>soon', '"year" needs a number, e.g. year:>2'],
+    ['venue:>bpm', '"venue" cannot be compared with >'],
+    ['created:>soon', '"created" needs a date, e.g. created:>2023-06'],
+  ])('reports %s as malformed', (query, error) => {
+    expect(parseSearchQuery(query)).toEqual({ ast: null, error });
+  });
+});
+
+describe('searchMethods', () => {
+  const methods = [
+    {
+      id: 'video-mining',
+      name: 'Video Process Mining',
+      short_description: 'Discovers processes from video recordings',
+      tags: ['video', 'computer-vision'],
+      references: { venue: 'BPM Conference', year: 2021, authors: ['Sönke Knoch'] },
+      created_at: '2023-12-31T23:00:00Z',
+    },
+    {
+      id: 'sensor-abstraction',
+      name: 'Sensor Event Abstraction',
+      short_description: 'Lifts sensor readings to process events',
+      tags: ['sensor', 'iot'],
+      references: { venue: 'Information Systems', year: 2019, authors: ['Jane Doe'] },
+      created_at: '2024-01-15T08:00:00Z',
+    },
+    {
+      id: 'text-mining',
+      name: 'Text Log Extraction',
+      short_description: 'Extracts event logs from documents',
+      tags: ['nlp'],
+      references: { venue: 'BPM Forum', year: 2023, authors: ['Jane Doe'] },
+      created_at: '2023-06-01T12:00:00Z',
+    },
+  ];
+  const index = createSearchIndex(methods);
+  const search = (query) => searchMethods(index, query, methods)?.map((m) => m.id);
+
+  it('applies no filter to short queries', () => {
+    expect(searchMethods(index, ' v ', methods)).toBeNull();
+  });
+
+  it('searches plain text with scores', () => {
+    const [first] = searchMethods(index, 'video', methods);
+    expect(first.id).toBe('video-mining');
+    expect(first.searchScore).toBeTypeOf('number');
+  });
+
+  it('evaluates fields, negation and OR per method', () => {
+    expect(search('venue:bpm -video')).toEqual(['text-mining']);
+    expect(search('year:<2020 OR tag:nlp')).toEqual(['sensor-abstraction', 'text-mining']);
+    expect(search('author:soenke OR author:sonke')).toEqual(['video-mining']);
+    expect(search('"process events"')).toEqual(['sensor-abstraction']);
+  });
+
+  it('compares dates at the precision of the query', () => {
+    expect(search('created:<=2023')).toEqual(['video-mining', 'text-mining']);
+    expect(search('created:>2023')).toEqual(['sensor-abstraction']);
+    expect(search('created:>2023-06')).toEqual(['video-mining', 'sensor-abstraction']);
+    expect(search('created:<2023-06-01')).toEqual([]);
+    expect(search('created:>=2023-06-01')).toHaveLength(3);
+  });
+
+  it('ignores one-character words in field queries', () => {
+    expect(search('venue:bpm a')).toEqual(search('venue:bpm'));
+    expect(search('-x tag:iot')).toEqual(['sensor-abstraction']);
+  });
+
+  it('falls back to plain text for malformed queries', () => {
+    expect(search('(video')).toContain('video-mining');
+  });
+});
+
+describe('getSearchSuggestions', () => {
+  const methods = [
+    {
+      id: 'sensor-abstraction',
+      name: 'Sensor Event Abstraction',
+      tags: ['sensor', 'iot'],
+      references: { authors: ['Sönke Knoch', 'Jane Doe'], venue: 'Sensors' },
+    },
+    {
+      id: 'video-mining',
+      name: 'Mining Sensor Videos',
+      tags: ['sensor fusion', 'video'],
+      references: { authors: ['Sönke Knoch'], venue: 'Information Systems' },
+    },
+    {
+      id: 'text-mining',
+      name: 'Text Log Extraction',
+      tags: ['nlp', 'sensor'],
+      references: { authors: ['John Doe'], venue: 'BPM Forum' },
+    },
+  ];
+  const labels = (input, limit) =>
+    getSearchSuggestions(methods, input, limit).map(({ type, label }) => `${type}:${label}`);
+
+  it('ranks prefix matches before word-start matches, each type once per label', () => {
+    expect(labels('sens')).toEqual([
+      'method:Sensor Event Abstraction',
+      'tag:sensor',
+      'tag:sensor fusion',
+      'venue:Sensors',
+      'method:Mining Sensor Videos',
+    ]);
+  });
+
+  it('matches without accents and quotes qualifier values with spaces', () => {
+    expect(getSearchSuggestions(methods, 'sonke')).toEqual([
+      { type: 'author', label: 'Sönke Knoch', query: 'author:"Sönke Knoch"' },
+    ]);
+    expect(getSearchSuggestions(methods, 'nlp')).toEqual([
+      { type: 'tag', label: 'nlp', query: 'tag:nlp' },
+    ]);
+  });
+
+  it('links method suggestions to the method and applies the limit', () => {
+    expect(getSearchSuggestions(methods, 'text log')[0]).toEqual({
+      type: 'method',
+      label: 'Text Log Extraction',
+      methodId: 'text-mining',
+    });
+    expect(labels('sens', 2)).toEqual(['method:Sensor Event Abstraction', 'tag:sensor']);
+  });
+
+  it('suggests nothing for short input or the query syntax', () => {
+    expect(getSearchSuggestions(methods, 's')).toEqual([]);
+    expect(getSearchSuggestions(methods, 'tag:sens')).toEqual([]);
+    expect(getSearchSuggestions(methods, '"sensor')).toEqual([]);
+  });
+});
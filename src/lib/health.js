@@ -0,0 +1,273 @@
+/**
+ * Data health checks
+ * Collects schema errors and curation problems in the catalog.
+ * Like validation.js, this module must stay free of Vite-specific imports.
+ */
+
+/**
+ * Health check definitions, ordered by severity
+ */
+export const HEALTH_CHECKS = {
+  schema: { label: 'Schema error', severity: 'error' },
+  'duplicate-id': { label: 'Duplicate ID', severity: 'error' },
+  'broken-reference': { label: 'Broken reference', severity: 'error' },
+  'timestamp-order': { label: 'Timestamp order', severity: 'error' },
+  'asymmetric-relation': { label: 'Asymmetric relation', severity: 'warning' },
+  'duplicate-paper': { label: 'Duplicate paper', severity: 'warning' },
+  'redundant-reference': { label: 'Redundant reference', severity: 'warning', fixable: true },
+  whitespace: { label: 'Stray whitespace', severity: 'warning', fixable: true },
+  'missing-doi': { label: 'Missing DOI', severity: 'warning' },
+  'empty-artifacts': { label: 'Empty artifacts', severity: 'info' },
+  'stale-entry': { label: 'Stale entry', severity: 'info' },
+};
+
+export const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+const DOI_PATTERN = /\b10\.\d{4,9}\/\S+/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Removes leading/trailing whitespace, repeated spaces and spaces before punctuation
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeWhitespace(text) {
+  return text
+    .replace(/[ \t]+([.,;:!?])(?=\s|$)/g, '$1')
+    .replace(/ {2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Finds string fields with stray whitespace
+ * @param {*} value - Value to inspect
+ * @param {string} path - Path of the value
+ * @returns {Array} Paths of strings that normalizeWhitespace would change
+ */
+function findStrayWhitespace(value, path = '') {
+  if (typeof value === 'string') {
+    return normalizeWhitespace(value) === value ? [] : [path];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item, i) => findStrayWhitespace(item, `${path}/${i}`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) =>
+      findStrayWhitespace(item, path ? `${path}/${key}` : key)
+    );
+  }
+  return [];
+}
+
+/**
+ * Normalizes a DOI or paper title for duplicate detection
+ */
+function paperKeys(references = {}) {
+  const keys = [];
+  const doi = references.doi_or_url?.match(DOI_PATTERN)?.[0];
+  if (doi) keys.push(`doi:${doi.toLowerCase().replace(/[.,;]$/, '')}`);
+  const title = references.paper_title
+    ?.toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  if (title) keys.push(`title:${title}`);
+  return keys;
+}
+
+/**
+ * Creates a health issue
+ */
+function createIssue(check, collection, id, message) {
+  return {
+    check,
+    severity: HEALTH_CHECKS[check].severity,
+    collection,
+    id,
+    message,
+  };
+}
+
+/**
+ * Runs the health checks on the catalog data
+ * @param {Object} data - The methods data (with datasets attached)
+ * @param {Array} validationErrors - Issues returned by validateMethodsData
+ * @param {Object} options - Check options
+ * @param {number} options.staleAfterDays - Age of updated_at after which an entry is stale
+ * @param {Date} options.now - Reference date for the stale check
+ * @returns {Array} Health issues
+ */
+export function getHealthIssues(data, validationErrors = [], options = {}) {
+  const { staleAfterDays = 365, now = new Date() } = options;
+  const methods = Array.isArray(data.methods) ? data.methods : [];
+  const methodIds = new Set(methods.map((m) => m.id));
+  const issues = [];
+
+  // Schema, duplicate-ID and dataset reference errors from the validator
+  validationErrors.forEach((error) => {
+    const check = error.type === 'unknown-reference' ? 'broken-reference' : error.type;
+    issues.push(createIssue(check, error.collection, error.id, error.message));
+  });
+
+  const linksTo = new Map(methods.map((m) => [m.id, new Set(m.related_method_ids || [])]));
+  const firstMethodByPaper = new Map();
+
+  methods.forEach((method) => {
+    // Related method references
+    const relatedIds = method.related_method_ids || [];
+    const redundantIds = relatedIds.filter(
+      (relatedId, i) => relatedId === method.id || relatedIds.indexOf(relatedId) !== i
+    );
+    if (redundantIds.length > 0) {
+      issues.push(
+        createIssue(
+          'redundant-reference',
+          'methods',
+          method.id,
+          `related_method_ids contains itself or duplicates: ${[...new Set(redundantIds)].join(', ')}`
+        )
+      );
+    }
+
+    new Set(relatedIds).forEach((relatedId) => {
+      if (!methodIds.has(relatedId)) {
+        issues.push(
+          createIssue(
+            'broken-reference',
+            'methods',
+            method.id,
+            `related_method_ids points to missing method "${relatedId}"`
+          )
+        );
+      } else if (relatedId !== method.id && !linksTo.get(relatedId).has(method.id)) {
+        issues.push(
+          createIssue(
+            'asymmetric-relation',
+            'methods',
+            relatedId,
+            `linked from "${method.id}" but does not link back`
+          )
+        );
+      }
+    });
+
+    // Typed relations are directional, so only their targets are checked
+    (method.relations || []).forEach(({ target }) => {
+      if (!methodIds.has(target)) {
+        issues.push(
+          createIssue(
+            'broken-reference',
+            'methods',
+            method.id,
+            `relations points to missing method "${target}"`
+          )
+        );
+      }
+    });
+
+    // Same paper under a different ID
+    const duplicateOf = paperKeys(method.references)
+      .map((key) => firstMethodByPaper.get(key))
+      .find((id) => id && id !== method.id);
+    if (duplicateOf) {
+      issues.push(
+        createIssue('duplicate-paper', 'methods', method.id, `same paper as "${duplicateOf}"`)
+      );
+    }
+    paperKeys(method.references).forEach((key) => {
+      if (!firstMethodByPaper.has(key)) firstMethodByPaper.set(key, method.id);
+    });
+
+    // DOI
+    const doiOrUrl = method.references?.doi_or_url?.trim();
+    if (!doiOrUrl) {
+      issues.push(createIssue('missing-doi', 'methods', method.id, 'reference has no DOI or URL'));
+    } else if (!DOI_PATTERN.test(doiOrUrl)) {
+      issues.push(
+        createIssue('missing-doi', 'methods', method.id, `reference URL is not a DOI: ${doiOrUrl}`)
+      );
+    }
+
+    // Artifacts
+    const artifactUrls = Object.values(method.artifacts || {}).filter(
+      (url) => typeof url === 'string' && url.trim()
+    );
+    if (artifactUrls.length === 0) {
+      issues.push(
+        createIssue('empty-artifacts', 'methods', method.id, 'no code, dataset or demo URL')
+      );
+    }
+
+    // Staleness
+    const updatedAt = new Date(method.updated_at);
+    if (!Number.isNaN(updatedAt.getTime())) {
+      const ageDays = Math.floor((now - updatedAt) / DAY_MS);
+      if (ageDays > staleAfterDays) {
+        issues.push(
+          createIssue('stale-entry', 'methods', method.id, `not updated for ${ageDays} days`)
+        );
+      }
+    }
+  });
+
+  // Checks shared by methods and datasets
+  const datasets = Array.isArray(data.datasets) ? data.datasets : [];
+  [
+    ['methods', methods],
+    ['datasets', datasets],
+  ].forEach(([collection, items]) => {
+    items.forEach((item) => {
+      if (new Date(item.created_at) > new Date(item.updated_at)) {
+        issues.push(
+          createIssue(
+            'timestamp-order',
+            collection,
+            item.id,
+            `created_at (${item.created_at}) is later than updated_at (${item.updated_at})`
+          )
+        );
+      }
+
+      findStrayWhitespace(item).forEach((path) => {
+        issues.push(
+          createIssue('whitespace', collection, item.id, `"${path}" has stray whitespace`)
+        );
+      });
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Groups health issues by the entry they belong to
+ * Catalog-level issues (no entry) come first, then entries by worst severity.
+ * @param {Array} issues - Health issues
+ * @returns {Array} Groups with collection, id and issues
+ */
+export function groupHealthIssues(issues) {
+  const groups = new Map();
+
+  issues.forEach((issue) => {
+    const key = issue.collection ? `${issue.collection}:${issue.id}` : 'catalog';
+    if (!groups.has(key)) {
+      groups.set(key, { key, collection: issue.collection, id: issue.id, issues: [] });
+    }
+    groups.get(key).issues.push(issue);
+  });
+
+  const worstSeverity = (group) =>
+    Math.min(...group.issues.map((issue) => SEVERITY_ORDER[issue.severity]));
+
+  return Array.from(groups.values())
+    .map((group) => ({
+      ...group,
+      issues: [...group.issues].sort(
+        (a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]
+      ),
+    }))
+    .sort((a, b) => {
+      if (!a.collection) return -1;
+      if (!b.collection) return 1;
+      return worstSeverity(a) - worstSeverity(b) || a.id.localeCompare(b.id);
+    });
+}
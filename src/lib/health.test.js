@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import { getHealthIssues, groupHealthIssues, normalizeWhitespace } from './health';
+
+const now = new Date('2024-06-01T00:00:00Z');
+
+// A method with no issues: DOI, an artifact and a recent update
+const method = (id, fields = {}) => ({
+  id,
+  references: { doi_or_url: `https://doi.org/10.1000/${id}` },
+  artifacts: { code_url: `https://example.org/${id}` },
+  updated_at: '2024-05-01T00:00:00Z',
+  ...fields,
+});
+
+const checks = (issues) => issues.map(({ check, severity, id }) => [check, severity, id]);
+
+describe('getHealthIssues', () => {
+  it('reports nothing for a healthy catalog', () => {
+    const data = {
+      methods: [
+        method('a', { related_method_ids: ['b'] }),
+        method('b', { related_method_ids: ['a'] }),
+      ],
+    };
+    expect(getHealthIssues(data, [], { now })).toEqual([]);
+  });
+
+  it('reports missing related methods as errors and one-way links as warnings', () => {
+    const data = {
+      methods: [method('a', { related_method_ids: ['b', 'gone'] }), method('b')],
+    };
+    const issues = getHealthIssues(data, [], { now });
+
+    expect(checks(issues)).toEqual([
+      ['asymmetric-relation', 'warning', 'b'],
+      ['broken-reference', 'error', 'a'],
+    ]);
+    expect(issues[1].message).toBe('related_method_ids points to missing method "gone"');
+  });
+
+  it('reports typed relations to missing methods without asking for a link back', () => {
+    const data = {
+      methods: [
+        method('a', {
+          relations: [
+            { target: 'b', type: 'extends' },
+            { target: 'gone', type: 'supersedes' },
+          ],
+        }),
+        method('b'),
+      ],
+    };
+    const issues = getHealthIssues(data, [], { now });
+
+    expect(checks(issues)).toEqual([['broken-reference', 'error', 'a']]);
+    expect(issues[0].message).toBe('relations points to missing method "gone"');
+  });
+
+  it('turns validator issues into errors', () => {
+    const validationErrors = [
+      { type: 'duplicate-id', collection: 'methods', id: 'a', message: 'duplicate ID' },
+      {
+        type: 'unknown-reference',
+        collection: 'datasets',
+        id: 'logs',
+        message: 'unknown method ID "gone"',
+      },
+    ];
+    expect(checks(getHealthIssues({ methods: [] }, validationErrors, { now }))).toEqual([
+      ['duplicate-id', 'error', 'a'],
+      ['broken-reference', 'error', 'logs'],
+    ]);
+  });
+
+  it('reports missing DOIs, empty artifacts and stale entries', () => {
+    const data = {
+      methods: [
+        method('no-doi', { references: { doi_or_url: 'https://example.org/paper' } }),
+        method('no-code', { artifacts: { code_url: '' } }),
+        method('old', { updated_at: '2023-01-01T00:00:00Z' }),
+      ],
+    };
+    const issues = getHealthIssues(data, [], { now });
+
+    expect(checks(issues)).toEqual([
+      ['missing-doi', 'warning', 'no-doi'],
+      ['empty-artifacts', 'info', 'no-code'],
+      ['stale-entry', 'info', 'old'],
+    ]);
+    expect(issues[2].message).toBe('not updated for 517 days');
+    expect(getHealthIssues(data, [], { now, staleAfterDays: 600 })).toHaveLength(2);
+  });
+
+  it('reports redundant references, duplicate papers and timestamp order', () => {
+    const data = {
+      methods: [
+        method('a', { related_method_ids: ['a', 'b', 'b'] }),
+        method('b', { related_method_ids: ['a'] }),
+        method('copy', {
+          references: { doi_or_url: 'https://doi.org/10.1000/A.' },
+          created_at: '2024-05-02T00:00:00Z',
+        }),
+      ],
+    };
+    const issues = getHealthIssues(data, [], { now });
+
+    expect(checks(issues)).toEqual([
+      ['redundant-reference', 'warning', 'a'],
+      ['duplicate-paper', 'warning', 'copy'],
+      ['timestamp-order', 'error', 'copy'],
+    ]);
+    expect(issues[0].message).toBe('related_method_ids contains itself or duplicates: a, b');
+    expect(issues[1].message).toBe('same paper as "a"');
+  });
+
+  it('reports stray whitespace in methods and datasets', () => {
+    const data = {
+      methods: [method('a', { name: 'Video  Mining', tags: ['video ', 'ok'] })],
+      datasets: [{ id: 'logs', description: 'Event logs .' }],
+    };
+    expect(getHealthIssues(data, [], { now }).map((issue) => issue.message)).toEqual([
+      '"name" has stray whitespace',
+      '"tags/0" has stray whitespace',
+      '"description" has stray whitespace',
+    ]);
+  });
+});
+
+describe('normalizeWhitespace', () => {
+  it('trims, collapses spaces and removes spaces before punctuation', () => {
+    expect(normalizeWhitespace('  Mining  logs , fast .')).toBe('Mining logs, fast.');
+    expect(normalizeWhitespace('ratio 3 :1 stays')).toBe('ratio 3 :1 stays');
+  });
+});
+
+describe('groupHealthIssues', () => {
+  it('lists catalog issues first, then entries by worst severity', () => {
+    const issues = [
+      { check: 'stale-entry', severity: 'info', collection: 'methods', id: 'a' },
+      { check: 'missing-doi', severity: 'warning', collection: 'methods', id: 'b' },
+      { check: 'stale-entry', severity: 'info', collection: 'methods', id: 'b' },
+      { check: 'broken-reference', severity: 'error', collection: 'methods', id: 'c' },
+      { check: 'schema', severity: 'error', collection: null, id: null },
+    ];
+    const groups = groupHealthIssues(issues);
+
+    expect(groups.map((group) => group.key)).toEqual([
+      'catalog',
+      'methods:c',
+      'methods:b',
+      'methods:a',
+    ]);
+    expect(groups[2].issues.map((issue) => issue.check)).toEqual(['missing-doi', 'stale-entry']);
+  });
+});
@@ -1,4 +1,16 @@
-export { loadMethodsData, validateMethodsData, getMethodById, getPipelineStepById, getRelatedMethods, getStatistics } from './data';
-export { createSearchIndex, searchMethods, filterMethods, applyFiltersAndSearch, getFilterOptions, sortMethods, getStepCounts, FILTER_DEFAULTS } from './filters';
+export { loadMethodsData, validateMethodsData, getMethodById, getPipelineStepById, getDatasetById, getDatasetsForMethod, getStatistics } from './data';
+export { createDataValidator, formatSchemaError, formatValidationIssue, getSchemaEnums } from './validation';
+export { getHealthIssues, groupHealthIssues, normalizeWhitespace, HEALTH_CHECKS, SEVERITY_ORDER } from './health';
+export { formatCitations, CITATION_FORMATS } from './citations';
+export { downloadFile, copyToClipboard } from './download';
+export { getExportRows, formatCsv, createMethodsWorkbook, EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS } from './export';
+export { createSearchIndex, searchMethods, parseSearchQuery, getSearchTerms, getSearchSuggestions, getMatchRanges, getMatchedFields, filterMethods, applyFiltersAndSearch, getFacetCounts, getFilterOptions, sortMethods, getStepCounts, getYearCounts, isSearchActive, getDefaultSort, FILTER_DEFAULTS, QUERY_FIELDS, SEARCH_FIELD_LABELS, SUGGESTION_TYPES, ARTIFACT_FILTERS, SORT_OPTIONS } from './filters';
+export { getCommands, searchCommands, isTypingTarget, SHORTCUTS } from './commands';
+export { loadRecentSearches, saveRecentSearches, addRecentSearch, matchRecentSearches } from './recentSearches';
+export { createPreset, normalizePreset, isPresetActive, renamePreset, deletePreset, loadPresets, savePresets, mergePresets, formatPresetsFile, parsePresetsFile } from './presets';
+export { getRelatedMethods, getRelations, getMethodRelations, scoreRelatedness, explainRelatedness, loadRelatedWeights, saveRelatedWeights, RELATEDNESS_FACTORS, DEFAULT_RELATED_WEIGHTS, RELATION_TYPES } from './related';
+export { createSimilarityIndex, getTextSimilarity, getSimilarMethods } from './similarity';
+export { detectCommunities, computeNetworkMetrics } from './network';
+export { encodeExplorerParams, decodeExplorerParams } from './urlState';
 export { AppStateProvider, useAppState, useAppDispatch, actions } from './state.jsx';
 export { ThemeProvider, useTheme, THEMES } from './theme.jsx';
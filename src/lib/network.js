@@ -0,0 +1,251 @@
+/**
+ * Network analysis on the method relationship graph
+ * Works on plain node IDs and weighted edges, so it runs on any subset of the graph.
+ */
+
+const sum = (values) => {
+  let total = 0;
+  values.forEach((value) => {
+    total += value;
+  });
+  return total;
+};
+
+/**
+ * Builds a symmetric adjacency list, merging parallel edges and dropping self-loops
+ */
+function buildAdjacency(nodeIds, edges) {
+  const index = new Map(nodeIds.map((id, i) => [id, i]));
+  const adjacency = nodeIds.map(() => new Map());
+  edges.forEach(({ source, target, weight = 1 }) => {
+    const a = index.get(source);
+    const b = index.get(target);
+    if (a === undefined || b === undefined || a === b) return;
+    adjacency[a].set(b, (adjacency[a].get(b) || 0) + weight);
+    adjacency[b].set(a, (adjacency[b].get(a) || 0) + weight);
+  });
+  return adjacency;
+}
+
+/**
+ * Louvain local moving phase: moves each node to the neighboring community with the best
+ * modularity gain until no move helps
+ * @returns {Object} communities (numbered from 0) and whether any node moved
+ */
+function moveNodes(adjacency) {
+  const degree = adjacency.map((row) => sum(row));
+  const totalWeight = sum(degree);
+  const community = adjacency.map((_, i) => i);
+  const communityDegree = degree.slice();
+  let moved = false;
+
+  if (totalWeight > 0) {
+    let improved = true;
+    while (improved) {
+      improved = false;
+      adjacency.forEach((row, i) => {
+        const current = community[i];
+        const linkWeights = new Map();
+        row.forEach((weight, j) => {
+          if (j !== i) linkWeights.set(community[j], (linkWeights.get(community[j]) || 0) + weight);
+        });
+
+        communityDegree[current] -= degree[i];
+        const gain = (c) =>
+          (linkWeights.get(c) || 0) - (communityDegree[c] * degree[i]) / totalWeight;
+        let best = current;
+        let bestGain = gain(current);
+        linkWeights.forEach((_, c) => {
+          const candidate = gain(c);
+          if (candidate > bestGain + 1e-12) {
+            best = c;
+            bestGain = candidate;
+          }
+        });
+        communityDegree[best] += degree[i];
+
+        if (best !== current) {
+          community[i] = best;
+          improved = true;
+          moved = true;
+        }
+      });
+    }
+  }
+
+  const renumbered = new Map();
+  community.forEach((c) => !renumbered.has(c) && renumbered.set(c, renumbered.size));
+  return { communities: community.map((c) => renumbered.get(c)), moved };
+}
+
+/**
+ * Louvain aggregation phase: collapses each community into a single node
+ */
+function aggregate(adjacency, communities, count) {
+  const next = Array.from({ length: count }, () => new Map());
+  adjacency.forEach((row, i) =>
+    row.forEach((weight, j) => {
+      const a = communities[i];
+      const b = communities[j];
+      next[a].set(b, (next[a].get(b) || 0) + weight);
+    })
+  );
+  return next;
+}
+
+/**
+ * Detects communities with the Louvain method (modularity maximization)
+ * Communities are numbered by size, largest first; unconnected nodes get their own community.
+ * @param {Array} nodeIds - Node IDs
+ * @param {Array} edges - Edges with source, target and optional weight
+ * @returns {Map} Node ID -> community number
+ */
+export function detectCommunities(nodeIds, edges) {
+  let adjacency = buildAdjacency(nodeIds, edges);
+  let membership = nodeIds.map((_, i) => i);
+
+  for (;;) {
+    const { communities, moved } = moveNodes(adjacency);
+    if (!moved) break;
+    membership = membership.map((c) => communities[c]);
+    adjacency = aggregate(adjacency, communities, Math.max(...communities) + 1);
+  }
+
+  // Largest community first, ties in node order
+  const sizes = new Map();
+  membership.forEach((c) => sizes.set(c, (sizes.get(c) || 0) + 1));
+  const order = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a));
+  const rank = new Map(order.map((c, i) => [c, i]));
+
+  return new Map(nodeIds.map((id, i) => [id, rank.get(membership[i])]));
+}
+
+/**
+ * Breadth-first search from one node over an unweighted adjacency list
+ * @returns {Object} distance (-1 when unreachable), shortest path counts, predecessors and visit order
+ */
+function breadthFirst(adjacency, start) {
+  const distance = adjacency.map(() => -1);
+  const paths = adjacency.map(() => 0);
+  const predecessors = adjacency.map(() => []);
+  const order = [];
+  distance[start] = 0;
+  paths[start] = 1;
+
+  const queue = [start];
+  for (let head = 0; head < queue.length; head++) {
+    const v = queue[head];
+    order.push(v);
+    adjacency[v].forEach((_, w) => {
+      if (distance[w] < 0) {
+        distance[w] = distance[v] + 1;
+        queue.push(w);
+      }
+      if (distance[w] === distance[v] + 1) {
+        paths[w] += paths[v];
+        predecessors[w].push(v);
+      }
+    });
+  }
+  return { distance, paths, predecessors, order };
+}
+
+/**
+ * Finds bridges and articulation points with Tarjan's low-link method
+ * @returns {Object} bridges (pairs of node indices) and articulation point indices
+ */
+function findCutElements(adjacency) {
+  const order = adjacency.map(() => -1);
+  const low = adjacency.map(() => 0);
+  const bridges = [];
+  const articulationPoints = new Set();
+  let counter = 0;
+
+  const visit = (v, parent) => {
+    order[v] = counter;
+    low[v] = counter;
+    counter++;
+    let children = 0;
+    adjacency[v].forEach((_, w) => {
+      if (order[w] < 0) {
+        children++;
+        visit(w, v);
+        low[v] = Math.min(low[v], low[w]);
+        if (low[w] > order[v]) bridges.push([v, w]);
+        if (parent !== -1 && low[w] >= order[v]) articulationPoints.add(v);
+      } else if (w !== parent) {
+        low[v] = Math.min(low[v], order[w]);
+      }
+    });
+    if (parent === -1 && children > 1) articulationPoints.add(v);
+  };
+
+  adjacency.forEach((_, v) => {
+    if (order[v] < 0) visit(v, -1);
+  });
+  return { bridges, articulationPoints: [...articulationPoints].sort((a, b) => a - b) };
+}
+
+/**
+ * Computes centrality and connectivity metrics, treating edges as undirected and unweighted
+ * Betweenness uses Brandes' algorithm; closeness uses the Wasserman-Faust variant so methods
+ * in small components do not score as central.
+ * @param {Array} nodeIds - Node IDs
+ * @param {Array} edges - Edges with source and target
+ * @returns {Object} degree, betweenness and closeness (Maps of node ID -> value, betweenness
+ *   and closeness normalized to 0..1), components (ID arrays, largest first), isolates,
+ *   bridges (edges whose removal splits a component) and articulationPoints (nodes likewise)
+ */
+export function computeNetworkMetrics(nodeIds, edges) {
+  const adjacency = buildAdjacency(nodeIds, edges);
+  const n = nodeIds.length;
+  const betweenness = nodeIds.map(() => 0);
+  const closeness = nodeIds.map(() => 0);
+
+  adjacency.forEach((_, s) => {
+    const { distance, paths, predecessors, order } = breadthFirst(adjacency, s);
+
+    // Closeness from the distances to every reachable node
+    const reachable = order.length - 1;
+    const totalDistance = order.reduce((total, v) => total + distance[v], 0);
+    if (reachable > 0 && n > 1) {
+      closeness[s] = (reachable / (n - 1)) * (reachable / totalDistance);
+    }
+
+    // Betweenness: accumulate pair dependencies back from the farthest nodes
+    const dependency = nodeIds.map(() => 0);
+    for (let i = order.length - 1; i > 0; i--) {
+      const w = order[i];
+      predecessors[w].forEach((v) => {
+        dependency[v] += (paths[v] / paths[w]) * (1 + dependency[w]);
+      });
+      betweenness[w] += dependency[w];
+    }
+  });
+
+  // Each pair was counted from both ends
+  const pairs = ((n - 1) * (n - 2)) / 2;
+  const toMap = (values) => new Map(nodeIds.map((id, i) => [id, values[i]]));
+
+  const seen = new Set();
+  const components = [];
+  adjacency.forEach((_, s) => {
+    if (seen.has(s)) return;
+    const { order } = breadthFirst(adjacency, s);
+    order.forEach((v) => seen.add(v));
+    components.push(order.map((v) => nodeIds[v]));
+  });
+  components.sort((a, b) => b.length - a.length);
+
+  const { bridges, articulationPoints } = findCutElements(adjacency);
+
+  return {
+    degree: toMap(adjacency.map((row) => row.size)),
+    betweenness: toMap(betweenness.map((value) => (pairs > 0 ? value / 2 / pairs : 0))),
+    closeness: toMap(closeness),
+    components,
+    isolates: nodeIds.filter((_, i) => adjacency[i].size === 0),
+    bridges: bridges.map(([a, b]) => ({ source: nodeIds[a], target: nodeIds[b] })),
+    articulationPoints: articulationPoints.map((i) => nodeIds[i]),
+  };
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { detectCommunities, computeNetworkMetrics } from './network';
+
+const clique = (ids) =>
+  ids.flatMap((source, i) => ids.slice(i + 1).map((target) => ({ source, target })));
+
+describe('detectCommunities', () => {
+  it('separates two cliques joined by one edge', () => {
+    const nodes = ['a1', 'a2', 'a3', 'a4', 'b1', 'b2', 'b3', 'b4'];
+    const edges = [
+      ...clique(['a1', 'a2', 'a3', 'a4']),
+      ...clique(['b1', 'b2', 'b3', 'b4']),
+      { source: 'a4', target: 'b1' },
+    ];
+    const communities = detectCommunities(nodes, edges);
+
+    expect(nodes.map((id) => communities.get(id))).toEqual([0, 0, 0, 0, 1, 1, 1, 1]);
+  });
+
+  it('numbers communities by size and gives unconnected nodes their own', () => {
+    const nodes = ['lone', 'x1', 'y1', 'y2', 'y3', 'x2', 'x3'];
+    const edges = [
+      ...clique(['x1', 'x2', 'x3']),
+      ...clique(['y1', 'y2', 'y3']),
+      { source: 'y3', target: 'y3' },
+      { source: 'x1', target: 'missing' },
+    ];
+    const communities = detectCommunities(nodes, edges);
+
+    expect(communities.get('x1')).toBe(0);
+    expect(communities.get('x3')).toBe(0);
+    expect(communities.get('y2')).toBe(1);
+    expect(communities.get('lone')).toBe(2);
+  });
+
+  it('lets heavy edges outweigh light ones', () => {
+    const nodes = ['a', 'b', 'c', 'd'];
+    const edges = [
+      { source: 'a', target: 'b', weight: 5 },
+      { source: 'b', target: 'c', weight: 1 },
+      { source: 'c', target: 'd', weight: 5 },
+      { source: 'd', target: 'a', weight: 1 },
+    ];
+    const communities = detectCommunities(nodes, edges);
+
+    expect(communities.get('a')).toBe(communities.get('b'));
+    expect(communities.get('c')).toBe(communities.get('d'));
+    expect(communities.get('a')).not.toBe(communities.get('c'));
+  });
+});
+
+describe('computeNetworkMetrics', () => {
+  const path = ['a', 'b', 'c', 'd', 'e'];
+  const pathEdges = path.slice(1).map((target, i) => ({ source: path[i], target }));
+  const bridgeKeys = (bridges) =>
+    bridges.map(({ source, target }) => [source, target].sort().join('-')).sort();
+
+  it('computes Brandes betweenness on a path', () => {
+    const { betweenness, degree } = computeNetworkMetrics(path, pathEdges);
+
+    // Of the 6 pairs not involving it, c lies between 4 and b and d between 3 each
+    expect(path.map((id) => betweenness.get(id))).toEqual([0, 0.5, 4 / 6, 0.5, 0]);
+    expect(path.map((id) => degree.get(id))).toEqual([1, 2, 2, 2, 1]);
+  });
+
+  it('computes closeness from the distances', () => {
+    const { closeness } = computeNetworkMetrics(path, pathEdges);
+
+    expect(closeness.get('a')).toBeCloseTo(4 / 10);
+    expect(closeness.get('b')).toBeCloseTo(4 / 7);
+    expect(closeness.get('c')).toBeCloseTo(4 / 6);
+  });
+
+  it('scales closeness down in small components', () => {
+    const { closeness } = computeNetworkMetrics(
+      ['a', 'b', 'c', 'd', 'e'],
+      [{ source: 'a', target: 'b' }]
+    );
+
+    expect(closeness.get('a')).toBeCloseTo(1 / 4);
+    expect(closeness.get('c')).toBe(0);
+  });
+
+  it('finds components, largest first, and isolates', () => {
+    const { components, isolates } = computeNetworkMetrics(
+      ['z', 'x', 'a', 'b', 'c', 'y'],
+      [...clique(['a', 'b', 'c']), { source: 'x', target: 'y' }]
+    );
+
+    expect(components).toEqual([['a', 'b', 'c'], ['x', 'y'], ['z']]);
+    expect(isolates).toEqual(['z']);
+  });
+
+  it('finds bridges and articulation points', () => {
+    const metrics = computeNetworkMetrics(path, pathEdges);
+    expect(bridgeKeys(metrics.bridges)).toEqual(['a-b', 'b-c', 'c-d', 'd-e']);
+    expect(metrics.articulationPoints).toEqual(['b', 'c', 'd']);
+
+    // A triangle with a tail: only the tail edges are bridges
+    const tailed = computeNetworkMetrics(
+      ['a', 'b', 'c', 'd', 'e'],
+      [...clique(['a', 'b', 'c']), { source: 'c', target: 'd' }, { source: 'd', target: 'e' }]
+    );
+    expect(bridgeKeys(tailed.bridges)).toEqual(['c-d', 'd-e']);
+    expect(tailed.articulationPoints).toEqual(['c', 'd']);
+  });
+
+  it('finds no cut elements in a cycle', () => {
+    const { bridges, articulationPoints } = computeNetworkMetrics(path, [
+      ...pathEdges,
+      { source: 'e', target: 'a' },
+    ]);
+
+    expect(bridges).toEqual([]);
+    expect(articulationPoints).toEqual([]);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Saved filter presets (named views)
+ * A preset stores the filters, sort and selected step; presets are kept in localStorage
+ * and can be shared as a JSON file.
+ */
+
+import { FILTER_DEFAULTS, getDefaultSort, SORT_OPTIONS } from './filters';
+import { encodeExplorerParams } from './urlState';
+
+const PRESETS_STORAGE_KEY = 'pm-taxonomy-filter-presets';
+const PRESETS_FILE_VERSION = 1;
+
+const LIST_FILTERS = [
+  'modalities',
+  'tasks',
+  'evidenceTypes',
+  'maturityLevels',
+  'automationLevels',
+  'tags',
+  'artifacts',
+];
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === 'string');
+const asString = (value) => (typeof value === 'string' && value ? value : null);
+const asYear = (value) => (Number.isInteger(value) ? value : null);
+
+const createId = () =>
+  `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * Fills in missing or malformed preset fields with the defaults
+ * Keeps presets saved by older versions and hand-edited files usable.
+ * @param {Object} raw - Stored or imported preset
+ * @returns {Object|null} Preset, or null if it has no name
+ */
+export function normalizePreset(raw) {
+  const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+  if (!name) return null;
+
+  const saved = raw.filters && typeof raw.filters === 'object' ? raw.filters : {};
+  const filters = {
+    ...FILTER_DEFAULTS,
+    searchQuery: typeof saved.searchQuery === 'string' ? saved.searchQuery : '',
+    pipelineStep: asString(raw.selectedStep ?? saved.pipelineStep),
+    yearRange: { min: asYear(saved.yearRange?.min), max: asYear(saved.yearRange?.max) },
+    matchModes: { ...FILTER_DEFAULTS.matchModes },
+  };
+  LIST_FILTERS.forEach((key) => {
+    filters[key] = isStringList(saved[key]) ? saved[key] : [];
+  });
+  Object.keys(filters.matchModes).forEach((group) => {
+    const mode = saved.matchModes?.[group];
+    if (mode === 'any' || mode === 'all') filters.matchModes[group] = mode;
+  });
+
+  const defaultSort = getDefaultSort(filters);
+  return {
+    id: asString(raw.id) || createId(),
+    name,
+    createdAt: asString(raw.createdAt) || new Date().toISOString(),
+    filters,
+    selectedStep: filters.pipelineStep,
+    selectedModality: asString(raw.selectedModality),
+    sortBy: Object.hasOwn(SORT_OPTIONS, raw.sortBy ?? '') ? raw.sortBy : defaultSort.sortBy,
+    sortOrder:
+      raw.sortOrder === 'asc' || raw.sortOrder === 'desc' ? raw.sortOrder : defaultSort.sortOrder,
+  };
+}
+
+/**
+ * Creates a preset from the current explorer state
+ * @param {string} name - Preset name
+ * @param {Object} state - App state with filters, selectedStep, selectedModality, sortBy and sortOrder
+ * @returns {Object} Preset
+ */
+export function createPreset(name, { filters, selectedModality, sortBy, sortOrder }) {
+  return normalizePreset({
+    id: createId(),
+    name,
+    createdAt: new Date().toISOString(),
+    filters,
+    selectedStep: filters.pipelineStep,
+    selectedModality,
+    sortBy,
+    sortOrder,
+  });
+}
+
+/**
+ * Checks whether a preset describes the current explorer state
+ * @param {Object} preset - Preset
+ * @param {Object} state - App state
+ * @returns {boolean} True if applying the preset would change nothing
+ */
+export function isPresetActive(preset, state) {
+  return encodeExplorerParams(preset).toString() === encodeExplorerParams(state).toString();
+}
+
+/**
+ * Renames a preset
+ * Names stay unique, so renaming onto another preset's name replaces that preset.
+ * @param {Array} presets - Current presets
+ * @param {string} id - ID of the preset to rename
+ * @param {string} name - New name
+ * @returns {Array} Updated presets
+ */
+export function renamePreset(presets, id, name) {
+  const trimmed = name.trim();
+  if (!trimmed) return presets;
+  return presets
+    .filter((preset) => preset.id === id || preset.name.toLowerCase() !== trimmed.toLowerCase())
+    .map((preset) => (preset.id === id ? { ...preset, name: trimmed } : preset));
+}
+
+/**
+ * Removes a preset
+ * @param {Array} presets - Current presets
+ * @param {string} id - ID of the preset to remove
+ * @returns {Array} Updated presets
+ */
+export function deletePreset(presets, id) {
+  return presets.filter((preset) => preset.id !== id);
+}
+
+/**
+ * Reads the saved presets from localStorage
+ * @returns {Array} Presets in the order they were saved
+ */
+export function loadPresets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY));
+    if (Array.isArray(stored)) return stored.map(normalizePreset).filter(Boolean);
+  } catch {
+    // Fall through to no presets
+  }
+  return [];
+}
+
+/**
+ * Writes the presets to localStorage
+ * @param {Array} presets - Presets to keep
+ */
+export function savePresets(presets) {
+  localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+}
+
+/**
+ * Serializes presets for sharing
+ * @param {Array} presets - Presets to export
+ * @returns {string} JSON file contents
+ */
+export function formatPresetsFile(presets) {
+  return JSON.stringify({ version: PRESETS_FILE_VERSION, presets }, null, 2) + '\n';
+}
+
+/**
+ * Reads presets from a shared JSON file
+ * Accepts the exported format or a bare array of presets.
+ * @param {string} text - File contents
+ * @returns {Array} Presets
+ * @throws {Error} If the file contains no valid presets or repeats a name
+ */
+export function parsePresetsFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.presets;
+  if (!Array.isArray(list)) {
+    throw new Error('The file does not contain a list of presets');
+  }
+  const presets = list.map(normalizePreset).filter(Boolean);
+  if (presets.length === 0) {
+    throw new Error('The file contains no named presets');
+  }
+  // Names are unique, so a repeated name would silently replace the earlier preset
+  const names = new Set();
+  presets.forEach(({ name }) => {
+    if (names.has(name.toLowerCase())) {
+      throw new Error(`The file contains more than one preset named "${name}"`);
+    }
+    names.add(name.toLowerCase());
+  });
+  return presets;
+}
+
+/**
+ * Adds imported presets; an imported preset replaces a saved one with the same name
+ * @param {Array} saved - Current presets
+ * @param {Array} imported - Presets from a file
+ * @returns {Array} Merged presets
+ */
+export function mergePresets(saved, imported) {
+  const byName = new Map(imported.map((preset) => [preset.name.toLowerCase(), preset]));
+  const kept = saved.map((preset) => {
+    const replacement = byName.get(preset.name.toLowerCase());
+    if (!replacement) return preset;
+    byName.delete(preset.name.toLowerCase());
+    return { ...replacement, id: preset.id };
+  });
+  // Imported ids may clash with saved ones, so new entries get fresh ids
+  return [...kept, ...[...byName.values()].map((preset) => ({ ...preset, id: createId() }))];
+}
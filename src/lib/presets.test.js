@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createPreset,
+  normalizePreset,
+  isPresetActive,
+  renamePreset,
+  deletePreset,
+  loadPresets,
+  savePresets,
+  mergePresets,
+  formatPresetsFile,
+  parsePresetsFile,
+} from './presets';
+import { FILTER_DEFAULTS } from './filters';
+
+const explorerState = {
+  filters: { ...FILTER_DEFAULTS, pipelineStep: 'collect', tags: ['iot'] },
+  selectedModality: null,
+  sortBy: 'year',
+  sortOrder: 'desc',
+};
+
+describe('createPreset', () => {
+  it('captures filters, step and sort under a trimmed name', () => {
+    const preset = createPreset('IoT methods', explorerState);
+    expect(preset).toMatchObject({
+      name: 'IoT methods',
+      filters: explorerState.filters,
+      selectedStep: 'collect',
+      sortBy: 'year',
+      sortOrder: 'desc',
+    });
+    expect(preset.id).toMatch(/^preset-/);
+    expect(isPresetActive(preset, explorerState)).toBe(true);
+    expect(isPresetActive(preset, { ...explorerState, sortOrder: 'asc' })).toBe(false);
+  });
+});
+
+describe('normalizePreset', () => {
+  it('replaces malformed fields with the defaults', () => {
+    const preset = normalizePreset({
+      id: 'p1',
+      name: ' Broken ',
+      filters: { tags: 'iot', modalities: ['video', 3], yearRange: { min: '2020' } },
+      sortBy: 'constructor',
+      sortOrder: 'sideways',
+    });
+    expect(preset.name).toBe('Broken');
+    expect(preset.filters).toEqual(FILTER_DEFAULTS);
+    expect(preset).toMatchObject({ sortBy: 'name', sortOrder: 'asc', selectedStep: null });
+  });
+
+  it('rejects presets without a name', () => {
+    expect(normalizePreset({ name: '  ' })).toBeNull();
+    expect(normalizePreset(null)).toBeNull();
+  });
+});
+
+describe('renamePreset and deletePreset', () => {
+  const presets = [
+    normalizePreset({ id: 'a', name: 'IoT' }),
+    normalizePreset({ id: 'b', name: 'Video' }),
+    normalizePreset({ id: 'c', name: 'Text' }),
+  ];
+  const names = (list) => list.map(({ id, name }) => `${id}:${name}`);
+
+  it('renames in place and replaces a preset that had the new name', () => {
+    expect(names(renamePreset(presets, 'a', ' Sensors '))).toEqual([
+      'a:Sensors',
+      'b:Video',
+      'c:Text',
+    ]);
+    expect(names(renamePreset(presets, 'a', 'video'))).toEqual(['a:video', 'c:Text']);
+    expect(renamePreset(presets, 'a', '  ')).toBe(presets);
+  });
+
+  it('deletes by id', () => {
+    expect(names(deletePreset(presets, 'b'))).toEqual(['a:IoT', 'c:Text']);
+    expect(deletePreset(presets, 'missing')).toEqual(presets);
+  });
+});
+
+describe('loadPresets', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('reads back saved presets', () => {
+    const presets = [createPreset('One', explorerState), createPreset('Two', explorerState)];
+    savePresets(presets);
+    expect(loadPresets()).toEqual(presets);
+  });
+
+  it('ignores malformed storage', () => {
+    localStorage.setItem('pm-taxonomy-filter-presets', '{not json');
+    expect(loadPresets()).toEqual([]);
+    localStorage.setItem('pm-taxonomy-filter-presets', JSON.stringify([{ name: '' }, 'x']));
+    expect(loadPresets()).toEqual([]);
+  });
+});
+
+describe('parsePresetsFile', () => {
+  it('reads exported files and bare lists', () => {
+    const presets = [createPreset('One', explorerState)];
+    expect(parsePresetsFile(formatPresetsFile(presets))).toEqual(presets);
+    expect(parsePresetsFile(JSON.stringify([{ name: 'Bare' }]))[0].name).toBe('Bare');
+  });
+
+  it.each([
+    ['{oops', 'The file is not valid JSON'],
+    ['{"version": 1}', 'The file does not contain a list of presets'],
+    ['"presets"', 'The file does not contain a list of presets'],
+    ['{"presets": [{"name": ""}, 42]}', 'The file contains no named presets'],
+    ['[{"name": "IoT"}, {"name": " iot "}]', 'The file contains more than one preset named "iot"'],
+  ])('rejects %s', (text, message) => {
+    expect(() => parsePresetsFile(text)).toThrow(message);
+  });
+});
+
+describe('mergePresets', () => {
+  it('replaces presets with the same name and adds the others with fresh ids', () => {
+    const saved = [normalizePreset({ id: 'keep', name: 'IoT', sortBy: 'year' })];
+    const imported = [
+      normalizePreset({ id: 'keep', name: 'Video', sortBy: 'name' }),
+      normalizePreset({ id: 'other', name: 'iot', sortBy: 'maturity' }),
+    ];
+    const merged = mergePresets(saved, imported);
+
+    expect(merged.map(({ id, name, sortBy }) => [id, name, sortBy])).toEqual([
+      ['keep', 'iot', 'maturity'],
+      [merged[1].id, 'Video', 'name'],
+    ]);
+    expect(merged[1].id).not.toBe('keep');
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Recent search queries
+ * Kept in localStorage, most recent first, for the search box suggestions.
+ */
+
+const RECENT_STORAGE_KEY = 'pm-taxonomy-recent-searches';
+
+export const MAX_RECENT_SEARCHES = 8;
+const MAX_RECENT_WHILE_TYPING = 3;
+
+/**
+ * Reads the recent queries from localStorage
+ * @returns {Array} Queries, most recent first; empty when nothing valid is stored
+ */
+export function loadRecentSearches() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_STORAGE_KEY));
+    if (Array.isArray(stored)) {
+      return stored.filter((query) => typeof query === 'string').slice(0, MAX_RECENT_SEARCHES);
+    }
+  } catch {
+    // Fall through to an empty history
+  }
+  return [];
+}
+
+/**
+ * Writes the recent queries to localStorage
+ * @param {Array} recent - Queries, most recent first
+ */
+export function saveRecentSearches(recent) {
+  localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(recent));
+}
+
+/**
+ * Moves a query to the front of the recent queries
+ * Queries shorter than two characters are not searched, so they are not kept.
+ * @param {Array} recent - Queries, most recent first
+ * @param {string} query - Query that was searched
+ * @returns {Array} Updated queries, at most MAX_RECENT_SEARCHES
+ */
+export function addRecentSearch(recent, query) {
+  const trimmed = query.trim();
+  if (trimmed.length < 2) return recent;
+  return [trimmed, ...recent.filter((q) => q !== trimmed)].slice(0, MAX_RECENT_SEARCHES);
+}
+
+/**
+ * Picks the recent queries to suggest for the current input
+ * All of them for an empty input, otherwise the few that contain it.
+ * @param {Array} recent - Queries, most recent first
+ * @param {string} input - Current search input
+ * @returns {Array} Queries to suggest
+ */
+export function matchRecentSearches(recent, input) {
+  const needle = input.trim().toLowerCase();
+  if (!needle) return recent.slice(0, MAX_RECENT_SEARCHES);
+  return recent
+    .filter((q) => q.toLowerCase().includes(needle) && q.trim() !== input.trim())
+    .slice(0, MAX_RECENT_WHILE_TYPING);
+}
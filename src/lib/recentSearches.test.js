@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  loadRecentSearches,
+  saveRecentSearches,
+  addRecentSearch,
+  matchRecentSearches,
+  MAX_RECENT_SEARCHES,
+} from './recentSearches';
+
+describe('addRecentSearch', () => {
+  it('moves repeated queries to the front', () => {
+    expect(addRecentSearch(['iot', 'video'], ' video ')).toEqual(['video', 'iot']);
+  });
+
+  it('ignores queries too short to search', () => {
+    const recent = ['iot'];
+    expect(addRecentSearch(recent, ' v ')).toBe(recent);
+  });
+
+  it('keeps the most recent queries up to the limit', () => {
+    const queries = Array.from({ length: 10 }, (_, i) => `query ${i}`);
+    const recent = queries.reduce(addRecentSearch, []);
+
+    expect(MAX_RECENT_SEARCHES).toBe(8);
+    expect(recent).toHaveLength(MAX_RECENT_SEARCHES);
+    expect(recent[0]).toBe('query 9');
+    expect(recent.at(-1)).toBe('query 2');
+  });
+});
+
+describe('matchRecentSearches', () => {
+  const recent = ['video mining', 'iot', 'video', 'sensor video', 'video logs', 'Video clips'];
+
+  it('lists all recent queries for an empty input', () => {
+    expect(matchRecentSearches(recent, '  ')).toEqual(recent);
+  });
+
+  it('lists up to three queries containing the input, but not the input itself', () => {
+    expect(matchRecentSearches(recent, 'video')).toEqual([
+      'video mining',
+      'sensor video',
+      'video logs',
+    ]);
+  });
+});
+
+describe('loadRecentSearches', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('reads back saved queries', () => {
+    saveRecentSearches(['video', 'iot']);
+    expect(loadRecentSearches()).toEqual(['video', 'iot']);
+  });
+
+  it('drops malformed entries and anything past the limit', () => {
+    const stored = [1, ...Array.from({ length: 10 }, (_, i) => `query ${i}`)];
+    localStorage.setItem('pm-taxonomy-recent-searches', JSON.stringify(stored));
+    expect(loadRecentSearches()).toEqual(stored.slice(1, 9));
+
+    localStorage.setItem('pm-taxonomy-recent-searches', '{broken');
+    expect(loadRecentSearches()).toEqual([]);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Related-method recommendations
+ * Scores method pairs on explicit links, shared metadata and pipeline position, and explains
+ * each score. The same scoring drives the detail page and the relationship graph.
+ */
+
+const WEIGHTS_STORAGE_KEY = 'pm-taxonomy-related-weights';
+
+/**
+ * Scoring factors; list factors score their weight once per shared value
+ */
+export const RELATEDNESS_FACTORS = {
+  linked: { label: 'Explicit link', defaultWeight: 1, max: 2 },
+  modalities: { label: 'Shared modality', defaultWeight: 0.25, max: 1, perValue: true },
+  tasks: { label: 'Shared task', defaultWeight: 0.2, max: 1, perValue: true },
+  tags: { label: 'Shared tag', defaultWeight: 0.1, max: 1, perValue: true },
+  sameStep: { label: 'Same step', defaultWeight: 0.15, max: 1 },
+  adjacentStep: { label: 'Adjacent step', defaultWeight: 0.05, max: 1 },
+  maturity: { label: 'Same maturity', defaultWeight: 0.05, max: 1 },
+  evidence: { label: 'Same evidence type', defaultWeight: 0.05, max: 1 },
+};
+
+export const DEFAULT_RELATED_WEIGHTS = Object.fromEntries(
+  Object.entries(RELATEDNESS_FACTORS).map(([key, factor]) => [key, factor.defaultWeight])
+);
+
+/**
+ * Typed relation vocabulary (relation_type in the schema), phrased from each end of the relation
+ */
+export const RELATION_TYPES = {
+  extends: { label: 'Extends', inverseLabel: 'Extended by' },
+  'evaluates-against': { label: 'Evaluated against', inverseLabel: 'Baseline for' },
+  'reuses-data': { label: 'Reuses data from', inverseLabel: 'Data reused by' },
+  supersedes: { label: 'Supersedes', inverseLabel: 'Superseded by' },
+  related: { label: 'Related to', inverseLabel: 'Related to' },
+};
+
+const MAX_RELATED = 6;
+
+const shared = (a = [], b = []) => a.filter((value) => b.includes(value));
+const plural = (count, singular, pluralForm = `${singular}s`) =>
+  `${count} ${count === 1 ? singular : pluralForm}`;
+
+/**
+ * Gets a method's outgoing relations
+ * Entries in related_method_ids without a typed relation become "related" relations.
+ * @param {Object} method - The method
+ * @returns {Array} Relations with target, type and note
+ */
+export function getRelations(method) {
+  const relations = (method.relations || []).map(({ target, type, note }) => ({
+    target,
+    type: Object.hasOwn(RELATION_TYPES, type) ? type : 'related',
+    note: note || null,
+  }));
+  const typedTargets = new Set(relations.map((r) => r.target));
+  (method.related_method_ids || [])
+    .filter((target) => !typedTargets.has(target))
+    .forEach((target) => relations.push({ target, type: 'related', note: null }));
+  return relations;
+}
+
+/**
+ * Gets the relations of a method in both directions, for display
+ * A plain "related" link is left out when a typed relation connects the same pair.
+ * @param {Object} data - The methods data
+ * @param {string} methodId - The method ID
+ * @returns {Array} { method, type, note, incoming, label } for each related method
+ */
+export function getMethodRelations(data, methodId) {
+  const method = data.methods.find((m) => m.id === methodId);
+  if (!method) return [];
+
+  const byId = new Map(data.methods.map((m) => [m.id, m]));
+  const entries = [
+    ...getRelations(method).map((r) => ({ ...r, otherId: r.target, incoming: false })),
+    ...data.methods
+      .filter((m) => m.id !== methodId)
+      .flatMap((m) =>
+        getRelations(m)
+          .filter((r) => r.target === methodId)
+          .map((r) => ({ ...r, otherId: m.id, incoming: true }))
+      ),
+  ].filter((entry) => byId.has(entry.otherId) && entry.otherId !== methodId);
+
+  const typedIds = new Set(entries.filter((e) => e.type !== 'related').map((e) => e.otherId));
+  const seen = new Set();
+  return entries
+    .filter((entry) => {
+      if (entry.type !== 'related') return true;
+      if (typedIds.has(entry.otherId) || seen.has(entry.otherId)) return false;
+      seen.add(entry.otherId);
+      return true;
+    })
+    .map(({ otherId, type, note, incoming }) => ({
+      method: byId.get(otherId),
+      type,
+      note,
+      incoming,
+      label: RELATION_TYPES[type][incoming ? 'inverseLabel' : 'label'],
+    }));
+}
+
+/**
+ * Scores how related two methods are
+ * @param {Object} method1 - First method
+ * @param {Object} method2 - Second method
+ * @param {Array} pipelineSteps - Pipeline steps, for step adjacency
+ * @param {Object} weights - Factor weights (defaults to DEFAULT_RELATED_WEIGHTS)
+ * @returns {Object} { score, reasons } with one reason per contributing factor
+ */
+export function scoreRelatedness(
+  method1,
+  method2,
+  pipelineSteps,
+  weights = DEFAULT_RELATED_WEIGHTS
+) {
+  if (method1.id === method2.id) return { score: 0, reasons: [] };
+
+  const reasons = [];
+  const add = (factor, text, count = 1, values = []) => {
+    const contribution = (weights[factor] ?? 0) * count;
+    if (contribution > 0) reasons.push({ factor, text, values, contribution });
+  };
+
+  // Typed relations explain more than a plain link, so they win
+  const [relation] = [
+    ...getRelations(method1)
+      .filter((r) => r.target === method2.id)
+      .map((r) => ({ ...r, incoming: false })),
+    ...getRelations(method2)
+      .filter((r) => r.target === method1.id)
+      .map((r) => ({ ...r, incoming: true })),
+  ].sort((a, b) => (a.type === 'related') - (b.type === 'related'));
+  if (relation) {
+    const { label, inverseLabel } = RELATION_TYPES[relation.type];
+    add(
+      'linked',
+      relation.type === 'related'
+        ? 'linked'
+        : (relation.incoming ? inverseLabel : label).toLowerCase()
+    );
+  }
+
+  [
+    ['modalities', shared(method1.modalities, method2.modalities), 'modality', 'modalities'],
+    ['tasks', shared(method1.tasks, method2.tasks), 'task'],
+    ['tags', shared(method1.tags, method2.tags), 'tag'],
+  ].forEach(([factor, values, singular, pluralForm]) => {
+    if (values.length > 0) {
+      add(
+        factor,
+        `shares ${plural(values.length, singular, pluralForm)}: ${values.join(', ')}`,
+        values.length,
+        values
+      );
+    }
+  });
+
+  const step1 = pipelineSteps.find((s) => s.id === method1.pipeline_step);
+  const step2 = pipelineSteps.find((s) => s.id === method2.pipeline_step);
+  if (step1 && step2) {
+    const stepDiff = Math.abs(step1.order - step2.order);
+    if (stepDiff === 0) add('sameStep', 'same step');
+    else if (stepDiff === 1) add('adjacentStep', 'adjacent step');
+  }
+
+  if (method1.maturity && method1.maturity === method2.maturity) {
+    add('maturity', 'same maturity');
+  }
+  if (method1.evidence_type && method1.evidence_type === method2.evidence_type) {
+    add('evidence', 'same evidence type');
+  }
+
+  reasons.sort((a, b) => b.contribution - a.contribution);
+  return { score: reasons.reduce((sum, r) => sum + r.contribution, 0), reasons };
+}
+
+/**
+ * Describes why two methods are related, strongest reason first
+ * @param {Array} reasons - Reasons from scoreRelatedness
+ * @returns {string} e.g. "shares 2 tags: nlp, email; same step"
+ */
+export function explainRelatedness(reasons) {
+  return reasons.map((reason) => reason.text).join('; ');
+}
+
+/**
+ * Gets the methods most related to a method
+ * @param {Object} data - The methods data
+ * @param {string} methodId - The method ID
+ * @param {Object} options - weights and limit
+ * @returns {Array} Methods with score, reasons and explanation, best first
+ */
+export function getRelatedMethods(
+  data,
+  methodId,
+  { weights = DEFAULT_RELATED_WEIGHTS, limit = MAX_RELATED } = {}
+) {
+  const method = data.methods.find((m) => m.id === methodId);
+  if (!method) return [];
+
+  const pipelineSteps = data.pipeline_steps || [];
+  return data.methods
+    .filter((m) => m.id !== methodId)
+    .map((m) => {
+      const { score, reasons } = scoreRelatedness(method, m, pipelineSteps, weights);
+      return { ...m, score, reasons, explanation: explainRelatedness(reasons) };
+    })
+    .filter((m) => m.score > 0)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Reads the saved factor weights from localStorage
+ * @returns {Object} Weights, with defaults for missing or invalid factors
+ */
+export function loadRelatedWeights() {
+  const weights = { ...DEFAULT_RELATED_WEIGHTS };
+  try {
+    const stored = JSON.parse(localStorage.getItem(WEIGHTS_STORAGE_KEY));
+    Object.entries(RELATEDNESS_FACTORS).forEach(([key, factor]) => {
+      const value = stored?.[key];
+      if (typeof value === 'number' && value >= 0 && value <= factor.max) weights[key] = value;
+    });
+  } catch {
+    // Fall through to the defaults
+  }
+  return weights;
+}
+
+/**
+ * Writes the factor weights to localStorage
+ * @param {Object} weights - Weights to keep
+ */
+export function saveRelatedWeights(weights) {
+  localStorage.setItem(WEIGHTS_STORAGE_KEY, JSON.stringify(weights));
+}
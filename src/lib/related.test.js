@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  scoreRelatedness,
+  explainRelatedness,
+  getRelatedMethods,
+  getMethodRelations,
+  DEFAULT_RELATED_WEIGHTS,
+} from './related';
+
+const pipelineSteps = [
+  { id: 'collect', order: 1 },
+  { id: 'extract', order: 2 },
+  { id: 'analyze', order: 3 },
+];
+
+const base = {
+  id: 'base',
+  name: 'Base',
+  pipeline_step: 'collect',
+  modalities: ['video', 'sensor'],
+  tasks: ['segmentation'],
+  tags: ['iot', 'cv', 'edge'],
+  maturity: 'prototype',
+  evidence_type: 'case-study',
+};
+
+describe('scoreRelatedness', () => {
+  it('explains each contributing factor, strongest first', () => {
+    const other = {
+      id: 'other',
+      name: 'Other',
+      pipeline_step: 'extract',
+      modalities: ['video'],
+      tasks: ['classification'],
+      tags: ['iot', 'edge'],
+      maturity: 'prototype',
+      evidence_type: 'experiment',
+      related_method_ids: ['base'],
+    };
+    const { score, reasons } = scoreRelatedness(base, other, pipelineSteps);
+
+    expect(reasons.map(({ factor, contribution }) => [factor, contribution])).toEqual([
+      ['linked', 1],
+      ['modalities', 0.25],
+      ['tags', 0.2],
+      ['adjacentStep', 0.05],
+      ['maturity', 0.05],
+    ]);
+    expect(score).toBeCloseTo(1.55);
+    expect(explainRelatedness(reasons)).toBe(
+      'linked; shares 1 modality: video; shares 2 tags: iot, edge; adjacent step; same maturity'
+    );
+  });
+
+  it('prefers a typed relation over a plain link and phrases it from each end', () => {
+    const extension = {
+      id: 'extension',
+      relations: [{ target: 'base', type: 'extends' }],
+      related_method_ids: ['base'],
+    };
+    expect(scoreRelatedness(extension, base, []).reasons[0].text).toBe('extends');
+    expect(scoreRelatedness(base, extension, []).reasons[0].text).toBe('extended by');
+  });
+
+  it('applies custom weights and leaves out factors weighted zero', () => {
+    const other = { ...base, id: 'other' };
+    const weights = { ...DEFAULT_RELATED_WEIGHTS, tags: 0.5, modalities: 0, sameStep: 0 };
+    const { score, reasons } = scoreRelatedness(base, other, pipelineSteps, weights);
+
+    expect(reasons.map((reason) => reason.factor)).toEqual([
+      'tags',
+      'tasks',
+      'maturity',
+      'evidence',
+    ]);
+    expect(score).toBeCloseTo(1.5 + 0.2 + 0.05 + 0.05);
+  });
+
+  it('scores a method against itself as unrelated', () => {
+    expect(scoreRelatedness(base, base, pipelineSteps)).toEqual({ score: 0, reasons: [] });
+  });
+});
+
+describe('getRelatedMethods', () => {
+  const data = {
+    pipeline_steps: pipelineSteps,
+    methods: [
+      base,
+      { id: 'b', name: 'Beta', pipeline_step: 'analyze', tags: ['iot'] },
+      { id: 'a', name: 'Alpha', pipeline_step: 'analyze', tags: ['edge'] },
+      { id: 'c', name: 'Gamma', pipeline_step: 'collect', tags: ['cv', 'iot'] },
+      { id: 'd', name: 'Delta', pipeline_step: 'analyze' },
+    ],
+  };
+
+  it('ranks by score, then name, and drops unrelated methods', () => {
+    expect(getRelatedMethods(data, 'base').map((m) => m.id)).toEqual(['c', 'a', 'b']);
+    expect(getRelatedMethods(data, 'base', { limit: 1 })[0].explanation).toBe(
+      'shares 2 tags: iot, cv; same step'
+    );
+  });
+});
+
+describe('getMethodRelations', () => {
+  it('lists relations in both directions without duplicate plain links', () => {
+    const data = {
+      methods: [
+        { id: 'a', relations: [{ target: 'b', type: 'supersedes' }], related_method_ids: ['b'] },
+        { id: 'b', related_method_ids: ['a', 'missing'] },
+        { id: 'c', related_method_ids: ['a'] },
+      ],
+    };
+    expect(
+      getMethodRelations(data, 'a').map(({ method, type, label }) => [method.id, type, label])
+    ).toEqual([
+      ['b', 'supersedes', 'Supersedes'],
+      ['c', 'related', 'Related to'],
+    ]);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Text similarity between methods (TF-IDF with cosine similarity)
+ * Links methods whose descriptions read alike even when they share no tags.
+ */
+
+import { foldText } from './filters';
+
+// Fields compared, weighted by how much they say about what a method does
+const TEXT_FIELDS = [
+  { get: (m) => m.name, weight: 2 },
+  { get: (m) => m.short_description, weight: 1.5 },
+  { get: (m) => m.algorithm_summary, weight: 1 },
+  { get: (m) => m.assumptions, weight: 0.5 },
+  { get: (m) => m.limitations, weight: 0.5 },
+];
+
+const STOP_WORDS = new Set(
+  `about above after again against all also among and any are based because been before being
+  between both but can could does doing done down during each either etc for from further had has
+  have having here how however into its itself just may might more most much must not now off once
+  only other our out over own same should since some such than that the their them then there these
+  they this those through too under until upon use used uses using very via was were what when where
+  whether which while who why will with within without would you your`.split(/\s+/)
+);
+
+const MAX_SHARED_TERMS = 5;
+
+/**
+ * Reduces a word to a rough stem so "logs" matches "log" and "mining" matches "mined"
+ */
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+const splitWords = (text) =>
+  foldText(text || '')
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+
+/**
+ * Splits text into stemmed terms, without stop words and very short words
+ * @param {string} text - Text to split
+ * @returns {Array} Terms
+ */
+export function tokenize(text) {
+  return splitWords(text).map(stem);
+}
+
+/**
+ * Builds the text similarity index
+ * Each method becomes a unit-length TF-IDF vector; similarities are cosines between vectors.
+ * @param {Array} methods - All methods
+ * @returns {Object} Index with vectors (method id -> Map of term weights), term labels and a score cache
+ */
+export function createSimilarityIndex(methods) {
+  const termCounts = new Map();
+  const documentFrequency = new Map();
+  const wordCounts = new Map();
+
+  methods.forEach((method) => {
+    const counts = new Map();
+    TEXT_FIELDS.forEach(({ get, weight }) => {
+      const value = get(method);
+      const text = Array.isArray(value) ? value.join(' ') : value;
+      splitWords(text).forEach((word) => {
+        const term = stem(word);
+        counts.set(term, (counts.get(term) || 0) + weight);
+        wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+      });
+    });
+    counts.forEach((_, term) =>
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)
+    );
+    termCounts.set(method.id, counts);
+  });
+
+  const total = methods.length;
+  const vectors = new Map();
+  termCounts.forEach((counts, id) => {
+    const vector = new Map();
+    counts.forEach((count, term) => {
+      // Smoothed IDF; terms in every method still count a little
+      const idf = Math.log((1 + total) / (1 + documentFrequency.get(term))) + 1;
+      vector.set(term, (1 + Math.log(count)) * idf);
+    });
+    const norm = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0)) || 1;
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+    vectors.set(id, vector);
+  });
+
+  // Terms are shown as their most common spelling
+  const labels = new Map();
+  [...wordCounts.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .forEach(([word]) => labels.set(stem(word), word));
+
+  return { vectors, labels, scores: new Map() };
+}
+
+/**
+ * Gets the text similarity between two methods
+ * @param {Object} index - Index from createSimilarityIndex
+ * @param {string} idA - First method ID
+ * @param {string} idB - Second method ID
+ * @returns {number} Cosine similarity between 0 and 1
+ */
+export function getTextSimilarity(index, idA, idB) {
+  if (idA === idB) return 0;
+  const key = idA < idB ? `${idA}|${idB}` : `${idB}|${idA}`;
+  if (index.scores.has(key)) return index.scores.get(key);
+
+  const a = index.vectors.get(idA);
+  const b = index.vectors.get(idB);
+  let score = 0;
+  if (a && b) {
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    small.forEach((weight, term) => {
+      score += weight * (large.get(term) || 0);
+    });
+  }
+  index.scores.set(key, score);
+  return score;
+}
+
+/**
+ * Finds the methods whose text is most similar to a method
+ * @param {Object} index - Index from createSimilarityIndex
+ * @param {string} methodId - Method to compare against
+ * @param {Object} options - limit and minScore
+ * @returns {Array} { id, score, sharedTerms } sorted by score, best first
+ */
+export function getSimilarMethods(index, methodId, { limit = 5, minScore = 0.1 } = {}) {
+  const vector = index.vectors.get(methodId);
+  if (!vector) return [];
+
+  return [...index.vectors.keys()]
+    .filter((id) => id !== methodId)
+    .map((id) => ({ id, score: getTextSimilarity(index, methodId, id) }))
+    .filter(({ score }) => score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ id, score }) => {
+      // The terms contributing most to the score explain the match
+      const other = index.vectors.get(id);
+      const sharedTerms = [...vector.keys()]
+        .filter((term) => other.has(term))
+        .sort((x, y) => vector.get(y) * other.get(y) - vector.get(x) * other.get(x))
+        .slice(0, MAX_SHARED_TERMS)
+        .map((term) => index.labels.get(term) || term);
+      return { id, score, sharedTerms };
+    });
+}
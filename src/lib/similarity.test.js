@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+  tokenize,
+  createSimilarityIndex,
+  getTextSimilarity,
+  getSimilarMethods,
+} from './similarity';
+
+const methods = [
+  {
+    id: 'video-a',
+    name: 'Video Activity Mining',
+    short_description: 'Recognizes activities in video recordings of assembly work',
+  },
+  {
+    id: 'video-b',
+    name: 'Video Activity Mining',
+    short_description: 'Recognizes activities in video recordings of assembly work',
+  },
+  {
+    id: 'video-c',
+    name: 'Activity Recognition from Videos',
+    short_description: 'Detects assembly steps in camera footage',
+  },
+  {
+    id: 'sensor',
+    name: 'Sensor Event Abstraction',
+    short_description: 'Lifts low-level sensor readings to process events',
+  },
+];
+
+describe('tokenize', () => {
+  it('drops stop words, short words and numbers and stems the rest', () => {
+    expect(tokenize('The Mining of Event Logs in 2020, via Röntgen studies')).toEqual([
+      'min',
+      'event',
+      'log',
+      'rontgen',
+      'study',
+    ]);
+  });
+});
+
+describe('getTextSimilarity', () => {
+  const index = createSimilarityIndex(methods);
+
+  it('scores identical texts 1 and unrelated texts 0', () => {
+    expect(getTextSimilarity(index, 'video-a', 'video-b')).toBeCloseTo(1);
+    expect(getTextSimilarity(index, 'video-a', 'sensor')).toBe(0);
+  });
+
+  it('is symmetric and ignores a method compared with itself', () => {
+    expect(getTextSimilarity(index, 'video-c', 'video-a')).toBe(
+      getTextSimilarity(index, 'video-a', 'video-c')
+    );
+    expect(getTextSimilarity(index, 'video-a', 'video-a')).toBe(0);
+    expect(getTextSimilarity(index, 'video-a', 'missing')).toBe(0);
+  });
+});
+
+describe('getSimilarMethods', () => {
+  const index = createSimilarityIndex(methods);
+
+  it('ranks methods by similarity and names the shared terms', () => {
+    const similar = getSimilarMethods(index, 'video-c', { minScore: 0.01 });
+    expect(similar.map((m) => m.id)).toEqual(['video-a', 'video-b']);
+    expect(similar[0].sharedTerms).toEqual(
+      expect.arrayContaining(['activity', 'video', 'assembly'])
+    );
+  });
+
+  it('applies the limit and minimum score', () => {
+    expect(getSimilarMethods(index, 'video-a', { limit: 1 }).map((m) => m.id)).toEqual(['video-b']);
+    expect(getSimilarMethods(index, 'sensor')).toEqual([]);
+    expect(getSimilarMethods(index, 'missing')).toEqual([]);
+  });
+});
@@ -1,6 +1,14 @@
 import { createContext, useContext, useReducer, useEffect, useMemo } from 'react';
 import { loadMethodsData, validateMethodsData } from './data';
-import { createSearchIndex, applyFiltersAndSearch, FILTER_DEFAULTS } from './filters';
+import { formatValidationIssue } from './validation';
+import {
+  createSearchIndex,
+  applyFiltersAndSearch,
+  sortMethods,
+  getDefaultSort,
+  FILTER_DEFAULTS,
+} from './filters';
+import { createSimilarityIndex } from './similarity';
 
 /**
  * Application state context and reducer
@@ -10,7 +18,7 @@ const AppStateContext = createContext(null);
 const AppDispatchContext = createContext(null);
 
 // Initial state
-const initialState = {
+export const initialState = {
   // Data
   data: null,
   loading: true,
@@ -28,11 +36,13 @@ const initialState = {
   compareMethodIds: [],
   isCompareMode: false,
   showFilters: false,
-  sortBy: 'name',
-  sortOrder: 'asc',
+  ...getDefaultSort(FILTER_DEFAULTS),
 
   // Search
   searchIndex: null,
+
+  // Undo/redo of explorer changes: snapshots before (past) and after (future) the current state
+  history: { past: [], future: [], lastChange: null },
 };
 
 // Action types
@@ -52,9 +62,60 @@ const ACTIONS = {
   SET_COMPARE_MODE: 'SET_COMPARE_MODE',
   TOGGLE_FILTERS: 'TOGGLE_FILTERS',
   SET_SORT: 'SET_SORT',
+  RESTORE_EXPLORER_STATE: 'RESTORE_EXPLORER_STATE',
+  APPLY_PRESET: 'APPLY_PRESET',
   SET_SEARCH_INDEX: 'SET_SEARCH_INDEX',
+  UNDO: 'UNDO',
+  REDO: 'REDO',
 };
 
+// Actions recorded in the undo history
+const UNDOABLE_ACTIONS = new Set([
+  ACTIONS.SET_FILTERS,
+  ACTIONS.SET_SELECTED_STEP,
+  ACTIONS.SET_SELECTED_MODALITY,
+  ACTIONS.RESET_FILTERS,
+  ACTIONS.SET_SORT,
+  ACTIONS.APPLY_PRESET,
+]);
+
+const MAX_HISTORY = 50;
+
+/**
+ * The part of the state that undo and redo restore
+ */
+function getExplorerSnapshot({ filters, selectedStep, selectedModality, sortBy, sortOrder }) {
+  return { filters, selectedStep, selectedModality, sortBy, sortOrder };
+}
+
+const isSameSnapshot = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Identifies changes that extend the previous history entry instead of adding one
+ * Typing a search query records one entry, not one per keystroke; clearing it is its own entry.
+ */
+function getChangeKey(action) {
+  if (action.type === ACTIONS.SET_FILTERS) {
+    const keys = Object.keys(action.payload);
+    if (keys.length === 1 && keys[0] === 'searchQuery' && action.payload.searchQuery) {
+      return 'searchQuery';
+    }
+  }
+  return null;
+}
+
+/**
+ * Switches to the default sort for the new filters (relevance while searching)
+ * unless a different sort was picked
+ */
+function followDefaultSort(state, filters) {
+  const previous = getDefaultSort(state.filters);
+  if (state.sortBy !== previous.sortBy || state.sortOrder !== previous.sortOrder) {
+    return {};
+  }
+  return getDefaultSort(filters);
+}
+
 // Reducer
 function appReducer(state, action) {
   switch (action.type) {
@@ -66,10 +127,18 @@ function appReducer(state, action) {
       return { ...state, loading: action.payload };
     case ACTIONS.SET_VALIDATION_ERRORS:
       return { ...state, validationErrors: action.payload };
-    case ACTIONS.SET_FILTERS:
-      return { ...state, filters: { ...state.filters, ...action.payload } };
+    case ACTIONS.SET_FILTERS: {
+      const filters = { ...state.filters, ...action.payload };
+      return { ...state, filters, ...followDefaultSort(state, filters) };
+    }
     case ACTIONS.RESET_FILTERS:
-      return { ...state, filters: { ...FILTER_DEFAULTS }, selectedStep: null, selectedModality: null };
+      return {
+        ...state,
+        filters: { ...FILTER_DEFAULTS },
+        selectedStep: null,
+        selectedModality: null,
+        ...followDefaultSort(state, FILTER_DEFAULTS),
+      };
     case ACTIONS.SET_SELECTED_STEP:
       return {
         ...state,
@@ -113,6 +182,9 @@ function appReducer(state, action) {
       return { ...state, showFilters: !state.showFilters };
     case ACTIONS.SET_SORT:
       return { ...state, sortBy: action.payload.sortBy, sortOrder: action.payload.order };
+    case ACTIONS.RESTORE_EXPLORER_STATE:
+    case ACTIONS.APPLY_PRESET:
+      return { ...state, ...action.payload };
     case ACTIONS.SET_SEARCH_INDEX:
       return { ...state, searchIndex: action.payload };
     default:
@@ -120,11 +192,60 @@ function appReducer(state, action) {
   }
 }
 
+/**
+ * Records undoable actions in the history and handles undo and redo
+ */
+export function historyReducer(state, action) {
+  const { past, future, lastChange } = state.history;
+
+  if (action.type === ACTIONS.UNDO || action.type === ACTIONS.REDO) {
+    const isUndo = action.type === ACTIONS.UNDO;
+    const source = isUndo ? past : future;
+    if (source.length === 0) return state;
+
+    const snapshot = source[source.length - 1];
+    const current = getExplorerSnapshot(state);
+    return {
+      ...state,
+      ...snapshot,
+      history: {
+        past: isUndo ? past.slice(0, -1) : [...past, current],
+        future: isUndo ? [...future, current] : future.slice(0, -1),
+        lastChange: null,
+      },
+    };
+  }
+
+  const nextState = appReducer(state, action);
+  const before = getExplorerSnapshot(state);
+
+  // Back/forward in the browser jumps to another state: what could be redone, or a search
+  // being typed, no longer follows from it
+  if (action.type === ACTIONS.RESTORE_EXPLORER_STATE) {
+    if (isSameSnapshot(before, getExplorerSnapshot(nextState))) return nextState;
+    return { ...nextState, history: { past, future: [], lastChange: null } };
+  }
+
+  if (!UNDOABLE_ACTIONS.has(action.type)) return nextState;
+  if (isSameSnapshot(before, getExplorerSnapshot(nextState))) return nextState;
+
+  const changeKey = getChangeKey(action);
+  const extendsLast = changeKey !== null && changeKey === lastChange && past.length > 0;
+  return {
+    ...nextState,
+    history: {
+      past: extendsLast ? past : [...past, before].slice(-MAX_HISTORY),
+      future: [],
+      lastChange: changeKey,
+    },
+  };
+}
+
 /**
  * App state provider component
  */
 export function AppStateProvider({ children }) {
-  const [state, dispatch] = useReducer(appReducer, initialState);
+  const [state, dispatch] = useReducer(historyReducer, initialState);
 
   // Load data on mount
   useEffect(() => {
@@ -135,7 +256,10 @@ export function AppStateProvider({ children }) {
         // Validate data
         const validation = validateMethodsData(data);
         if (!validation.isValid) {
-          console.warn('Data validation warnings:', validation.errors);
+          console.warn(
+            'Data validation warnings (see /health):',
+            validation.errors.map(formatValidationIssue)
+          );
           dispatch({ type: ACTIONS.SET_VALIDATION_ERRORS, payload: validation.errors });
         }
 
@@ -152,11 +276,18 @@ export function AppStateProvider({ children }) {
     loadData();
   }, []);
 
-  // Memoize filtered methods
+  // Memoize filtered and sorted methods
   const filteredMethods = useMemo(() => {
     if (!state.data?.methods || !state.searchIndex) return [];
-    return applyFiltersAndSearch(state.data.methods, state.searchIndex, state.filters);
-  }, [state.data?.methods, state.searchIndex, state.filters]);
+    const results = applyFiltersAndSearch(state.data.methods, state.searchIndex, state.filters);
+    return sortMethods(results, state.sortBy, state.sortOrder);
+  }, [state.data?.methods, state.searchIndex, state.filters, state.sortBy, state.sortOrder]);
+
+  // Text similarity index for "more like this" and graph links
+  const similarityIndex = useMemo(
+    () => (state.data?.methods ? createSimilarityIndex(state.data.methods) : null),
+    [state.data?.methods]
+  );
 
   // Enhanced state with computed values
   const enhancedState = useMemo(
@@ -165,8 +296,12 @@ export function AppStateProvider({ children }) {
       filteredMethods,
       pipelineSteps: state.data?.pipeline_steps || [],
       allMethods: state.data?.methods || [],
+      allDatasets: state.data?.datasets || [],
+      canUndo: state.history.past.length > 0,
+      canRedo: state.history.future.length > 0,
+      similarityIndex,
     }),
-    [state, filteredMethods]
+    [state, filteredMethods, similarityIndex]
   );
 
   return (
@@ -243,4 +378,18 @@ export const actions = {
     type: ACTIONS.SET_SORT,
     payload: { sortBy, order },
   }),
+  restoreExplorerState: (explorerState) => ({
+    type: ACTIONS.RESTORE_EXPLORER_STATE,
+    payload: explorerState,
+  }),
+  applyPreset: ({ filters, selectedStep, selectedModality, sortBy, sortOrder }) => ({
+    type: ACTIONS.APPLY_PRESET,
+    payload: { filters, selectedStep, selectedModality, sortBy, sortOrder },
+  }),
+  undo: () => ({
+    type: ACTIONS.UNDO,
+  }),
+  redo: () => ({
+    type: ACTIONS.REDO,
+  }),
 };
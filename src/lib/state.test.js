@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { historyReducer, initialState, actions } from './state';
+
+const reduce = (state, ...actionList) => actionList.reduce(historyReducer, state);
+const typeSearch = (text) =>
+  [...text].map((_, i) => actions.setFilters({ searchQuery: text.slice(0, i + 1) }));
+
+describe('historyReducer', () => {
+  it('undoes and redoes explorer changes', () => {
+    const state = reduce(initialState, actions.setSelectedStep('collect'));
+    expect(state.filters.pipelineStep).toBe('collect');
+
+    const undone = reduce(state, actions.undo());
+    expect(undone.selectedStep).toBeNull();
+    expect(undone.filters.pipelineStep).toBeNull();
+    expect(undone.history.future).toHaveLength(1);
+
+    const redone = reduce(undone, actions.redo());
+    expect(redone.selectedStep).toBe('collect');
+    expect(redone.history).toEqual({ past: state.history.past, future: [], lastChange: null });
+  });
+
+  it('records one entry for a search typed keystroke by keystroke', () => {
+    const state = reduce(initialState, ...typeSearch('video'));
+    expect(state.filters.searchQuery).toBe('video');
+    expect(state.sortBy).toBe('searchScore');
+    expect(state.history.past).toHaveLength(1);
+
+    const undone = reduce(state, actions.undo());
+    expect(undone.filters.searchQuery).toBe('');
+    expect(undone.sortBy).toBe('name');
+  });
+
+  it('starts a new entry once another change interrupts the search', () => {
+    const state = reduce(
+      initialState,
+      ...typeSearch('vid'),
+      actions.setFilters({ tags: ['iot'] }),
+      ...typeSearch('video').slice(3),
+      actions.setFilters({ searchQuery: '' })
+    );
+    expect(state.history.past.map((snapshot) => snapshot.filters.searchQuery)).toEqual([
+      '',
+      'vid',
+      'vid',
+      'video',
+    ]);
+  });
+
+  it('ignores actions that change nothing or are not undoable', () => {
+    const state = reduce(
+      initialState,
+      actions.setFilters({ tags: [] }),
+      actions.setSort('name', 'asc'),
+      actions.setSelectedMethod('video-mining'),
+      actions.undo()
+    );
+    expect(state.history.past).toHaveLength(0);
+    expect(state.selectedMethodId).toBe('video-mining');
+  });
+
+  it('undoes sort changes', () => {
+    const state = reduce(initialState, actions.setSort('year', 'desc'));
+    expect(state.history.past).toHaveLength(1);
+
+    const undone = reduce(state, actions.undo());
+    expect(undone).toMatchObject({ sortBy: 'name', sortOrder: 'asc' });
+    expect(reduce(undone, actions.redo())).toMatchObject({ sortBy: 'year', sortOrder: 'desc' });
+  });
+
+  it('restores the sort that was picked before a search', () => {
+    const state = reduce(
+      initialState,
+      actions.setSort('year', 'desc'),
+      ...typeSearch('video'),
+      actions.undo()
+    );
+    expect(state.filters.searchQuery).toBe('');
+    expect(state).toMatchObject({ sortBy: 'year', sortOrder: 'desc' });
+  });
+
+  it('keeps the 50 most recent entries', () => {
+    const changes = Array.from({ length: 60 }, (_, i) =>
+      actions.setFilters({ yearRange: { min: 1990 + i, max: null } })
+    );
+    const state = reduce(initialState, ...changes);
+    expect(state.history.past).toHaveLength(50);
+    expect(state.history.past[0].filters.yearRange.min).toBe(1999);
+  });
+
+  it('undoes a preset in one step', () => {
+    const state = reduce(
+      initialState,
+      actions.applyPreset({
+        filters: { ...initialState.filters, modalities: ['video'], tags: ['iot'] },
+        selectedStep: null,
+        selectedModality: null,
+        sortBy: 'year',
+        sortOrder: 'desc',
+      })
+    );
+    expect(state.history.past).toHaveLength(1);
+
+    const undone = reduce(state, actions.undo());
+    expect(undone.filters).toEqual(initialState.filters);
+    expect(undone.sortBy).toBe('name');
+  });
+
+  it('drops redo and search merging when the URL restores another state', () => {
+    const undone = reduce(
+      initialState,
+      actions.setSelectedStep('collect'),
+      ...typeSearch('vid'),
+      actions.undo()
+    );
+    expect(undone.history.future).toHaveLength(1);
+
+    const restored = reduce(
+      undone,
+      actions.restoreExplorerState({ filters: { ...initialState.filters, searchQuery: 'vi' } })
+    );
+    expect(restored.history).toEqual({ past: undone.history.past, future: [], lastChange: null });
+
+    const typed = reduce(restored, actions.setFilters({ searchQuery: 'vid' }));
+    expect(typed.history.past).toHaveLength(2);
+  });
+
+  it('keeps the history when the URL restores the current state', () => {
+    const undone = reduce(initialState, actions.setSelectedStep('collect'), actions.undo());
+    const restored = reduce(undone, actions.restoreExplorerState({ selectedStep: null }));
+    expect(restored.history).toBe(undone.history);
+  });
+});
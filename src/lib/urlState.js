@@ -0,0 +1,119 @@
+/**
+ * Explorer state in the URL query string
+ * Encodes filters, selection and sort so a filtered view can be shared and bookmarked.
+ */
+
+import { FILTER_DEFAULTS, getDefaultSort, isSearchActive, SORT_OPTIONS } from './filters';
+
+// Query parameter names, kept short for readable links
+const PARAMS = {
+  searchQuery: 'q',
+  pipelineStep: 'step',
+  selectedModality: 'modality',
+  modalities: 'modalities',
+  tasks: 'tasks',
+  evidenceTypes: 'evidence',
+  maturityLevels: 'maturity',
+  automationLevels: 'automation',
+  tags: 'tags',
+  artifacts: 'has',
+  yearMin: 'from',
+  yearMax: 'to',
+  matchModes: 'match',
+  sortBy: 'sort',
+  sortOrder: 'order',
+};
+
+const LIST_FILTERS = [
+  'modalities',
+  'tasks',
+  'evidenceTypes',
+  'maturityLevels',
+  'automationLevels',
+  'tags',
+  'artifacts',
+];
+
+const parseList = (value) => (value ? value.split(',').filter(Boolean) : []);
+
+const parseYear = (value) => {
+  const year = parseInt(value, 10);
+  return Number.isFinite(year) ? year : null;
+};
+
+/**
+ * Encodes the explorer state as query parameters
+ * Only values that differ from the defaults are written; the default sort depends on the search.
+ * @param {Object} state - App state with filters, selectedModality, sortBy and sortOrder
+ * @returns {URLSearchParams} Query parameters
+ */
+export function encodeExplorerParams({ filters, selectedModality, sortBy, sortOrder }) {
+  const params = new URLSearchParams();
+  const set = (name, value) => {
+    if (value !== null && value !== undefined && value !== '') params.set(name, value);
+  };
+
+  set(PARAMS.searchQuery, filters.searchQuery.trim());
+  set(PARAMS.pipelineStep, filters.pipelineStep);
+  set(PARAMS.selectedModality, selectedModality);
+  LIST_FILTERS.forEach((key) => set(PARAMS[key], filters[key].join(',')));
+  set(PARAMS.yearMin, filters.yearRange.min);
+  set(PARAMS.yearMax, filters.yearRange.max);
+  // Match modes as group:mode pairs, e.g. "modalities:all"
+  set(
+    PARAMS.matchModes,
+    Object.entries(filters.matchModes)
+      .filter(([group, mode]) => mode !== FILTER_DEFAULTS.matchModes[group])
+      .map(([group, mode]) => `${group}:${mode}`)
+      .join(',')
+  );
+  const defaultSort = getDefaultSort(filters);
+  if (sortBy !== defaultSort.sortBy) set(PARAMS.sortBy, sortBy);
+  if (sortOrder !== defaultSort.sortOrder) set(PARAMS.sortOrder, sortOrder);
+
+  return params;
+}
+
+/**
+ * Decodes query parameters into explorer state
+ * Missing or malformed parameters fall back to the defaults.
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} filters, selectedStep, selectedModality, sortBy and sortOrder
+ */
+export function decodeExplorerParams(params) {
+  const filters = {
+    ...FILTER_DEFAULTS,
+    searchQuery: params.get(PARAMS.searchQuery) || '',
+    pipelineStep: params.get(PARAMS.pipelineStep) || null,
+    yearRange: {
+      min: parseYear(params.get(PARAMS.yearMin)),
+      max: parseYear(params.get(PARAMS.yearMax)),
+    },
+    matchModes: { ...FILTER_DEFAULTS.matchModes },
+  };
+  LIST_FILTERS.forEach((key) => {
+    filters[key] = parseList(params.get(PARAMS[key]));
+  });
+  parseList(params.get(PARAMS.matchModes)).forEach((pair) => {
+    const [group, mode] = pair.split(':');
+    if (group in filters.matchModes && (mode === 'any' || mode === 'all')) {
+      filters.matchModes[group] = mode;
+    }
+  });
+
+  const defaultSort = getDefaultSort(filters);
+  const sortBy = params.get(PARAMS.sortBy);
+  const sortOrder = params.get(PARAMS.sortOrder);
+  // Relevance only means something while a search is applied
+  const isKnownSort =
+    Object.hasOwn(SORT_OPTIONS, sortBy ?? '') &&
+    (!SORT_OPTIONS[sortBy].searchOnly || isSearchActive(filters));
+
+  return {
+    filters,
+    selectedStep: filters.pipelineStep,
+    selectedModality: params.get(PARAMS.selectedModality) || null,
+    sortBy: isKnownSort ? sortBy : defaultSort.sortBy,
+    sortOrder: sortOrder === 'asc' || sortOrder === 'desc' ? sortOrder : defaultSort.sortOrder,
+  };
+}
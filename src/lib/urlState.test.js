@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { encodeExplorerParams, decodeExplorerParams } from './urlState';
+import { FILTER_DEFAULTS } from './filters';
+
+const defaultState = {
+  filters: FILTER_DEFAULTS,
+  selectedModality: null,
+  sortBy: 'name',
+  sortOrder: 'asc',
+};
+
+describe('encodeExplorerParams', () => {
+  it('writes nothing for the default state', () => {
+    expect(encodeExplorerParams(defaultState).toString()).toBe('');
+  });
+
+  it('omits the default sort of a search', () => {
+    const params = encodeExplorerParams({
+      ...defaultState,
+      filters: { ...FILTER_DEFAULTS, searchQuery: ' video ' },
+      sortBy: 'searchScore',
+    });
+    expect(params.toString()).toBe('q=video');
+  });
+});
+
+describe('decodeExplorerParams', () => {
+  it('round-trips filters, selection and sort', () => {
+    const state = {
+      filters: {
+        ...FILTER_DEFAULTS,
+        searchQuery: 'event abstraction',
+        pipelineStep: 'collect',
+        modalities: ['video', 'sensor'],
+        evidenceTypes: ['case study'],
+        automationLevels: ['automated'],
+        tags: ['iot', 'edge computing'],
+        artifacts: ['code'],
+        yearRange: { min: 2015, max: 2022 },
+        matchModes: { ...FILTER_DEFAULTS.matchModes, tags: 'all', artifacts: 'any' },
+      },
+      selectedModality: 'video',
+      sortBy: 'year',
+      sortOrder: 'desc',
+    };
+    const params = encodeExplorerParams(state);
+    expect(params.get('modalities')).toBe('video,sensor');
+    expect(params.get('match')).toBe('tags:all,artifacts:any');
+
+    const decoded = decodeExplorerParams(new URLSearchParams(params.toString()));
+    expect(decoded).toEqual({ ...state, selectedStep: 'collect' });
+  });
+
+  it('falls back to the defaults for missing parameters', () => {
+    expect(decodeExplorerParams(new URLSearchParams())).toEqual({
+      ...defaultState,
+      selectedStep: null,
+    });
+  });
+
+  it('ignores malformed values', () => {
+    const decoded = decodeExplorerParams(
+      new URLSearchParams('from=soon&tasks=,,a,&match=tasks:some,nope:all,tags:all&order=up')
+    );
+    expect(decoded.filters.yearRange).toEqual({ min: null, max: null });
+    expect(decoded.filters.tasks).toEqual(['a']);
+    expect(decoded.filters.matchModes).toEqual({ ...FILTER_DEFAULTS.matchModes, tags: 'all' });
+    expect(decoded.sortOrder).toBe('asc');
+  });
+
+  it('sorts a shared search by relevance unless the link says otherwise', () => {
+    expect(decodeExplorerParams(new URLSearchParams('q=video'))).toMatchObject({
+      sortBy: 'searchScore',
+      sortOrder: 'asc',
+    });
+    expect(decodeExplorerParams(new URLSearchParams('q=video&sort=name')).sortBy).toBe('name');
+  });
+
+  it('falls back to the default sort for unknown sort keys', () => {
+    expect(decodeExplorerParams(new URLSearchParams('sort=bogus')).sortBy).toBe('name');
+    expect(decodeExplorerParams(new URLSearchParams('sort=toString')).sortBy).toBe('name');
+    expect(decodeExplorerParams(new URLSearchParams('q=video&sort=bogus')).sortBy).toBe(
+      'searchScore'
+    );
+  });
+
+  it('sorts by relevance only while a search is applied', () => {
+    expect(decodeExplorerParams(new URLSearchParams('sort=searchScore')).sortBy).toBe('name');
+    expect(decodeExplorerParams(new URLSearchParams('q=v&sort=searchScore')).sortBy).toBe('name');
+    expect(decodeExplorerParams(new URLSearchParams('q=video&sort=searchScore')).sortBy).toBe(
+      'searchScore'
+    );
+  });
+});
@@ -0,0 +1,160 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+/**
+ * Schema-driven validation utilities
+ * Shared by the app and the Node scripts, so this module must not use
+ * Vite-specific imports (aliases, import.meta.env, JSON imports).
+ */
+
+const COLLECTION_LABELS = {
+  methods: 'Method',
+  datasets: 'Dataset',
+};
+
+/**
+ * Converts an Ajv error into a validation issue
+ * @param {Object} error - Ajv error object
+ * @param {Object} data - The validated data
+ * @returns {Object} Issue with type, collection, id and message
+ */
+export function formatSchemaError(error, data) {
+  const [, collection, index, ...path] = error.instancePath.split('/');
+
+  let message = error.message;
+  if (error.keyword === 'enum') {
+    message += ` (${error.params.allowedValues.join(', ')})`;
+  }
+
+  if (COLLECTION_LABELS[collection] && index !== undefined) {
+    const item = data[collection]?.[index];
+    const field = path.length > 0 ? `"${path.join('/')}" ` : '';
+    return {
+      type: 'schema',
+      collection,
+      id: item?.id || `#${index}`,
+      message: `${field}${message}`,
+    };
+  }
+
+  return {
+    type: 'schema',
+    collection: null,
+    id: null,
+    message: `${error.instancePath || '/'}: ${message}`,
+  };
+}
+
+/**
+ * Formats a validation issue as a single line of text
+ * @param {Object} issue - Issue returned by the data validator
+ * @returns {string} Human-readable message
+ */
+export function formatValidationIssue(issue) {
+  if (!issue.collection) return issue.message;
+  return `${COLLECTION_LABELS[issue.collection]} ${issue.id}: ${issue.message}`;
+}
+
+/**
+ * Finds IDs that occur more than once
+ * @param {Array} items - Items with an id property
+ * @returns {Array} Duplicate IDs
+ */
+function findDuplicateIds(items) {
+  const seen = new Set();
+  const duplicates = new Set();
+  items.forEach((item) => {
+    if (seen.has(item.id)) duplicates.add(item.id);
+    seen.add(item.id);
+  });
+  return Array.from(duplicates);
+}
+
+/**
+ * Creates a validator for the catalog data
+ * Validates methods against methods.schema.json and the `datasets` array against
+ * the datasets schema, then runs the checks JSON Schema cannot express.
+ * @param {Object} schemas - The parsed JSON schemas
+ * @param {Object} schemas.methodsSchema - Contents of methods.schema.json
+ * @param {Object} schemas.datasetsSchema - Contents of datasets.schema.json
+ * @returns {Function} Validator returning an object with isValid and errors (issue objects)
+ */
+export function createDataValidator({ methodsSchema, datasetsSchema }) {
+  const ajv = new Ajv({ allErrors: true });
+  addFormats(ajv);
+
+  const validateMethodsFile = ajv.compile(methodsSchema);
+  const validateDatasets = ajv.compile(datasetsSchema.properties.datasets);
+
+  return (data) => {
+    const errors = [];
+
+    if (!validateMethodsFile(data)) {
+      validateMethodsFile.errors.forEach((error) => {
+        errors.push(formatSchemaError(error, data));
+      });
+    }
+
+    if (!validateDatasets(data.datasets)) {
+      validateDatasets.errors.forEach((error) => {
+        errors.push(
+          formatSchemaError({ ...error, instancePath: `/datasets${error.instancePath}` }, data)
+        );
+      });
+    }
+
+    // Uniqueness and cross-references are not expressible in JSON Schema
+    const methods = Array.isArray(data.methods) ? data.methods : [];
+    const datasets = Array.isArray(data.datasets) ? data.datasets : [];
+
+    findDuplicateIds(methods).forEach((id) => {
+      errors.push({ type: 'duplicate-id', collection: 'methods', id, message: 'duplicate ID' });
+    });
+
+    findDuplicateIds(datasets).forEach((id) => {
+      errors.push({ type: 'duplicate-id', collection: 'datasets', id, message: 'duplicate ID' });
+    });
+
+    const methodIds = new Set(methods.map((m) => m.id));
+    datasets.forEach((dataset) => {
+      dataset.method_ids?.forEach((methodId) => {
+        if (!methodIds.has(methodId)) {
+          errors.push({
+            type: 'unknown-reference',
+            collection: 'datasets',
+            id: dataset.id,
+            message: `unknown method ID "${methodId}"`,
+          });
+        }
+      });
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  };
+}
+
+/**
+ * Extracts the controlled vocabularies from the schemas
+ * @param {Object} schemas - The parsed JSON schemas
+ * @param {Object} schemas.methodsSchema - Contents of methods.schema.json
+ * @param {Object} schemas.datasetsSchema - Contents of datasets.schema.json
+ * @returns {Object} Allowed values keyed by field name
+ */
+export function getSchemaEnums({ methodsSchema, datasetsSchema }) {
+  const method = methodsSchema.properties.methods.items.properties;
+  const dataset = datasetsSchema.properties.datasets.items.properties;
+
+  return {
+    pipeline_step: method.pipeline_step.enum,
+    modalities: method.modalities.items.enum,
+    tasks: method.tasks.items.enum,
+    maturity: method.maturity.enum,
+    automation_level: method.automation_level.enum,
+    evidence_type: method.evidence_type.enum,
+    relation_type: method.relations.items.properties.type.enum,
+    event_log_format: dataset.event_log_format.enum,
+  };
+}
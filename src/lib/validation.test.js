@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { createDataValidator, formatValidationIssue, getSchemaEnums } from './validation';
+import methodsSchema from '../../data/methods.schema.json';
+import datasetsSchema from '../../data/datasets.schema.json';
+
+const validate = createDataValidator({ methodsSchema, datasetsSchema });
+
+const method = {
+  id: 'video-mining',
+  name: 'Video Mining',
+  pipeline_step: 'collect',
+  short_description: 'Discovers processes from video recordings',
+  algorithm_summary: 'Recognizes activities per frame and groups them into events.',
+  inputs: ['video'],
+  outputs: ['event log'],
+  modalities: ['video'],
+  tasks: ['abstraction'],
+  assumptions: [],
+  limitations: [],
+  references: {
+    paper_title: 'Mining Processes from Videos',
+    authors: ['Jane Doe'],
+    venue: 'BPM',
+    year: 2020,
+    doi_or_url: 'https://doi.org/10.1000/xyz',
+  },
+  tags: ['video'],
+  created_at: '2024-01-01T00:00:00Z',
+  updated_at: '2024-01-01T00:00:00Z',
+};
+
+const catalog = (methods, datasets = []) => ({
+  metadata: {
+    version: '1.0',
+    lastUpdated: '2024-01-01T00:00:00Z',
+    source: { title: 'Survey', authors: ['Jane Doe'], year: 2024, venue: 'BPM' },
+  },
+  pipeline_steps: [],
+  methods,
+  datasets,
+});
+
+describe('createDataValidator', () => {
+  it('accepts a valid method', () => {
+    expect(validate(catalog([method]))).toEqual({ isValid: true, errors: [] });
+  });
+
+  it('reports a value outside the vocabulary with the allowed values', () => {
+    const { isValid, errors } = validate(catalog([{ ...method, modalities: ['smell'] }]));
+    expect(isValid).toBe(false);
+    expect(errors).toEqual([
+      {
+        type: 'schema',
+        collection: 'methods',
+        id: 'video-mining',
+        message:
+          '"modalities/0" must be equal to one of the allowed values ' +
+          '(text, image, video, audio, sensor, real-time, mixed)',
+      },
+    ]);
+  });
+
+  it('reports a missing required field', () => {
+    const unnamed = { ...method };
+    delete unnamed.name;
+    expect(validate(catalog([unnamed])).errors).toEqual([
+      {
+        type: 'schema',
+        collection: 'methods',
+        id: 'video-mining',
+        message: "must have required property 'name'",
+      },
+    ]);
+  });
+
+  it('reports an ID that is not kebab-case', () => {
+    const [error] = validate(catalog([method, { ...method, id: 'Video_Mining' }])).errors;
+    expect(error).toEqual({
+      type: 'schema',
+      collection: 'methods',
+      id: 'Video_Mining',
+      message: '"id" must match pattern "^[a-z0-9]+(-[a-z0-9]+)*$"',
+    });
+    expect(formatValidationIssue(error)).toBe(`Method Video_Mining: ${error.message}`);
+  });
+
+  it('reports a relation type outside the vocabulary', () => {
+    const relations = [{ target: 'other-method', type: 'inspired-by' }];
+    expect(validate(catalog([{ ...method, relations }])).errors).toEqual([
+      {
+        type: 'schema',
+        collection: 'methods',
+        id: 'video-mining',
+        message:
+          '"relations/0/type" must be equal to one of the allowed values ' +
+          '(extends, evaluates-against, reuses-data, supersedes, related)',
+      },
+    ]);
+  });
+
+  it('reports duplicate IDs and unknown dataset references', () => {
+    const dataset = {
+      id: 'assembly-videos',
+      name: 'Assembly videos',
+      description: 'Recordings of manual assembly work',
+      modalities: ['video'],
+      event_log_format: 'csv',
+      domain: 'manufacturing',
+      url: 'https://example.org/data',
+      method_ids: ['video-mining', 'missing'],
+      created_at: '2024-01-01T00:00:00Z',
+      updated_at: '2024-01-01T00:00:00Z',
+    };
+    expect(validate(catalog([method, method], [dataset])).errors).toEqual([
+      { type: 'duplicate-id', collection: 'methods', id: 'video-mining', message: 'duplicate ID' },
+      {
+        type: 'unknown-reference',
+        collection: 'datasets',
+        id: 'assembly-videos',
+        message: 'unknown method ID "missing"',
+      },
+    ]);
+  });
+});
+
+describe('getSchemaEnums', () => {
+  it('reads the relation types from the methods schema', () => {
+    expect(getSchemaEnums({ methodsSchema, datasetsSchema }).relation_type).toEqual([
+      'extends',
+      'evaluates-against',
+      'reuses-data',
+      'supersedes',
+      'related',
+    ]);
+  });
+});
@@ -0,0 +1,262 @@
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { Header } from '@/components';
+import { useAppState, getDatasetById, getMethodById } from '@/lib';
+import '@/styles/detail.css';
+import '@/styles/datasets.css';
+
+/**
+ * Format paper URL correctly
+ * Handles: bare DOI, full DOI URL, or regular URL
+ */
+function formatPaperUrl(doiOrUrl) {
+  if (!doiOrUrl) return null;
+
+  // Already a full URL (http or https)
+  if (doiOrUrl.startsWith('http://') || doiOrUrl.startsWith('https://')) {
+    return doiOrUrl;
+  }
+
+  // Bare DOI
+  return `https://doi.org/${doiOrUrl}`;
+}
+
+/**
+ * Dataset detail page view
+ */
+export default function DatasetPage() {
+  const { datasetId } = useParams();
+  const navigate = useNavigate();
+  const { loading, error, data } = useAppState();
+
+  if (loading) {
+    return (
+      <div className="main-layout">
+        <Header />
+        <main className="main-content">
+          <div className="loading">
+            <div className="loading__spinner" />
+            <p>Loading dataset...</p>
+          </div>
+        </main>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="main-layout">
+        <Header />
+        <main className="main-content">
+          <div className="error">
+            <div className="error__icon">⚠️</div>
+            <h2>Error Loading Data</h2>
+            <p>{error}</p>
+          </div>
+        </main>
+      </div>
+    );
+  }
+
+  const dataset = getDatasetById(data, datasetId);
+  const methods = dataset
+    ? dataset.method_ids.map((id) => getMethodById(data, id)).filter(Boolean)
+    : [];
+
+  return (
+    <div className="main-layout">
+      <Header />
+      <main className="method-page">
+        <Link to="/datasets" className="method-page__back">
+          <svg
+            width="14"
+            height="14"
+            viewBox="0 0 24 24"
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="2"
+          >
+            <path d="M19 12H5M12 19l-7-7 7-7" />
+          </svg>
+          Back to Datasets
+        </Link>
+
+        {!dataset ? (
+          <div className="empty-state">
+            <div className="empty-state__icon">❌</div>
+            <h3 className="empty-state__title">Dataset not found</h3>
+            <p className="empty-state__text">
+              The dataset &quot;{datasetId}&quot; could not be found.
+            </p>
+          </div>
+        ) : (
+          <>
+            <header className="method-page__header">
+              <span className="method-detail__step">{dataset.event_log_format.toUpperCase()}</span>
+              <h1 className="method-page__title">{dataset.name}</h1>
+              <div className="method-page__meta">
+                <span>{dataset.domain}</span>
+                {dataset.references?.year && (
+                  <>
+                    <span className="method-page__meta-dot" />
+                    <span>{dataset.references.year}</span>
+                  </>
+                )}
+                {dataset.license && (
+                  <>
+                    <span className="method-page__meta-dot" />
+                    <span>{dataset.license}</span>
+                  </>
+                )}
+              </div>
+            </header>
+
+            {/* Description */}
+            <section className="method-detail__section">
+              <h2 className="method-detail__section-title">Description</h2>
+              <p className="method-detail__section-content">{dataset.description}</p>
+            </section>
+
+            {/* Modalities */}
+            <section className="method-detail__section">
+              <h2 className="method-detail__section-title">Modalities</h2>
+              <div className="method-detail__tags">
+                {dataset.modalities.map((mod) => (
+                  <span key={mod} className={`tag tag--${mod}`}>
+                    {mod}
+                  </span>
+                ))}
+              </div>
+            </section>
+
+            {/* Details */}
+            <section className="method-detail__section">
+              <h2 className="method-detail__section-title">Details</h2>
+              <dl className="dataset-facts">
+                <dt>Event log format</dt>
+                <dd>{dataset.event_log_format}</dd>
+                <dt>Domain</dt>
+                <dd>{dataset.domain}</dd>
+                <dt>License</dt>
+                <dd>{dataset.license || 'Not specified'}</dd>
+                {dataset.size?.cases !== undefined && (
+                  <>
+                    <dt>Cases</dt>
+                    <dd>{dataset.size.cases.toLocaleString()}</dd>
+                  </>
+                )}
+                {dataset.size?.events !== undefined && (
+                  <>
+                    <dt>Events</dt>
+                    <dd>{dataset.size.events.toLocaleString()}</dd>
+                  </>
+                )}
+                {dataset.size?.files !== undefined && (
+                  <>
+                    <dt>Files</dt>
+                    <dd>{dataset.size.files.toLocaleString()}</dd>
+                  </>
+                )}
+                {dataset.size?.notes && (
+                  <>
+                    <dt>Size</dt>
+                    <dd>{dataset.size.notes}</dd>
+                  </>
+                )}
+              </dl>
+              {dataset.url && (
+                <a
+                  href={dataset.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="btn btn--sm btn--secondary"
+                  style={{ marginTop: 'var(--sp-3)' }}
+                >
+                  Open Dataset →
+                </a>
+              )}
+            </section>
+
+            {/* Reference */}
+            {dataset.references && (
+              <section className="method-detail__section">
+                <h2 className="method-detail__section-title">Reference</h2>
+                <div className="method-detail__reference">
+                  <p className="method-detail__reference-title">{dataset.references.paper_title}</p>
+                  <p className="method-detail__reference-authors">
+                    {dataset.references.authors.join(', ')}
+                  </p>
+                  <p className="method-detail__reference-meta">
+                    {dataset.references.venue}, {dataset.references.year}
+                  </p>
+                  {dataset.references.doi_or_url && (
+                    <a
+                      href={formatPaperUrl(dataset.references.doi_or_url)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="btn btn--sm btn--secondary"
+                      style={{ marginTop: 'var(--sp-3)' }}
+                    >
+                      View Paper →
+                    </a>
+                  )}
+                </div>
+              </section>
+            )}
+
+            {/* Linked Methods */}
+            {methods.length > 0 && (
+              <section className="method-detail__section">
+                <h2 className="method-detail__section-title">Methods</h2>
+                <div className="related-methods">
+                  {methods.map((method) => (
+                    <div
+                      key={method.id}
+                      className="related-method"
+                      onClick={() => navigate(`/methods/${method.id}`)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' || e.key === ' ') {
+                          e.preventDefault();
+                          navigate(`/methods/${method.id}`);
+                        }
+                      }}
+                      tabIndex={0}
+                      role="button"
+                      aria-label={`View ${method.name}`}
+                    >
+                      <span className="related-method__name">{method.name}</span>
+                      <span className="related-method__relationship">
+                        {method.pipeline_step.replace('_', ' ')}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            {/* Tags */}
+            {dataset.tags && dataset.tags.length > 0 && (
+              <section className="method-detail__section">
+                <h2 className="method-detail__section-title">Tags</h2>
+                <div className="method-detail__tags">
+                  {dataset.tags.map((tag) => (
+                    <span key={tag} className="tag">
+                      #{tag}
+                    </span>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            {/* Metadata */}
+            <section className="method-detail__section" style={{ marginTop: 'var(--sp-8)' }}>
+              <p style={{ fontSize: '11px', color: 'var(--text-faint)' }}>
+                Created: {new Date(dataset.created_at).toLocaleDateString()} · Updated:{' '}
+                {new Date(dataset.updated_at).toLocaleDateString()}
+              </p>
+            </section>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { Link } from 'react-router-dom';
+import { Header } from '@/components';
+import { useAppState } from '@/lib';
+import '@/styles/datasets.css';
+
+/**
+ * Single dataset card - links to the dataset page
+ */
+function DatasetCard({ dataset }) {
+  return (
+    <Link to={`/datasets/${dataset.id}`} className="dataset-card">
+      <h2 className="dataset-card__name">{dataset.name}</h2>
+      <p className="dataset-card__description">{dataset.description}</p>
+
+      <div className="dataset-card__meta">
+        <span className="dataset-card__format">{dataset.event_log_format.toUpperCase()}</span>
+        <span className="method-item__dot" />
+        <span>{dataset.domain}</span>
+        {dataset.references?.year && (
+          <>
+            <span className="method-item__dot" />
+            <span>{dataset.references.year}</span>
+          </>
+        )}
+        <span className="method-item__dot" />
+        <span>
+          {dataset.method_ids.length} method{dataset.method_ids.length !== 1 ? 's' : ''}
+        </span>
+      </div>
+
+      <div className="dataset-card__tags">
+        {dataset.modalities.map((mod) => (
+          <span key={mod} className={`tag tag--${mod}`}>
+            {mod}
+          </span>
+        ))}
+      </div>
+    </Link>
+  );
+}
+
+/**
+ * Datasets page view - catalog of datasets
+ */
+export default function DatasetsPage() {
+  const { loading, error, allDatasets } = useAppState();
+
+  if (loading) {
+    return (
+      <div className="main-layout">
+        <Header />
+        <main className="main-content">
+          <div className="loading">
+            <div className="loading__spinner" />
+            <p>Loading datasets...</p>
+          </div>
+        </main>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="main-layout">
+        <Header />
+        <main className="main-content">
+          <div className="error">
+            <div className="error__icon">⚠️</div>
+            <h2>Error Loading Data</h2>
+            <p>{error}</p>
+          </div>
+        </main>
+      </div>
+    );
+  }
+
+  return (
+    <div className="main-layout">
+      <Header />
+      <main className="datasets-page">
+        <h1 className="t-page-title">Datasets</h1>
+        <p className="datasets-page__subtitle">
+          {allDatasets.length} datasets used to evaluate process mining methods for unstructured
+          data.
+        </p>
+
+        {allDatasets.length === 0 ? (
+          <div className="empty-state">
+            <div className="empty-state__icon">📊</div>
+            <h3 className="empty-state__title">No datasets found</h3>
+            <p className="empty-state__text">No datasets have been added yet.</p>
+          </div>
+        ) : (
+          <div className="datasets-page__list">
+            {allDatasets.map((dataset) => (
+              <DatasetCard key={dataset.id} dataset={dataset} />
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
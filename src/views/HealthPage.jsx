@@ -0,0 +1,175 @@
+import { useState, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { Header } from '@/components';
+import {
+  useAppState,
+  getMethodById,
+  getDatasetById,
+  getHealthIssues,
+  groupHealthIssues,
+  HEALTH_CHECKS,
+} from '@/lib';
+import '@/styles/health.css';
+
+const STALE_OPTIONS = [
+  { days: 180, label: '6 months' },
+  { days: 365, label: '1 year' },
+  { days: 730, label: '2 years' },
+];
+
+/**
+ * Heading for one group of issues - links to the entry's page
+ */
+function GroupTitle({ group, data }) {
+  if (!group.collection) {
+    return <span className="health-group__title">Catalog</span>;
+  }
+
+  if (group.collection === 'datasets') {
+    const dataset = getDatasetById(data, group.id);
+    return (
+      <Link to={`/datasets/${group.id}`} className="health-group__title">
+        {dataset?.name || group.id}
+        <span className="health-group__id">dataset · {group.id}</span>
+      </Link>
+    );
+  }
+
+  const method = getMethodById(data, group.id);
+  return (
+    <Link to={`/methods/${group.id}`} className="health-group__title">
+      {method?.name || group.id}
+      <span className="health-group__id">{group.id}</span>
+    </Link>
+  );
+}
+
+/**
+ * Data health page view - curation triage for the catalog
+ */
+export default function HealthPage() {
+  const { loading, error, data, validationErrors } = useAppState();
+  const [staleAfterDays, setStaleAfterDays] = useState(365);
+  const [hiddenChecks, setHiddenChecks] = useState([]);
+
+  const issues = useMemo(
+    () => (data ? getHealthIssues(data, validationErrors, { staleAfterDays }) : []),
+    [data, validationErrors, staleAfterDays]
+  );
+
+  if (loading) {
+    return (
+      <div className="main-layout">
+        <Header />
+        <main className="main-content">
+          <div className="loading">
+            <div className="loading__spinner" />
+            <p>Checking data health...</p>
+          </div>
+        </main>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="main-layout">
+        <Header />
+        <main className="main-content">
+          <div className="error">
+            <div className="error__icon">⚠️</div>
+            <h2>Error Loading Data</h2>
+            <p>{error}</p>
+          </div>
+        </main>
+      </div>
+    );
+  }
+
+  const checkCounts = {};
+  issues.forEach((issue) => {
+    checkCounts[issue.check] = (checkCounts[issue.check] || 0) + 1;
+  });
+
+  const visibleIssues = issues.filter((issue) => !hiddenChecks.includes(issue.check));
+  const groups = groupHealthIssues(visibleIssues);
+
+  const toggleCheck = (check) => {
+    setHiddenChecks((current) =>
+      current.includes(check) ? current.filter((c) => c !== check) : [...current, check]
+    );
+  };
+
+  return (
+    <div className="main-layout">
+      <Header />
+      <main className="health-page">
+        <h1 className="t-page-title">Data Health</h1>
+        <p className="health-page__subtitle">
+          {issues.length} issue{issues.length !== 1 ? 's' : ''} across {groups.length}{' '}
+          {groups.length !== 1 ? 'entries' : 'entry'}. Review before each release.
+        </p>
+
+        <div className="health-page__controls">
+          <div className="filters-panel__chips">
+            {Object.entries(HEALTH_CHECKS).map(([check, { label, severity }]) => (
+              <button
+                key={check}
+                type="button"
+                className={`filter-chip ${hiddenChecks.includes(check) ? '' : 'filter-chip--active'}`}
+                onClick={() => toggleCheck(check)}
+                aria-pressed={!hiddenChecks.includes(check)}
+              >
+                <span className={`health-severity health-severity--${severity}`} />
+                {label}
+                <span className="health-page__count">{checkCounts[check] || 0}</span>
+              </button>
+            ))}
+          </div>
+
+          <label className="health-page__stale">
+            Stale after
+            <select
+              className="input"
+              value={staleAfterDays}
+              onChange={(e) => setStaleAfterDays(Number(e.target.value))}
+            >
+              {STALE_OPTIONS.map((option) => (
+                <option key={option.days} value={option.days}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {groups.length === 0 ? (
+          <div className="empty-state">
+            <div className="empty-state__icon">✅</div>
+            <h3 className="empty-state__title">No issues found</h3>
+            <p className="empty-state__text">The catalog passes all selected checks.</p>
+          </div>
+        ) : (
+          <div className="health-page__groups">
+            {groups.map((group) => (
+              <section key={group.key} className="health-group">
+                <GroupTitle group={group} data={data} />
+                <ul className="health-group__issues">
+                  {group.issues.map((issue, i) => (
+                    <li key={i} className="health-issue">
+                      <span className={`health-severity health-severity--${issue.severity}`} />
+                      <span className="health-issue__check">
+                        {HEALTH_CHECKS[issue.check].label}
+                      </span>
+                      <span className="health-issue__message">{issue.message}</span>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
-import { Link } from 'react-router-dom';
+import { useEffect, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import {
   Header,
   PipelineVisualization,
@@ -6,10 +7,74 @@ import {
   MethodList,
   FiltersPanel,
   CompareBar,
+  CiteMenu,
+  ExportMenu,
 } from '@/components';
-import { useAppState, useAppDispatch, actions, getStatistics } from '@/lib';
+import {
+  useAppState,
+  useAppDispatch,
+  actions,
+  getStatistics,
+  isSearchActive,
+  isTypingTarget,
+  encodeExplorerParams,
+  decodeExplorerParams,
+  SORT_OPTIONS,
+  ARTIFACT_FILTERS,
+} from '@/lib';
 import '@/styles/home.css';
 
+/**
+ * Keeps filters, selection and sort in sync with the query string
+ * The URL wins on load and on back/forward; state changes push a new history entry,
+ * except on the first sync and while typing a search query, which replace the current one.
+ */
+function useExplorerUrlSync() {
+  const { filters, selectedModality, sortBy, sortOrder } = useAppState();
+  const dispatch = useAppDispatch();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const syncedSearch = useRef(null);
+
+  const stateParams = useMemo(
+    () => encodeExplorerParams({ filters, selectedModality, sortBy, sortOrder }),
+    [filters, selectedModality, sortBy, sortOrder]
+  );
+  const urlSearch = searchParams.toString();
+  const stateSearch = stateParams.toString();
+
+  useEffect(() => {
+    // Arriving without a query (e.g. from the header) keeps the current state and
+    // replaces the bare entry, so going back does not clear the filters
+    const isFirstSync = syncedSearch.current === null;
+    if (isFirstSync && !urlSearch) {
+      syncedSearch.current = urlSearch;
+    }
+
+    if (urlSearch !== syncedSearch.current) {
+      syncedSearch.current = urlSearch;
+      if (urlSearch !== stateSearch) {
+        dispatch(actions.restoreExplorerState(decodeExplorerParams(searchParams)));
+      }
+      return;
+    }
+
+    if (stateSearch !== urlSearch) {
+      // Editing an existing query (or tidying up a hand-written URL) replaces the entry
+      const previous = encodeExplorerParams(decodeExplorerParams(searchParams));
+      const next = new URLSearchParams(stateParams);
+      const isTidyUp = previous.toString() === stateSearch;
+      const isEditingQuery = previous.has('q') && next.has('q');
+      previous.delete('q');
+      next.delete('q');
+      const replace =
+        isFirstSync || isTidyUp || (isEditingQuery && previous.toString() === next.toString());
+
+      syncedSearch.current = stateSearch;
+      setSearchParams(stateParams, { replace });
+    }
+  }, [urlSearch, stateSearch, searchParams, stateParams, dispatch, setSearchParams]);
+}
+
 /**
  * Stats row - inline, calm design
  */
@@ -82,6 +147,65 @@ function PipelineSection() {
   );
 }
 
+/**
+ * Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z redoes filter and sort changes
+ * Text fields keep their own undo.
+ */
+function useUndoShortcuts() {
+  const dispatch = useAppDispatch();
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+      if (isTypingTarget(e.target)) return;
+      e.preventDefault();
+      dispatch(e.shiftKey ? actions.redo() : actions.undo());
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [dispatch]);
+}
+
+/**
+ * Undo and redo buttons for filter changes
+ */
+function HistoryControls() {
+  const { canUndo, canRedo } = useAppState();
+  const dispatch = useAppDispatch();
+
+  return (
+    <span className="active-filters__history">
+      <button
+        type="button"
+        className="btn btn--ghost btn--sm"
+        onClick={() => dispatch(actions.undo())}
+        disabled={!canUndo}
+        aria-label="Undo filter change"
+        title="Undo (Ctrl+Z)"
+      >
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <path d="M9 14 4 9l5-5" />
+          <path d="M4 9h10.5a5.5 5.5 0 0 1 0 11H11" />
+        </svg>
+      </button>
+      <button
+        type="button"
+        className="btn btn--ghost btn--sm"
+        onClick={() => dispatch(actions.redo())}
+        disabled={!canRedo}
+        aria-label="Redo filter change"
+        title="Redo (Ctrl+Shift+Z)"
+      >
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <path d="m15 14 5-5-5-5" />
+          <path d="M20 9H9.5a5.5 5.5 0 0 0 0 11H13" />
+        </svg>
+      </button>
+    </span>
+  );
+}
+
 /**
  * Controls row with filters toggle and compare mode
  */
@@ -130,27 +254,47 @@ function ControlsRow() {
   );
 }
 
+// List filters shown as removable chips, with the text for each value
+const LIST_FILTER_CHIPS = [
+  { key: 'modalities', label: (value) => value },
+  { key: 'tasks', label: (value) => `Task: ${value}` },
+  { key: 'evidenceTypes', label: (value) => `Evidence: ${value}` },
+  { key: 'maturityLevels', label: (value) => `Maturity: ${value}` },
+  { key: 'automationLevels', label: (value) => `Automation: ${value}` },
+  { key: 'tags', label: (value) => `Tag: ${value}` },
+  { key: 'artifacts', label: (value) => ARTIFACT_FILTERS[value]?.label ?? value },
+];
+
 /**
  * Active filters display
  */
 function ActiveFilters() {
-  const { filters, selectedStep } = useAppState();
+  const { filters, selectedStep, canUndo, canRedo } = useAppState();
   const dispatch = useAppDispatch();
 
-  const hasFilters = selectedStep || 
-    filters.modalities?.length > 0 || 
-    filters.tasks?.length > 0 ||
-    filters.searchQuery;
+  const { min: minYear, max: maxYear } = filters.yearRange;
+  const hasYearRange = minYear !== null || maxYear !== null;
+
+  const hasFilters =
+    selectedStep ||
+    LIST_FILTER_CHIPS.some(({ key }) => filters[key]?.length > 0) ||
+    filters.searchQuery ||
+    hasYearRange;
 
-  if (!hasFilters) return null;
+  // Stay visible after "Clear all" so the change can be undone
+  if (!hasFilters && !canUndo && !canRedo) return null;
+
+  if (!hasFilters) {
+    return (
+      <div className="active-filters">
+        <HistoryControls />
+      </div>
+    );
+  }
 
+  // One action, so a single undo brings everything back
   const clearAll = () => {
-    dispatch(actions.setSelectedStep(null));
-    dispatch(actions.setFilters({ 
-      searchQuery: '', 
-      modalities: [], 
-      tasks: [] 
-    }));
+    dispatch(actions.resetFilters());
   };
 
   return (
@@ -177,22 +321,36 @@ function ActiveFilters() {
         </button>
       )}
       
-      {filters.modalities?.map(mod => (
-        <button 
-          key={mod}
+      {hasYearRange && (
+        <button
           className="filter-chip filter-chip--active"
-          onClick={() => dispatch(actions.setFilters({ 
-            modalities: filters.modalities.filter(m => m !== mod) 
-          }))}
+          onClick={() => dispatch(actions.setFilters({ yearRange: { min: null, max: null } }))}
         >
-          {mod}
+          Years: {minYear ?? '…'}–{maxYear ?? '…'}
           <span className="filter-chip__remove">×</span>
         </button>
-      ))}
+      )}
+
+      {LIST_FILTER_CHIPS.map(({ key, label }) =>
+        filters[key]?.map((value) => (
+          <button
+            key={`${key}-${value}`}
+            className="filter-chip filter-chip--active"
+            onClick={() =>
+              dispatch(actions.setFilters({ [key]: filters[key].filter((v) => v !== value) }))
+            }
+          >
+            {label(value)}
+            <span className="filter-chip__remove">×</span>
+          </button>
+        ))
+      )}
       
       <button className="btn btn--ghost btn--sm" onClick={clearAll}>
         Clear all
       </button>
+
+      <HistoryControls />
     </div>
   );
 }
@@ -219,6 +377,46 @@ function LandscapeSection() {
   );
 }
 
+/**
+ * Sort dropdown and direction toggle for the method list
+ */
+function SortControls() {
+  const { filters, sortBy, sortOrder } = useAppState();
+  const dispatch = useAppDispatch();
+  const searching = isSearchActive(filters);
+  const isAscending = sortOrder === 'asc';
+
+  return (
+    <div className="methods-sidebar__sort">
+      <label className="methods-sidebar__sort-label">
+        Sort by
+        <select
+          className="input"
+          value={sortBy}
+          onChange={(e) =>
+            dispatch(actions.setSort(e.target.value, SORT_OPTIONS[e.target.value].defaultOrder))
+          }
+        >
+          {Object.entries(SORT_OPTIONS).map(([key, { label, searchOnly }]) => (
+            <option key={key} value={key} disabled={searchOnly && !searching}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button
+        type="button"
+        className="btn btn--ghost btn--sm btn--icon"
+        onClick={() => dispatch(actions.setSort(sortBy, isAscending ? 'desc' : 'asc'))}
+        aria-label={`Sort direction: ${isAscending ? 'ascending' : 'descending'}`}
+        title={isAscending ? 'Ascending' : 'Descending'}
+      >
+        {isAscending ? '↑' : '↓'}
+      </button>
+    </div>
+  );
+}
+
 /**
  * Methods sidebar section
  */
@@ -229,10 +427,15 @@ function MethodsSidebar() {
     <aside className="methods-sidebar">
       <div className="methods-sidebar__header">
         <h2 className="methods-sidebar__title">Methods</h2>
-        <span className="methods-sidebar__count">
-          {filteredMethods.length} / {allMethods.length}
-        </span>
+        <div className="methods-sidebar__actions">
+          <span className="methods-sidebar__count">
+            {filteredMethods.length} / {allMethods.length}
+          </span>
+          <CiteMenu methods={filteredMethods} label="Cite all" fileName="methods" />
+          <ExportMenu />
+        </div>
       </div>
+      <SortControls />
       <div className="methods-sidebar__list">
         <MethodList />
       </div>
@@ -245,6 +448,8 @@ function MethodsSidebar() {
  */
 export default function HomePage() {
   const { loading, error } = useAppState();
+  useExplorerUrlSync();
+  useUndoShortcuts();
 
   if (loading) {
     return (
@@ -96,8 +96,11 @@ export default function RelationshipPage() {
               </svg>
             </div>
             <div className="relationship-page__info-content">
-              <h3>Drag & Zoom</h3>
-              <p>Drag nodes to rearrange. Scroll to zoom. Pan with mouse.</p>
+              <h3>Drag, Zoom & Focus</h3>
+              <p>
+                Drag nodes to rearrange. Scroll to zoom. Click a method to focus on its
+                neighborhood.
+              </p>
             </div>
           </div>
 
@@ -126,7 +129,10 @@ export default function RelationshipPage() {
             </div>
             <div className="relationship-page__info-content">
               <h3>Connections</h3>
-              <p>Solid lines = explicit citations. Dashed = computed similarity.</p>
+              <p>
+                Straight arrows = relations from the data, colored by type. Curves = computed
+                similarity.
+              </p>
             </div>
           </div>
         </div>
@@ -3,3 +3,6 @@ export { default as MethodPage } from './MethodPage';
 export { default as AboutPage } from './AboutPage';
 export { default as ComparePage } from './ComparePage';
 export { default as RelationshipPage } from './RelationshipPage';
+export { default as DatasetsPage } from './DatasetsPage';
+export { default as DatasetPage } from './DatasetPage';
+export { default as HealthPage } from './HealthPage';
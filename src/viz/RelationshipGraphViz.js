@@ -1,5 +1,7 @@
 import * as d3 from 'd3';
 import { STEP_COLORS } from './PipelineViz';
+import { scoreRelatedness, getRelations, DEFAULT_RELATED_WEIGHTS } from '@/lib/related';
+import { detectCommunities } from '@/lib/network';
 
 /**
  * Method Relationship Graph Visualization
@@ -35,13 +37,64 @@ const TOKENS = {
   accentMuted: 'rgba(136, 192, 208, 0.3)',
 };
 
-// Relationship types with styling
+// Ways to group methods into clusters
+const CLUSTER_OPTIONS = {
+  pipelineStep: 'Pipeline step',
+  modality: 'Primary modality',
+  task: 'Primary task',
+  evidence: 'Evidence type',
+  community: 'Detected community',
+};
+
+// Colors for clusters without a color of their own
+const CLUSTER_COLORS = [
+  '#88c0d0',
+  '#a3be8c',
+  '#b48ead',
+  '#d08770',
+  '#ebcb8b',
+  '#bf616a',
+  '#8fbcbb',
+  '#81a1c1',
+  '#5e81ac',
+];
+
+// Relationship types with styling; explicit types come from the data and are drawn as arrows
 const RELATIONSHIP_TYPES = {
   explicit: {
     color: '#88c0d0',
     strokeWidth: 2.5,
     dashArray: null,
     label: 'Explicitly Related',
+    explicit: true,
+  },
+  extends: {
+    color: '#a3be8c',
+    strokeWidth: 2.5,
+    dashArray: null,
+    label: 'Extends',
+    explicit: true,
+  },
+  evaluatesAgainst: {
+    color: '#d08770',
+    strokeWidth: 2,
+    dashArray: '6,3',
+    label: 'Evaluated Against',
+    explicit: true,
+  },
+  reusesData: {
+    color: '#b48ead',
+    strokeWidth: 2,
+    dashArray: '2,3',
+    label: 'Reuses Data From',
+    explicit: true,
+  },
+  supersedes: {
+    color: '#bf616a',
+    strokeWidth: 2.5,
+    dashArray: '8,3,2,3',
+    label: 'Supersedes',
+    explicit: true,
   },
   sameStep: {
     color: 'rgba(136, 192, 208, 0.3)',
@@ -69,52 +122,21 @@ const RELATIONSHIP_TYPES = {
   },
 };
 
+// Edge type for each schema relation type; untyped links keep the explicit style
+const RELATION_EDGE_TYPES = {
+  extends: 'extends',
+  'evaluates-against': 'evaluatesAgainst',
+  'reuses-data': 'reusesData',
+  supersedes: 'supersedes',
+  related: 'explicit',
+};
+
 /**
  * Calculate similarity score between two methods
- * Based on shared modalities, tasks, tags, and pipeline proximity
+ * Uses the related-methods scoring; explicit links are drawn as their own edges, so they do not count
  */
-function calculateSimilarity(method1, method2, pipelineSteps) {
-  if (method1.id === method2.id) return 0;
-
-  let score = 0;
-
-  // Shared modalities (high weight)
-  const sharedModalities = method1.modalities.filter((m) =>
-    method2.modalities.includes(m)
-  );
-  score += sharedModalities.length * 0.25;
-
-  // Shared tasks (high weight)
-  const sharedTasks = (method1.tasks || []).filter((t) =>
-    (method2.tasks || []).includes(t)
-  );
-  score += sharedTasks.length * 0.2;
-
-  // Shared tags (medium weight)
-  const sharedTags = (method1.tags || []).filter((t) =>
-    (method2.tags || []).includes(t)
-  );
-  score += sharedTags.length * 0.1;
-
-  // Pipeline step proximity (methods in same or adjacent steps are related)
-  const step1 = pipelineSteps.find((s) => s.id === method1.pipeline_step);
-  const step2 = pipelineSteps.find((s) => s.id === method2.pipeline_step);
-  if (step1 && step2) {
-    const stepDiff = Math.abs(step1.order - step2.order);
-    if (stepDiff === 0) score += 0.15;
-    else if (stepDiff === 1) score += 0.05;
-  }
-
-  // Same maturity level (low weight)
-  if (method1.maturity === method2.maturity) {
-    score += 0.05;
-  }
-
-  // Same evidence type (low weight)
-  if (method1.evidence_type === method2.evidence_type) {
-    score += 0.05;
-  }
-
+function calculateSimilarity(method1, method2, pipelineSteps, weights) {
+  const { score } = scoreRelatedness(method1, method2, pipelineSteps, { ...weights, linked: 0 });
   return Math.min(score, 1); // Cap at 1
 }
 
@@ -130,6 +152,9 @@ function buildGraphData(data, options = {}) {
     showSharedModalityLinks = false,
     showSharedTaskLinks = false,
     maxSimilarLinks = 3, // Max similar connections per node
+    similaritySource = 'metadata', // 'metadata', 'text' or 'combined'
+    textSimilarity = null, // (idA, idB) => text similarity, required for 'text' and 'combined'
+    relatedWeights = DEFAULT_RELATED_WEIGHTS, // Factor weights for metadata similarity
   } = options;
 
   const methods = data.methods;
@@ -148,10 +173,10 @@ function buildGraphData(data, options = {}) {
     tags: method.tags || [],
     maturity: method.maturity,
     evidenceType: method.evidence_type,
-    relatedIds: method.related_method_ids || [],
+    relatedIds: getRelations(method).map((r) => r.target),
     year: method.references?.year,
-    color: STEP_COLORS[method.pipeline_step] || TOKENS.accent,
-    // Will be computed: degree, clusterId
+    stepColor: STEP_COLORS[method.pipeline_step] || TOKENS.accent,
+    // Will be computed: degree, clusterId, color
   }));
 
   const nodeMap = new Map(nodes.map((n) => [n.id, n]));
@@ -173,15 +198,17 @@ function buildGraphData(data, options = {}) {
     }
   };
 
-  // 1. Explicit relationships from data
+  // 1. Explicit relationships from data; typed relations go first so a plain link
+  // in the other direction does not hide them
   if (showExplicitRelations) {
-    methods.forEach((method) => {
-      (method.related_method_ids || []).forEach((relatedId) => {
-        if (nodeMap.has(relatedId)) {
-          addLink(method.id, relatedId, 'explicit', 1);
+    methods
+      .flatMap((method) => getRelations(method).map((r) => ({ ...r, source: method.id })))
+      .sort((a, b) => (a.type === 'related') - (b.type === 'related'))
+      .forEach(({ source, target, type }) => {
+        if (nodeMap.has(target)) {
+          addLink(source, target, RELATION_EDGE_TYPES[type], 1);
         }
       });
-    });
   }
 
   // 2. Same pipeline step links (optional, can create dense graphs)
@@ -226,10 +253,29 @@ function buildGraphData(data, options = {}) {
 
   // 5. Similar methods (based on computed similarity)
   if (showSimilarMethods) {
+    const useText = textSimilarity && similaritySource !== 'metadata';
+    const useMetadata = !useText || similaritySource === 'combined';
+
+    // Text scores are scaled to the most similar pair so one threshold fits both sources
+    const textScores = new Map();
+    let maxTextScore = 0;
+    if (useText) {
+      for (let i = 0; i < methods.length; i++) {
+        for (let j = i + 1; j < methods.length; j++) {
+          const score = textSimilarity(methods[i].id, methods[j].id);
+          textScores.set(`${i}-${j}`, score);
+          maxTextScore = Math.max(maxTextScore, score);
+        }
+      }
+    }
+
     const similarities = [];
     for (let i = 0; i < methods.length; i++) {
       for (let j = i + 1; j < methods.length; j++) {
-        const sim = calculateSimilarity(methods[i], methods[j], pipelineSteps);
+        const scores = [];
+        if (useMetadata) scores.push(calculateSimilarity(methods[i], methods[j], pipelineSteps, relatedWeights));
+        if (useText) scores.push(textScores.get(`${i}-${j}`) / (maxTextScore || 1));
+        const sim = scores.reduce((sum, score) => sum + score, 0) / scores.length;
         if (sim >= similarityThreshold) {
           similarities.push({
             source: methods[i].id,
@@ -270,28 +316,135 @@ function buildGraphData(data, options = {}) {
 }
 
 /**
- * Compute cluster hulls for pipeline steps
+ * Reduce the graph to the neighborhood of one method
+ * Keeps methods within `depth` hops over the allowed edge types and sets `hops` on each node.
+ * Links must still reference nodes by ID.
+ * @returns {Object|null} { nodes, links }, or null when the method is not in the graph
  */
-function computeClusterHulls(nodes, pipelineSteps) {
-  const clusters = new Map();
+export function extractEgoNetwork(nodes, links, focusId, depth, hiddenEdgeTypes = []) {
+  if (!nodes.some((n) => n.id === focusId)) return null;
+
+  const visibleLinks = links.filter((l) => !hiddenEdgeTypes.includes(l.type));
+  const neighbors = new Map(nodes.map((n) => [n.id, []]));
+  visibleLinks.forEach((l) => {
+    neighbors.get(l.source).push(l.target);
+    neighbors.get(l.target).push(l.source);
+  });
 
-  pipelineSteps.forEach((step) => {
-    clusters.set(step.id, {
-      id: step.id,
-      name: step.name,
-      color: STEP_COLORS[step.id],
-      nodes: [],
-    });
+  // Breadth-first, ring by ring
+  const hops = new Map([[focusId, 0]]);
+  let frontier = [focusId];
+  for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+    frontier = frontier.flatMap((id) =>
+      neighbors.get(id).filter((other) => {
+        if (hops.has(other)) return false;
+        hops.set(other, distance);
+        return true;
+      })
+    );
+  }
+
+  const egoNodes = nodes.filter((n) => hops.has(n.id));
+  const egoLinks = visibleLinks.filter((l) => hops.has(l.source) && hops.has(l.target));
+  const degreeMap = new Map();
+  egoLinks.forEach((l) => {
+    degreeMap.set(l.source, (degreeMap.get(l.source) || 0) + 1);
+    degreeMap.set(l.target, (degreeMap.get(l.target) || 0) + 1);
   });
+  egoNodes.forEach((n) => {
+    n.hops = hops.get(n.id);
+    n.degree = degreeMap.get(n.id) || 0;
+  });
+  return { nodes: egoNodes, links: egoLinks };
+}
+
+/**
+ * Assign each node to a cluster and color it by cluster
+ * Sets clusterId and color on the nodes; links must still reference nodes by ID.
+ * @returns {Array} Clusters with id, name, color and size, in display order
+ */
+function assignClusters(nodes, links, pipelineSteps, clusterBy) {
+  if (clusterBy === 'pipelineStep') {
+    nodes.forEach((node) => {
+      node.clusterId = node.pipelineStep;
+      node.color = node.stepColor;
+    });
+    return pipelineSteps
+      .map((step) => ({
+        id: step.id,
+        name: step.name,
+        color: STEP_COLORS[step.id] || TOKENS.accent,
+        size: nodes.filter((n) => n.pipelineStep === step.id).length,
+      }))
+      .filter((cluster) => cluster.size > 0);
+  }
 
+  let keyOf;
+  let nameOf = (key) => key;
+  let colorOf = () => null;
+  if (clusterBy === 'modality') {
+    keyOf = (node) => node.modalities[0];
+    colorOf = (key) => MODALITY_COLORS[key.replace('-', '')];
+  } else if (clusterBy === 'task') {
+    keyOf = (node) => node.tasks[0];
+  } else if (clusterBy === 'evidence') {
+    keyOf = (node) => node.evidenceType;
+  } else {
+    // Communities in the explicit and similarity links; unlinked methods share one cluster
+    const communities = detectCommunities(
+      nodes.map((n) => n.id),
+      links.map((l) => ({ source: l.source, target: l.target, weight: l.strength }))
+    );
+    const sizes = new Map();
+    communities.forEach((c) => sizes.set(c, (sizes.get(c) || 0) + 1));
+    keyOf = (node) => {
+      const community = communities.get(node.id);
+      return sizes.get(community) > 1 ? `community-${community + 1}` : null;
+    };
+    nameOf = (key) => `Community ${key.split('-')[1]}`;
+  }
+
+  const clusters = new Map();
   nodes.forEach((node) => {
-    const cluster = clusters.get(node.pipelineStep);
-    if (cluster) {
-      cluster.nodes.push(node);
+    const key = keyOf(node) || 'none';
+    if (!clusters.has(key)) {
+      clusters.set(key, {
+        id: key,
+        name:
+          key === 'none' ? (clusterBy === 'community' ? 'Unlinked' : 'Unspecified') : nameOf(key),
+        size: 0,
+      });
     }
+    clusters.get(key).size += 1;
+    node.clusterId = key;
+  });
+
+  // Largest first, with the catch-all cluster last
+  const ordered = [...clusters.values()].sort(
+    (a, b) =>
+      (a.id === 'none') - (b.id === 'none') || b.size - a.size || a.name.localeCompare(b.name)
+  );
+  ordered.forEach((cluster, i) => {
+    cluster.color =
+      cluster.id === 'none'
+        ? TOKENS.textMuted
+        : colorOf(cluster.id) || CLUSTER_COLORS[i % CLUSTER_COLORS.length];
+  });
+
+  const colors = new Map(ordered.map((c) => [c.id, c.color]));
+  nodes.forEach((node) => {
+    node.color = colors.get(node.clusterId);
   });
+  return ordered;
+}
 
-  return Array.from(clusters.values()).filter((c) => c.nodes.length > 0);
+/**
+ * Compute cluster hulls from the node cluster assignments
+ */
+function computeClusterHulls(nodes, clusters) {
+  return clusters
+    .map((cluster) => ({ ...cluster, nodes: nodes.filter((n) => n.clusterId === cluster.id) }))
+    .filter((c) => c.nodes.length > 0);
 }
 
 /**
@@ -376,12 +529,15 @@ export function createRelationshipGraph(container, data, options = {}) {
     height = Math.max(containerHeight, 500),
     onMethodClick = () => {},
     onMethodHover = () => {},
+    onClusterClick = () => {},
+    onClustersChange = () => {},
+    onGraphChange = () => {},
     selectedMethodId = null,
-    // Reserved for future enhancements
-    // eslint-disable-next-line no-unused-vars
+    focusMethodId = null, // Shows only this method's neighborhood, in rings by distance
+    focusDepth = 1, // Hops from the focused method
+    hiddenEdgeTypes = [], // Edge types left out of the focused neighborhood
     highlightedCluster = null,
-    // eslint-disable-next-line no-unused-vars
-    clusterBy = 'pipelineStep', // 'pipelineStep', 'modality', 'task'
+    clusterBy = 'pipelineStep', // A key of CLUSTER_OPTIONS
     showClusters = true,
     showLabels = true,
     nodeSpacing = 1.5, // Multiplier for node spacing (0.5 = compact, 3.0 = very spread out)
@@ -398,7 +554,26 @@ export function createRelationshipGraph(container, data, options = {}) {
     ...linkOptions,
   });
 
-  const { nodes, links } = graphData;
+  // Focus mode falls back to the whole graph when the method is filtered out
+  const ego =
+    focusMethodId &&
+    extractEgoNetwork(graphData.nodes, graphData.links, focusMethodId, focusDepth, hiddenEdgeTypes);
+  const { nodes, links } = ego || graphData;
+
+  const clusters = assignClusters(nodes, links, data.pipelineSteps, clusterBy);
+  onClustersChange(clusters);
+  // Copied before the simulation swaps link IDs for node objects
+  onGraphChange({
+    nodes: nodes.map(({ id, name, color }) => ({ id, name, color })),
+    links: links.map(({ source, target, type }) => ({ source, target, type })),
+  });
+
+  // Highlighted cluster; other methods and links fade
+  let activeCluster = highlightedCluster;
+  const isNodeDimmed = (d) => activeCluster !== null && d.clusterId !== activeCluster;
+  const isLinkDimmed = (l) =>
+    activeCluster !== null &&
+    (l.source.clusterId !== activeCluster || l.target.clusterId !== activeCluster);
 
   // Clear previous
   d3.select(container).selectAll('*').remove();
@@ -412,6 +587,8 @@ export function createRelationshipGraph(container, data, options = {}) {
     .attr('viewBox', `0 0 ${width} ${height}`)
     .attr('role', 'img')
     .attr('aria-label', 'Method relationship graph visualization')
+    // Focusable so the zoom shortcuts apply while the graph has focus
+    .attr('tabindex', 0)
     .style('font-family', 'Inter, -apple-system, BlinkMacSystemFont, sans-serif')
     .style('background', TOKENS.bg);
 
@@ -598,7 +775,8 @@ export function createRelationshipGraph(container, data, options = {}) {
     link
       .transition()
       .duration(150)
-      .attr('opacity', () => {
+      .attr('opacity', (d) => {
+        if (isLinkDimmed(d)) return 0.08;
         if (isAbstract) return 0.2;
         if (isMinimal) return 0.4;
         return 0.6;
@@ -753,7 +931,7 @@ export function createRelationshipGraph(container, data, options = {}) {
           .attr('cx', 5)
           .attr('cy', 6)
           .attr('r', 4)
-          .attr('fill', d.color);
+          .attr('fill', d.stepColor);
 
         stepBadge.append('text')
           .attr('x', 12)
@@ -834,7 +1012,7 @@ export function createRelationshipGraph(container, data, options = {}) {
         .id((d) => d.id)
         .distance((d) => {
           // Distances scaled by nodeSpacing
-          if (d.type === 'explicit') return baseDistanceExplicit;
+          if (d.explicit) return baseDistanceExplicit;
           if (d.type === 'similar') return baseDistanceSimilar;
           return baseDistanceOther;
         })
@@ -846,31 +1024,76 @@ export function createRelationshipGraph(container, data, options = {}) {
     .force('x', d3.forceX(width / 2).strength(0.015 / nodeSpacing))
     .force('y', d3.forceY(height / 2).strength(0.015 / nodeSpacing));
 
-  // Cluster force - group by pipeline step
-  const clusterCenters = {};
-  
-  const stepCount = data.pipelineSteps.length;
+  // Focus mode - the focused method sits in the middle, neighbors on rings by hop count
+  const ringRadius = (Math.min(width, height) * 0.45) / focusDepth;
 
-  data.pipelineSteps.forEach((step, i) => {
-    const angle = (i / stepCount) * 2 * Math.PI - Math.PI / 2;
-    clusterCenters[step.id] = {
-      x: width / 2 + Math.cos(angle) * clusterRadius,
-      y: height / 2 + Math.sin(angle) * clusterRadius,
-    };
-  });
+  if (ego) {
+    nodes
+      .filter((d) => d.hops === 0)
+      .forEach((d) => {
+        d.fx = width / 2;
+        d.fy = height / 2;
+      });
+    simulation
+      .force('x', null)
+      .force('y', null)
+      .force(
+        'ring',
+        d3.forceRadial((d) => d.hops * ringRadius, width / 2, height / 2).strength(0.8)
+      );
+  } else {
+    // Cluster force - group by the chosen clustering
+    const clusterCenters = {};
+
+    clusters.forEach((cluster, i) => {
+      const angle = (i / clusters.length) * 2 * Math.PI - Math.PI / 2;
+      clusterCenters[cluster.id] = {
+        x: width / 2 + Math.cos(angle) * clusterRadius,
+        y: height / 2 + Math.sin(angle) * clusterRadius,
+      };
+    });
 
-  simulation.force(
-    'cluster',
-    d3.forceX((d) => clusterCenters[d.pipelineStep]?.x || width / 2).strength(0.12)
-  );
-  simulation.force(
-    'clusterY',
-    d3.forceY((d) => clusterCenters[d.pipelineStep]?.y || height / 2).strength(0.12)
-  );
+    simulation.force(
+      'cluster',
+      d3.forceX((d) => clusterCenters[d.clusterId]?.x || width / 2).strength(0.12)
+    );
+    simulation.force(
+      'clusterY',
+      d3.forceY((d) => clusterCenters[d.clusterId]?.y || height / 2).strength(0.12)
+    );
+  }
 
   // Cluster hulls layer (behind everything)
   hullGroup = g.append('g').attr('class', 'hulls');
 
+  // Distance rings around the focused method
+  if (ego) {
+    const rings = hullGroup
+      .selectAll('.focus-ring')
+      .data(d3.range(1, focusDepth + 1))
+      .enter()
+      .append('g')
+      .attr('class', 'focus-ring');
+
+    rings
+      .append('circle')
+      .attr('cx', width / 2)
+      .attr('cy', height / 2)
+      .attr('r', (hop) => hop * ringRadius)
+      .attr('fill', 'none')
+      .attr('stroke', TOKENS.border)
+      .attr('stroke-dasharray', '4,6');
+
+    rings
+      .append('text')
+      .attr('x', width / 2)
+      .attr('y', (hop) => height / 2 - hop * ringRadius - 8)
+      .attr('text-anchor', 'middle')
+      .attr('fill', TOKENS.textMuted)
+      .attr('font-size', '11px')
+      .text((hop) => `${hop} hop${hop > 1 ? 's' : ''}`);
+  }
+
   // Links layer
   const linkGroup = g.append('g').attr('class', 'links');
 
@@ -892,7 +1115,7 @@ export function createRelationshipGraph(container, data, options = {}) {
     .attr('stroke-dasharray', (d) => d.dashArray)
     .attr('fill', 'none')
     .attr('opacity', animated ? 0 : 0.6)
-    .attr('marker-end', (d) => (d.type === 'explicit' ? `url(#arrow-${d.type})` : null));
+    .attr('marker-end', (d) => (d.explicit ? `url(#arrow-${d.type})` : null));
 
   if (animated) {
     link.transition().duration(800).delay(500).attr('opacity', 0.6);
@@ -959,6 +1182,9 @@ export function createRelationshipGraph(container, data, options = {}) {
     });
   });
 
+  // In focus mode the focused method and its direct neighbors keep their labels
+  const labelOpacity = (d) => (ego && d.hops <= 1 ? 1 : 0);
+
   // Node labels (shown on hover or always if showLabels)
   if (showLabels) {
     const labels = labelGroup
@@ -967,7 +1193,7 @@ export function createRelationshipGraph(container, data, options = {}) {
       .enter()
       .append('g')
       .attr('class', 'node-label')
-      .attr('opacity', 0);
+      .attr('opacity', labelOpacity);
 
     // Label background
     labels
@@ -1066,17 +1292,17 @@ export function createRelationshipGraph(container, data, options = {}) {
         .selectAll('.node-label')
         .transition()
         .duration(150)
-        .attr('opacity', 0);
+        .attr('opacity', labelOpacity);
 
       // Reset links
       link
         .transition()
         .duration(150)
-        .attr('opacity', 0.6)
+        .attr('opacity', (l) => (isLinkDimmed(l) ? 0.08 : 0.6))
         .attr('stroke-width', (l) => l.strokeWidth);
 
       // Reset nodes
-      node.transition().duration(150).attr('opacity', 1);
+      node.transition().duration(150).attr('opacity', (n) => (isNodeDimmed(n) ? 0.2 : 1));
 
       onMethodHover(null);
     })
@@ -1094,7 +1320,7 @@ export function createRelationshipGraph(container, data, options = {}) {
       const dr = Math.sqrt(dx * dx + dy * dy) * 1.5;
 
       // Straight line for explicit relations, curved for others
-      if (d.type === 'explicit') {
+      if (d.explicit) {
         return `M${d.source.x},${d.source.y}L${d.target.x},${d.target.y}`;
       }
       return `M${d.source.x},${d.source.y}A${dr},${dr} 0 0,1 ${d.target.x},${d.target.y}`;
@@ -1108,11 +1334,11 @@ export function createRelationshipGraph(container, data, options = {}) {
       .selectAll('.node-label')
       .attr('transform', (d) => `translate(${d.x},${d.y - nodeRadius(d) - 15})`);
 
-    // Update cluster hulls
-    if (showClusters) {
-      const clusters = computeClusterHulls(nodes, data.pipelineSteps);
+    // Update cluster hulls (the distance rings replace them in focus mode)
+    if (showClusters && !ego) {
+      const hullData = computeClusterHulls(nodes, clusters);
 
-      const hulls = hullGroup.selectAll('.cluster-hull').data(clusters, (d) => d.id);
+      const hulls = hullGroup.selectAll('.cluster-hull').data(hullData, (d) => d.id);
 
       hulls.exit().remove();
 
@@ -1127,12 +1353,13 @@ export function createRelationshipGraph(container, data, options = {}) {
         .attr('stroke-width', 2)
         .attr('stroke-dasharray', '5,5')
         .merge(hulls)
+        .attr('stroke-dasharray', (d) => (d.id === activeCluster ? null : '5,5'))
         .attr('d', (d) => generateHullPath(d.nodes, 25));
 
       // Cluster labels
       const clusterLabels = hullGroup
         .selectAll('.cluster-label')
-        .data(clusters, (d) => d.id);
+        .data(hullData, (d) => d.id);
 
       clusterLabels.exit().remove();
 
@@ -1145,7 +1372,13 @@ export function createRelationshipGraph(container, data, options = {}) {
         .attr('font-size', '12px')
         .attr('font-weight', '600')
         .attr('opacity', 0.7)
+        .style('cursor', 'pointer')
+        .on('click', (event, d) => {
+          event.stopPropagation();
+          onClusterClick(d.id);
+        })
         .merge(clusterLabels)
+        .attr('text-decoration', (d) => (d.id === activeCluster ? 'underline' : null))
         .attr('x', (d) => d3.mean(d.nodes, (n) => n.x))
         .attr('y', (d) => d3.min(d.nodes, (n) => n.y) - 40)
         .text((d) => d.name);
@@ -1166,12 +1399,23 @@ export function createRelationshipGraph(container, data, options = {}) {
 
   function dragended(event, d) {
     if (!event.active) simulation.alphaTarget(0);
-    d.fx = null;
-    d.fy = null;
+    // The focused method stays pinned to the middle
+    d.fx = ego && d.hops === 0 ? width / 2 : null;
+    d.fy = ego && d.hops === 0 ? height / 2 : null;
+  }
+
+  // Mark the focused method like a selection
+  if (ego) {
+    node
+      .filter((d) => d.hops === 0)
+      .select('.node-circle')
+      .attr('filter', 'url(#glow)')
+      .attr('stroke', TOKENS.accent)
+      .attr('stroke-width', 3);
   }
 
   // Highlight selected method
-  if (selectedMethodId) {
+  if (selectedMethodId && !ego) {
     node.attr('opacity', (d) => {
       if (d.id === selectedMethodId) return 1;
       const isConnected = links.some(
@@ -1190,6 +1434,55 @@ export function createRelationshipGraph(container, data, options = {}) {
       .attr('stroke-width', 3);
   }
 
+  // Fade everything outside a cluster; null clears the highlight
+  function highlightCluster(clusterId) {
+    activeCluster = clusterId ?? null;
+    node
+      .transition()
+      .duration(200)
+      .attr('opacity', (d) => (isNodeDimmed(d) ? 0.2 : 1));
+    link
+      .transition()
+      .duration(200)
+      .attr('opacity', (l) => (isLinkDimmed(l) ? 0.08 : 0.6));
+    hullGroup
+      .selectAll('.cluster-hull')
+      .attr('stroke-dasharray', (d) => (d.id === activeCluster ? null : '5,5'));
+    hullGroup
+      .selectAll('.cluster-label')
+      .attr('text-decoration', (d) => (d.id === activeCluster ? 'underline' : null));
+  }
+
+  if (activeCluster !== null) {
+    highlightCluster(activeCluster);
+  }
+
+  // Emphasize a set of methods and their links, e.g. from the metrics panel; null restores the view
+  function highlightNodes(ids) {
+    if (!ids) {
+      labelGroup.selectAll('.node-label').transition().duration(150).attr('opacity', labelOpacity);
+      highlightCluster(activeCluster);
+      return;
+    }
+    const highlighted = new Set(ids);
+    node
+      .transition()
+      .duration(150)
+      .attr('opacity', (d) => (highlighted.has(d.id) ? 1 : 0.15));
+    link
+      .transition()
+      .duration(150)
+      .attr('opacity', (l) =>
+        highlighted.has(l.source.id) || highlighted.has(l.target.id) ? 0.9 : 0.05
+      );
+    // Labels only while they stay readable
+    labelGroup
+      .selectAll('.node-label')
+      .transition()
+      .duration(150)
+      .attr('opacity', (d) => (highlighted.has(d.id) && highlighted.size <= 10 ? 1 : 0));
+  }
+
   // Return controls
   return {
     update: (newOptions) => {
@@ -1212,7 +1505,9 @@ export function createRelationshipGraph(container, data, options = {}) {
     resetSimulation: () => {
       simulation.alpha(1).restart();
     },
+    highlightCluster,
+    highlightNodes,
   };
 }
 
-export { RELATIONSHIP_TYPES, MODALITY_COLORS, TOKENS };
+export { RELATIONSHIP_TYPES, CLUSTER_OPTIONS, MODALITY_COLORS, TOKENS };
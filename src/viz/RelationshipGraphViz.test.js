@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { extractEgoNetwork } from './RelationshipGraphViz';
+
+// a - b - c - d - e as a chain, plus a similarity shortcut from a to d
+const graph = () => ({
+  nodes: ['a', 'b', 'c', 'd', 'e', 'lone'].map((id) => ({ id })),
+  links: [
+    { source: 'a', target: 'b', type: 'explicit' },
+    { source: 'b', target: 'c', type: 'explicit' },
+    { source: 'c', target: 'd', type: 'explicit' },
+    { source: 'd', target: 'e', type: 'explicit' },
+    { source: 'a', target: 'd', type: 'similarity' },
+  ],
+});
+
+const ego = (focusId, depth, hiddenEdgeTypes) => {
+  const { nodes, links } = graph();
+  return extractEgoNetwork(nodes, links, focusId, depth, hiddenEdgeTypes);
+};
+const hopsOf = ({ nodes }) => Object.fromEntries(nodes.map((n) => [n.id, n.hops]));
+
+describe('extractEgoNetwork', () => {
+  it('keeps direct neighbors at depth 1', () => {
+    const network = ego('a', 1);
+    expect(hopsOf(network)).toEqual({ a: 0, b: 1, d: 1 });
+    expect(network.links.map((l) => `${l.source}-${l.target}`)).toEqual(['a-b', 'a-d']);
+  });
+
+  it('adds a ring per hop at depths 2 and 3', () => {
+    expect(hopsOf(ego('a', 2))).toEqual({ a: 0, b: 1, c: 2, d: 1, e: 2 });
+
+    const network = ego('e', 3);
+    expect(hopsOf(network)).toEqual({ a: 2, b: 3, c: 2, d: 1, e: 0 });
+    expect(network.links).toHaveLength(5);
+    expect(network.nodes.find((n) => n.id === 'a').degree).toBe(2);
+  });
+
+  it('does not walk over hidden edge types', () => {
+    const network = ego('a', 2, ['similarity']);
+    expect(hopsOf(network)).toEqual({ a: 0, b: 1, c: 2 });
+    expect(network.links.every((l) => l.type === 'explicit')).toBe(true);
+  });
+
+  it('returns the focus alone when it has no links', () => {
+    expect(ego('lone', 3)).toEqual({ nodes: [{ id: 'lone', hops: 0, degree: 0 }], links: [] });
+  });
+
+  it('returns null when the focus is not among the filtered methods', () => {
+    expect(ego('filtered-out', 2)).toBeNull();
+  });
+});
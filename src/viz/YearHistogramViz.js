@@ -0,0 +1,170 @@
+import * as d3 from 'd3';
+
+/**
+ * Year Histogram - D3.js Component
+ * Publications per year (filtered over total) with a brush to pick a year range
+ */
+
+/**
+ * Creates the year histogram with a brush
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array} years - One entry per year: { year, total, filtered }
+ * @param {Object} options - height, selection ({ min, max }) and onBrush callback
+ */
+export function createYearHistogram(container, years, options = {}) {
+  const containerWidth = container.clientWidth;
+
+  // Early return if container has no width yet or there is nothing to plot
+  if (!containerWidth || years.length === 0) {
+    return {
+      update: () => {},
+      destroy: () => {},
+    };
+  }
+
+  const { height = 120, selection = { min: null, max: null }, onBrush = () => {} } = options;
+
+  d3.select(container).selectAll('*').remove();
+
+  const margin = { top: 8, right: 8, bottom: 22, left: 8 };
+  const innerWidth = containerWidth - margin.left - margin.right;
+  const innerHeight = height - margin.top - margin.bottom;
+
+  const svg = d3
+    .select(container)
+    .append('svg')
+    .attr('class', 'year-histogram__svg')
+    .attr('width', containerWidth)
+    .attr('height', height)
+    .attr('viewBox', `0 0 ${containerWidth} ${height}`)
+    .attr('aria-hidden', 'true');
+
+  const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+
+  const xScale = d3
+    .scaleBand()
+    .domain(years.map((d) => d.year))
+    .range([0, innerWidth])
+    .paddingInner(0.2);
+
+  const yScale = d3
+    .scaleLinear()
+    .domain([0, d3.max(years, (d) => d.total) || 1])
+    .range([innerHeight, 0]);
+
+  // Total per year in the background, matching methods in front
+  const bars = g
+    .selectAll('.year-histogram__year')
+    .data(years, (d) => d.year)
+    .enter()
+    .append('g')
+    .attr('class', 'year-histogram__year');
+
+  bars
+    .append('rect')
+    .attr('class', 'year-histogram__bar year-histogram__bar--total')
+    .attr('x', (d) => xScale(d.year))
+    .attr('width', xScale.bandwidth())
+    .attr('y', (d) => yScale(d.total))
+    .attr('height', (d) => innerHeight - yScale(d.total));
+
+  bars
+    .append('rect')
+    .attr('class', 'year-histogram__bar year-histogram__bar--filtered')
+    .attr('x', (d) => xScale(d.year))
+    .attr('width', xScale.bandwidth());
+
+  bars.append('title');
+
+  // Label every year if there is room, otherwise every few years
+  const labelStep = Math.ceil(years.length / Math.max(1, Math.floor(innerWidth / 36)));
+  g.append('g')
+    .attr('class', 'year-histogram__axis')
+    .selectAll('text')
+    .data(years.filter((d, i) => i % labelStep === 0 || i === years.length - 1))
+    .enter()
+    .append('text')
+    .attr('x', (d) => xScale(d.year) + xScale.bandwidth() / 2)
+    .attr('y', innerHeight + 15)
+    .attr('text-anchor', 'middle')
+    .text((d) => d.year);
+
+  // Converts a pixel selection to the years whose bars it covers
+  const yearsInSelection = ([x0, x1]) =>
+    years
+      .map((d) => d.year)
+      .filter((year) => {
+        const center = xScale(year) + xScale.bandwidth() / 2;
+        return center >= x0 && center <= x1;
+      });
+
+  const selectionToPixels = ({ min, max }) => {
+    const first = years[0].year;
+    const last = years[years.length - 1].year;
+    const from = Math.max(min ?? first, first);
+    const to = Math.min(max ?? last, last);
+    if (from > to) return null;
+    const step = xScale.step();
+    const gap = step - xScale.bandwidth();
+    return [xScale(from) - gap / 2, xScale(to) + xScale.bandwidth() + gap / 2];
+  };
+
+  const brush = d3
+    .brushX()
+    .extent([
+      [0, 0],
+      [innerWidth, innerHeight],
+    ])
+    .on('end', (event) => {
+      // Ignore moves made by update() below
+      if (!event.sourceEvent) return;
+
+      if (!event.selection) {
+        onBrush({ min: null, max: null });
+        return;
+      }
+
+      const picked = yearsInSelection(event.selection);
+      if (picked.length === 0) {
+        brushGroup.call(brush.move, null);
+        onBrush({ min: null, max: null });
+        return;
+      }
+
+      const range = { min: picked[0], max: picked[picked.length - 1] };
+      // Snap the brush to whole years
+      brushGroup.call(brush.move, selectionToPixels(range));
+      onBrush(range);
+    });
+
+  const brushGroup = g.append('g').attr('class', 'year-histogram__brush').call(brush);
+
+  function update({ years: newYears = years, selection: newSelection = selection } = {}) {
+    const counts = new Map(newYears.map((d) => [d.year, d]));
+    const { min, max } = newSelection;
+    const isSelected = (year) => (min === null || year >= min) && (max === null || year <= max);
+
+    bars.each(function (d) {
+      const filtered = counts.get(d.year)?.filtered ?? 0;
+      const group = d3.select(this);
+      group.classed('year-histogram__year--outside', !isSelected(d.year));
+      group
+        .select('.year-histogram__bar--filtered')
+        .transition()
+        .duration(200)
+        .attr('y', yScale(filtered))
+        .attr('height', innerHeight - yScale(filtered));
+      group.select('title').text(`${d.year}: ${filtered} of ${d.total} methods`);
+    });
+
+    const hasSelection = min !== null || max !== null;
+    brushGroup.call(brush.move, hasSelection ? selectionToPixels(newSelection) : null);
+  }
+
+  update();
+
+  return {
+    update,
+    destroy: () => d3.select(container).selectAll('*').remove(),
+  };
+}
@@ -24,6 +24,7 @@ export default defineConfig({
         manualChunks: {
           vendor: ['react', 'react-dom', 'react-router-dom'],
           d3: ['d3'],
+          ajv: ['ajv', 'ajv-formats'],
         },
       },
     },